@@ -7,6 +7,21 @@ require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 5001;
+
+// Behind a load balancer or reverse proxy, req.ip (used by the rate limits,
+// sessions, login history and activity log) is the proxy's address unless
+// Express trusts it. TRUST_PROXY is a hop count, true/false, or the
+// addresses and subnets to trust, comma separated.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  if (/^\d+$/.test(trustProxy)) {
+    app.set('trust proxy', Number(trustProxy));
+  } else if (trustProxy === 'true' || trustProxy === 'false') {
+    app.set('trust proxy', trustProxy === 'true');
+  } else {
+    app.set('trust proxy', trustProxy);
+  }
+}
 console.log("Loaded AWS Key (first 6 chars):", process.env.AWS_ACCESS_KEY_ID?.slice(0, 6));
 console.log("Region:", process.env.AWS_REGION);
 
@@ -48,6 +63,7 @@ app.use('/api/v1/internships', publicLimiter);
 app.use('/api/v1/sarkari-jobs', publicLimiter);
 app.use('/api/v1/certifications', publicLimiter);
 app.use('/api/v1/walking', publicLimiter);
+app.use('/api/v1/search', publicLimiter);
 
 const analyzeCvLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
@@ -76,6 +92,8 @@ app.use('/api/v1', require('./src/api/routes'));
 
 // Initialize admin user
 const adminController = require('./src/api/controllers/adminController');
+const synonymsController = require('./src/api/controllers/synonymsController');
+const scheduler = require('./src/scheduler');
 
 // Health check
 app.get('/health', (req, res) => {
@@ -104,6 +122,12 @@ app.listen(PORT, async () => {
   
   // Initialize admin user
   await adminController.initializeAdmin();
+
+  // Seed the search synonym dictionary
+  await synonymsController.initializeSynonyms();
+
+  // Start scheduled tasks such as listing expiry
+  scheduler.start();
 });
 
 // Graceful shutdown
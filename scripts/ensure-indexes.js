@@ -0,0 +1,123 @@
+// Creates the secondary indexes defined in src/repositories/schema.js on
+// existing DynamoDB tables. Safe to run repeatedly: indexes that already
+// exist are left alone.
+//
+// Before creating a table's indexes, the script prepares its existing items:
+// - null index key attributes, which DynamoDB cannot index, are removed;
+// - listings written before duplicate fingerprints were stored get theirs;
+// - activities written before the activity feed existed join it.
+//
+// A table builds one new index at a time, so the script waits for each to
+// finish before creating the next on the same table.
+//
+//   npm run db:indexes
+require('dotenv').config();
+const { DynamoDBClient, DescribeTableCommand, UpdateTableCommand } = require('@aws-sdk/client-dynamodb');
+const { tables, indexDefinitions } = require('../src/repositories/schema');
+const createDynamoRepository = require('../src/repositories/dynamoRepository');
+const { indexKeyAttributes } = require('../src/repositories/indexes');
+const { FINGERPRINT_FIELDS, createDeduplicator } = require('../src/api/utils/duplicates');
+const { ACTIVITY_FEED } = require('../src/api/utils/activityLogger');
+
+const client = new DynamoDBClient({ region: process.env.AWS_REGION });
+
+const POLL_INTERVAL_MS = 15 * 1000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function describe(table) {
+  const { Table } = await client.send(new DescribeTableCommand({ TableName: table.tableName }));
+  return Table;
+}
+
+// Remove null index key attributes, leaving those items out of the index
+async function clearNullIndexKeys(table) {
+  const repository = createDynamoRepository(table);
+  for (const attribute of indexKeyAttributes(table)) {
+    const items = await repository.scan({ [attribute]: null });
+    for (const item of items) {
+      await repository.update(item, { [attribute]: null });
+    }
+    if (items.length > 0) {
+      console.log(`🧹 ${table.tableName}: removed null ${attribute} from ${items.length} items`);
+    }
+  }
+}
+
+async function backfillFingerprints(table) {
+  if (!FINGERPRINT_FIELDS[table.name]) return;
+  const updated = await createDeduplicator(createDynamoRepository(table), table.name).backfill();
+  if (updated > 0) {
+    console.log(`🧹 ${table.tableName}: stored the fingerprint of ${updated} items`);
+  }
+}
+
+async function backfillActivityFeed(table) {
+  if (table.name !== 'activities') return;
+  const repository = createDynamoRepository(table);
+  const items = await repository.scan({ feed: { missingOrEmpty: true } });
+  for (const item of items) {
+    await repository.update(item, { feed: ACTIVITY_FEED });
+  }
+  if (items.length > 0) {
+    console.log(`🧹 ${table.tableName}: added ${items.length} activities to the feed`);
+  }
+}
+
+// Wait until no index of the table is still being built
+async function waitForIndexes(table) {
+  for (;;) {
+    const Table = await describe(table);
+    const building = (Table.GlobalSecondaryIndexes || []).filter(gsi => gsi.IndexStatus !== 'ACTIVE');
+    if (building.length === 0) return Table;
+    console.log(`⏳ ${table.tableName}: waiting for ${building.map(gsi => gsi.IndexName).join(', ')}`);
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+async function ensureIndex(table, index) {
+  const Table = await waitForIndexes(table);
+  const existing = (Table.GlobalSecondaryIndexes || []).find(gsi => gsi.IndexName === index.IndexName);
+  if (existing) {
+    console.log(`✅ ${table.tableName}: ${index.IndexName} already exists (${existing.IndexStatus})`);
+    return;
+  }
+
+  // Provisioned tables need throughput on the new index as well
+  const provisioned = Table.BillingModeSummary?.BillingMode !== 'PAY_PER_REQUEST' && Table.ProvisionedThroughput?.ReadCapacityUnits;
+  const create = { ...index };
+  if (provisioned) {
+    create.ProvisionedThroughput = {
+      ReadCapacityUnits: Table.ProvisionedThroughput.ReadCapacityUnits,
+      WriteCapacityUnits: Table.ProvisionedThroughput.WriteCapacityUnits
+    };
+  }
+
+  await client.send(new UpdateTableCommand({
+    TableName: table.tableName,
+    AttributeDefinitions: index.KeySchema.map(key => ({ AttributeName: key.AttributeName, AttributeType: 'S' })),
+    GlobalSecondaryIndexUpdates: [{ Create: create }]
+  }));
+  console.log(`🚀 ${table.tableName}: creating ${index.IndexName} (backfill runs in the background)`);
+}
+
+(async () => {
+  try {
+    for (const table of Object.values(tables)) {
+      const indexes = indexDefinitions(table);
+      if (!table.tableName || indexes.length === 0) continue;
+
+      await clearNullIndexKeys(table);
+      await backfillFingerprints(table);
+      await backfillActivityFeed(table);
+      for (const index of indexes) {
+        await ensureIndex(table, index);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Failed to create indexes:', error);
+    process.exitCode = 1;
+  }
+})();
@@ -0,0 +1,338 @@
+const bcrypt = require('bcryptjs');
+const { adminsRepository } = require('../../repositories');
+const { sendEmail } = require('../../services/email');
+const { ROLES, isRole } = require('../utils/permissions');
+const { accountOf, passwordProblem, generateToken, hashToken, tokenMatches } = require('../utils/accounts');
+const { endAllSessions } = require('../utils/sessions');
+const { isEnabled: twoFactorEnabled, disableTwoFactor } = require('../utils/twoFactor');
+const { lockedUntil, clearFailedLogins } = require('../utils/logins');
+
+// Password reset links are valid for PASSWORD_RESET_TTL_MINUTES (default 60)
+// and point at PASSWORD_RESET_URL, the admin panel's reset page
+const RESET_TTL_MS = (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000;
+const RESET_URL = process.env.PASSWORD_RESET_URL || 'https://india-jobs.in/admin/reset-password';
+
+// The only enabled superadmin must stay one, or nobody could manage admins
+async function isLastSuperadmin(admin) {
+  if (admin.role !== 'superadmin' || admin.disabled) return false;
+  const superadmins = await adminsRepository.scan({ role: 'superadmin' });
+  return !superadmins.some(other => other.email !== admin.email && !other.disabled);
+}
+
+// The account named by the route, or a response already sent. Admins cannot
+// use these routes on their own account.
+async function findOtherAccount(req, res, action) {
+  const { email } = req.params;
+  if (req.admin && req.admin.email === email) {
+    res.status(400).json({ error: `You cannot ${action} your own account` });
+    return null;
+  }
+
+  const admin = await adminsRepository.get({ email });
+  if (!admin) {
+    res.status(404).json({ error: 'Admin not found' });
+    return null;
+  }
+  return admin;
+}
+
+const accountsController = {
+  // Every admin account, optionally only those with `role`
+  async listAdmins(req, res) {
+    try {
+      const { role } = req.query;
+      const admins = await adminsRepository.scan(role ? { role } : undefined);
+      const accounts = admins.map(accountOf).sort((a, b) => a.email.localeCompare(b.email));
+      res.json({ admins: accounts, count: accounts.length });
+    } catch (error) {
+      console.error('Error fetching admins:', error);
+      res.status(500).json({ error: 'Failed to fetch admins' });
+    }
+  },
+
+  // Change another admin's role
+  async updateAdmin(req, res) {
+    try {
+      const { role } = req.body;
+      if (!isRole(role)) {
+        return res.status(400).json({ error: `role must be one of: ${Object.keys(ROLES).join(', ')}` });
+      }
+
+      const admin = await findOtherAccount(req, res, 'change the role of');
+      if (!admin) return;
+
+      if (role !== 'superadmin' && await isLastSuperadmin(admin)) {
+        return res.status(409).json({ error: 'Cannot change the role of the last active superadmin' });
+      }
+
+      const updated = await adminsRepository.update(admin, { role, updatedAt: new Date().toISOString() });
+
+      res.locals.activity = {
+        action: 'updated',
+        targetType: 'admin',
+        targetId: admin.email,
+        before: accountOf(admin),
+        after: accountOf(updated)
+      };
+
+      res.json({ message: 'Admin updated successfully', admin: accountOf(updated) });
+    } catch (error) {
+      console.error('Error updating admin:', error);
+      res.status(500).json({ error: 'Failed to update admin' });
+    }
+  },
+
+  // Disabled admins cannot sign in until enabled again
+  async disableAdmin(req, res) {
+    try {
+      const admin = await findOtherAccount(req, res, 'disable');
+      if (!admin) return;
+
+      if (await isLastSuperadmin(admin)) {
+        return res.status(409).json({ error: 'Cannot disable the last active superadmin' });
+      }
+
+      const now = new Date().toISOString();
+      const updated = await adminsRepository.update(admin, {
+        disabled: true,
+        disabledAt: now,
+        disabledBy: req.admin.email,
+        updatedAt: now
+      });
+      await endAllSessions(admin.email, { reason: 'account-disabled' });
+
+      res.locals.activity = {
+        action: 'disabled',
+        targetType: 'admin',
+        targetId: admin.email
+      };
+
+      res.json({ message: 'Admin disabled successfully', admin: accountOf(updated) });
+    } catch (error) {
+      console.error('Error disabling admin:', error);
+      res.status(500).json({ error: 'Failed to disable admin' });
+    }
+  },
+
+  async enableAdmin(req, res) {
+    try {
+      const admin = await findOtherAccount(req, res, 'enable');
+      if (!admin) return;
+
+      const updated = await adminsRepository.update(admin, {
+        disabled: false,
+        disabledAt: null,
+        disabledBy: null,
+        updatedAt: new Date().toISOString()
+      });
+
+      res.locals.activity = {
+        action: 'enabled',
+        targetType: 'admin',
+        targetId: admin.email
+      };
+
+      res.json({ message: 'Admin enabled successfully', admin: accountOf(updated) });
+    } catch (error) {
+      console.error('Error enabling admin:', error);
+      res.status(500).json({ error: 'Failed to enable admin' });
+    }
+  },
+
+  async deleteAdmin(req, res) {
+    try {
+      const admin = await findOtherAccount(req, res, 'delete');
+      if (!admin) return;
+
+      if (await isLastSuperadmin(admin)) {
+        return res.status(409).json({ error: 'Cannot delete the last active superadmin' });
+      }
+
+      await adminsRepository.delete(admin);
+      await endAllSessions(admin.email, { reason: 'account-deleted' });
+
+      res.locals.activity = {
+        action: 'deleted',
+        targetType: 'admin',
+        targetId: admin.email,
+        before: accountOf(admin)
+      };
+
+      res.json({ message: 'Admin deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting admin:', error);
+      res.status(500).json({ error: 'Failed to delete admin' });
+    }
+  },
+
+  // Lift the login lockout on another admin's email before it runs out
+  async unlockAdmin(req, res) {
+    try {
+      const admin = await findOtherAccount(req, res, 'unlock');
+      if (!admin) return;
+
+      const until = await lockedUntil(admin.email);
+      await clearFailedLogins(admin.email);
+
+      res.locals.activity = {
+        action: 'unlocked',
+        targetType: 'admin',
+        targetId: admin.email,
+        before: { lockedUntil: until }
+      };
+
+      res.json({ message: until ? 'Admin unlocked successfully' : 'Admin was not locked out' });
+    } catch (error) {
+      console.error('Error unlocking admin:', error);
+      res.status(500).json({ error: 'Failed to unlock admin' });
+    }
+  },
+
+  // Turn off another admin's 2FA, e.g. after they lost their authenticator
+  // app and recovery codes. Policy may make them enrol again at next login.
+  async resetTwoFactor(req, res) {
+    try {
+      const admin = await findOtherAccount(req, res, 'reset two-factor authentication of');
+      if (!admin) return;
+
+      if (!twoFactorEnabled(admin)) {
+        return res.status(409).json({ error: 'Two-factor authentication is not enabled for this admin' });
+      }
+
+      await disableTwoFactor(admin);
+      await endAllSessions(admin.email, { reason: '2fa-reset' });
+
+      res.locals.activity = {
+        action: 'reset-2fa',
+        targetType: 'admin',
+        targetId: admin.email
+      };
+
+      res.json({ message: 'Two-factor authentication reset successfully' });
+    } catch (error) {
+      console.error('Error resetting two-factor authentication:', error);
+      res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+    }
+  },
+
+  // The signed-in admin changes their own password
+  async changePassword(req, res) {
+    try {
+      const { currentPassword, newPassword } = req.body;
+      if (!currentPassword || !newPassword) {
+        return res.status(400).json({ error: 'currentPassword and newPassword are required' });
+      }
+
+      const admin = await adminsRepository.get({ email: req.admin.email });
+      if (!admin) {
+        return res.status(404).json({ error: 'Admin not found' });
+      }
+
+      if (!(await bcrypt.compare(currentPassword, admin.password))) {
+        return res.status(401).json({ error: 'Current password is incorrect' });
+      }
+
+      const problem = passwordProblem(newPassword);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      const now = new Date().toISOString();
+      await adminsRepository.update(admin, {
+        password: await bcrypt.hash(newPassword, 10),
+        passwordChangedAt: now,
+        passwordReset: null,
+        updatedAt: now
+      });
+      // Other sessions must sign in again with the new password
+      await endAllSessions(admin.email, { except: req.admin.sid, reason: 'password-changed' });
+
+      res.locals.activity = {
+        action: 'changed-password',
+        targetType: 'admin',
+        targetId: admin.email
+      };
+
+      res.json({ message: 'Password changed successfully' });
+    } catch (error) {
+      console.error('Error changing password:', error);
+      res.status(500).json({ error: 'Failed to change password' });
+    }
+  },
+
+  // Email a password reset link. The answer is the same whether or not the
+  // account exists, so it cannot be used to find admin emails.
+  async requestPasswordReset(req, res) {
+    try {
+      const { email } = req.body;
+      if (!email) {
+        return res.status(400).json({ error: 'Email is required' });
+      }
+
+      const admin = await adminsRepository.get({ email });
+      if (admin && !admin.disabled) {
+        const token = generateToken();
+        await adminsRepository.update(admin, {
+          passwordReset: {
+            tokenHash: hashToken(token),
+            expiresAt: new Date(Date.now() + RESET_TTL_MS).toISOString()
+          }
+        });
+
+        const link = `${RESET_URL}?email=${encodeURIComponent(email)}&token=${token}`;
+        try {
+          await sendEmail({
+            to: email,
+            subject: 'Reset your India Jobs admin password',
+            text: `A password reset was requested for your admin account.\n\nSet a new password here: ${link}\n\nThe link expires in ${RESET_TTL_MS / 60000} minutes. If you did not ask for this, ignore this email.`
+          });
+        } catch (error) {
+          // A failed send must answer like an unknown email would
+          console.error('Error sending password reset email:', error);
+        }
+      }
+
+      res.json({ message: 'If the account exists, a password reset link has been sent' });
+    } catch (error) {
+      console.error('Error requesting password reset:', error);
+      res.status(500).json({ error: 'Failed to request password reset' });
+    }
+  },
+
+  // Set a new password with the token from a reset link. Each token works once.
+  async resetPassword(req, res) {
+    try {
+      const { email, token, newPassword } = req.body;
+      if (!email || !token || !newPassword) {
+        return res.status(400).json({ error: 'email, token and newPassword are required' });
+      }
+
+      const admin = await adminsRepository.get({ email });
+      const reset = admin && admin.passwordReset;
+      if (!reset || admin.disabled || Date.parse(reset.expiresAt) < Date.now() || !tokenMatches(token, reset.tokenHash)) {
+        return res.status(400).json({ error: 'Invalid or expired reset token' });
+      }
+
+      const problem = passwordProblem(newPassword);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      const now = new Date().toISOString();
+      await adminsRepository.update(admin, {
+        password: await bcrypt.hash(newPassword, 10),
+        passwordChangedAt: now,
+        passwordReset: null,
+        updatedAt: now
+      });
+      await endAllSessions(admin.email, { reason: 'password-reset' });
+
+      res.json({ message: 'Password reset successfully' });
+    } catch (error) {
+      console.error('Error resetting password:', error);
+      res.status(500).json({ error: 'Failed to reset password' });
+    }
+  }
+};
+
+module.exports = accountsController;
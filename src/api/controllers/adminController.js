@@ -1,15 +1,44 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
-const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, DeleteCommand, BatchWriteCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
 const xlsx = require('xlsx');
 const fs = require('fs');
 
 const logActivity = require('../utils/activityLogger');
-
-const client = new DynamoDBClient({ region: process.env.AWS_REGION });
-const docClient = DynamoDBDocumentClient.from(client);
+const { toKeyCursor, fromKeyCursor, InvalidCursorError } = require('../utils/pagination');
+const { dateRange, InvalidDateError } = require('../utils/dateRange');
+const { payAttributes } = require('../utils/pay');
+const { locationAttributes } = require('../utils/location');
+const { batchAttributes } = require('../utils/batch');
+const { duplicatePolicy, createDeduplicator, InvalidDuplicatePolicyError } = require('../utils/duplicates');
+const { recordRevision } = require('../utils/revisions');
+const { verticals, unknownTypeMessage } = require('../utils/listings');
+const { isTrashed, moveToTrash } = require('../utils/trash');
+const { ROLES, isRole, permissionsOf } = require('../utils/permissions');
+const { openSession } = require('../utils/sessions');
+const twoFactor = require('../utils/twoFactor');
+const logins = require('../utils/logins');
+const {
+  UNPUBLISHED_STATUSES,
+  isPublished,
+  applyPublication,
+  applyPublicationChanges,
+  InvalidPublishAtError,
+  ReviewRequiredError
+} = require('../utils/publishing');
+const {
+  jobsRepository,
+  sarkariJobsRepository,
+  internshipsRepository,
+  walkingRepository,
+  certificationsRepository,
+  adminsRepository,
+  subscriptionsRepository,
+  activitiesRepository
+} = require('../../repositories');
+
+// Postings are the same when company, role and link match
+const jobDuplicates = createDeduplicator(jobsRepository, 'jobs');
+const sarkariJobDuplicates = createDeduplicator(sarkariJobsRepository, 'sarkariJobs');
 
 // Helper function to convert Excel serial date to JS Date
 function excelDateToJSDate(serial) {
@@ -33,19 +62,33 @@ function excelDateToJSDate(serial) {
   return serial;
 }
 
+// Accounts created before role-based permissions could hold any role name.
+// Give them LEGACY_ADMIN_ROLE (default editor) so they keep working, and keep
+// the old name as legacyRole.
+async function migrateLegacyRoles() {
+  const legacyRole = process.env.LEGACY_ADMIN_ROLE || 'editor';
+  if (!isRole(legacyRole)) {
+    throw new Error(`LEGACY_ADMIN_ROLE "${legacyRole}" is not a role. Use one of: ${Object.keys(ROLES).join(', ')}`);
+  }
+
+  const admins = await adminsRepository.scan();
+  for (const admin of admins.filter(account => !isRole(account.role))) {
+    await adminsRepository.update(admin, {
+      role: legacyRole,
+      legacyRole: admin.role === undefined ? null : admin.role,
+      updatedAt: new Date().toISOString()
+    });
+    console.log(`✅ Admin ${admin.email} moved from role "${admin.role}" to "${legacyRole}"`);
+  }
+}
+
 const adminController = {
   async initializeAdmin() {
     try {
       // Check if admin already exists
-      const params = {
-        TableName: process.env.ADMINS_TABLE,
-        Key: { email: process.env.ADMIN_EMAIL }
-      };
+      const existingAdmin = await adminsRepository.get({ email: process.env.ADMIN_EMAIL });
 
-      const command = new GetCommand(params);
-      const result = await docClient.send(command);
-
-      if (!result.Item) {
+      if (!existingAdmin) {
         // Create default admin user
         const hashedPassword = await bcrypt.hash(process.env.ADMIN_PASSWORD, 10);
 
@@ -56,18 +99,14 @@ const adminController = {
           createdAt: new Date().toISOString()
         };
 
-        const createParams = {
-          TableName: process.env.ADMINS_TABLE,
-          Item: adminData
-        };
-
-        const createCommand = new PutCommand(createParams);
-        await docClient.send(createCommand);
+        await adminsRepository.put(adminData);
 
         console.log('✅ Default admin user created');
       } else {
         console.log('✅ Admin user already exists');
       }
+
+      await migrateLegacyRoles();
     } catch (error) {
       console.error('❌ Failed to initialize admin user:', error);
     }
@@ -81,42 +120,63 @@ const adminController = {
         return res.status(400).json({ error: 'Email and password are required' });
       }
 
-      // Get admin from database
-      const params = {
-        TableName: process.env.ADMINS_TABLE,
-        Key: { email: email }
-      };
+      // Too many failed attempts lock the email for a while (see utils/logins)
+      const until = await logins.lockedUntil(email);
+      if (until) {
+        await logins.recordLockedLogin(email, req);
+        res.set('Retry-After', String(logins.secondsUntil(until)));
+        return res.status(429).json({ error: 'Too many failed login attempts. Try again later.', lockedUntil: until });
+      }
 
-      const command = new GetCommand(params);
-      const result = await docClient.send(command);
+      // Get admin from database
+      const admin = await adminsRepository.get({ email });
 
-      if (!result.Item) {
+      if (!admin) {
+        await logins.recordFailedLogin(email, 'unknown-account', req);
         return res.status(401).json({ error: 'Invalid credentials' });
       }
 
-      const admin = result.Item;
       const isValidPassword = await bcrypt.compare(password, admin.password);
 
       if (!isValidPassword) {
+        await logins.recordFailedLogin(email, 'invalid-password', req);
         return res.status(401).json({ error: 'Invalid credentials' });
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        {
-          email: admin.email,
-          role: admin.role
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN }
-      );
+      if (admin.disabled) {
+        await logins.recordFailedLogin(email, 'account-disabled', req, { counted: false });
+        return res.status(403).json({ error: 'Account is disabled' });
+      }
+
+      // With 2FA the password only earns a challenge token, traded for a
+      // session at /login/2fa (see utils/twoFactor)
+      if (twoFactor.isEnabled(admin)) {
+        return res.json({
+          message: 'Two-factor code required',
+          twoFactorRequired: true,
+          challengeToken: twoFactor.createChallenge(admin, twoFactor.CHALLENGES.login)
+        });
+      }
+      if (twoFactor.isRequired(admin)) {
+        return res.json({
+          message: 'Two-factor authentication must be set up before signing in',
+          twoFactorSetupRequired: true,
+          challengeToken: twoFactor.createChallenge(admin, twoFactor.CHALLENGES.setup)
+        });
+      }
+
+      // Short-lived access token plus a refresh token (see utils/sessions)
+      const tokens = await openSession(admin, req);
+      await logins.recordSuccessfulLogin(admin, 'password', req);
 
       res.json({
         message: 'Login successful',
-        token: token,
+        ...tokens,
         admin: {
           email: admin.email,
-          role: admin.role
+          role: admin.role,
+          permissions: permissionsOf(admin.role),
+          twoFactorEnabled: false
         }
       });
     } catch (error) {
@@ -292,6 +352,7 @@ const adminController = {
 
   async createJob(req, res) {
     try {
+      const policy = duplicatePolicy(req);
       const jobData = {
         ...req.body,
         jobId: uuidv4(),
@@ -306,25 +367,52 @@ const adminController = {
           return res.status(400).json({ error: field + ' is required' });
         }
       }
-  
-      const params = {
-        TableName: process.env.JOBS_TABLE,
-        Item: jobData
-      };
-  
-      const command = new PutCommand(params);
-      await docClient.send(command);
-  
-      // Log activity
-      if (req.admin && req.admin.email) {
-        await logActivity({
-          action: 'added',
+
+      // Numeric salary range, normalized location and batch years, next to
+      // the original text
+      Object.assign(
+        jobData,
+        payAttributes('salary', jobData.salary),
+        locationAttributes(jobData.location),
+        batchAttributes(jobData.batch)
+      );
+      jobData.fingerprint = jobDuplicates.fingerprint(jobData);
+
+      // Saved as a draft or scheduled for later when the request asks so
+      applyPublication(jobData, req.body, 'jobs', req.admin);
+
+      const existingJob = policy === 'allow' ? null : await jobDuplicates.findDuplicate(jobData);
+      if (existingJob && policy === 'skip') {
+        return res.status(409).json({
+          error: 'A job with the same company, role and link already exists',
+          duplicateOf: existingJob.jobId
+        });
+      }
+      if (existingJob) {
+        const updatedJob = await jobDuplicates.update(existingJob, jobData, req.admin);
+        res.locals.activity = {
+          action: 'updated',
           targetType: 'job',
-          targetId: jobData.jobId,
-          adminEmail: req.admin.email,
+          targetId: existingJob.jobId,
+          before: existingJob,
+          after: updatedJob
+        };
+        return res.json({
+          message: 'Job already existed and was updated',
+          job: updatedJob,
+          duplicateOf: existingJob.jobId
         });
       }
   
+      await jobsRepository.put(jobData);
+  
+      // Log activity
+      res.locals.activity = {
+        action: 'added',
+        targetType: 'job',
+        targetId: jobData.jobId
+      };
+  
       // ✅ Generate shareable text (your format)
       const shareableText = `${jobData.companyName} is hiring for ${jobData.role} with the ${jobData.salary}. Hurry Up!\nApply here: https://india-jobs.in/jobs/${jobData.jobId}`;
   
@@ -334,6 +422,12 @@ const adminController = {
         shareableText
       });
     } catch (error) {
+      if (error instanceof InvalidDuplicatePolicyError || error instanceof InvalidPublishAtError) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error instanceof ReviewRequiredError) {
+        return res.status(403).json({ error: error.message });
+      }
       console.error('Error creating job:', error);
       res.status(500).json({ error: 'Failed to create job' });
     }
@@ -341,6 +435,8 @@ const adminController = {
   
   async bulkUploadJobs(req, res) {
     try {
+      const policy = duplicatePolicy(req);
+
       if (!req.file) {
         return res.status(400).json({ error: 'File is required' });
       }
@@ -350,9 +446,8 @@ const adminController = {
       const worksheet = workbook.Sheets[sheetName];
       const data = xlsx.utils.sheet_to_json(worksheet);
   
-      const jobs = [];
+      const entries = [];
       const errors = [];
-      const shareableTexts = [];
   
       for (let i = 0; i < data.length; i++) {
         const row = data[i];
@@ -374,7 +469,9 @@ const adminController = {
             companyName: String(row.companyName).trim(),
             companyLogo: row.companyLogo ? String(row.companyLogo).trim() : undefined,
             location: String(row.location).trim(),
+            ...locationAttributes(String(row.location).trim()),
             salary: String(row.salary).trim(),
+            ...payAttributes('salary', String(row.salary).trim()),
             jobDescription: String(row.jobDescription).trim(),
             originalLink: String(row.originalLink).trim(),
             category: String(row.category).trim(),
@@ -393,6 +490,12 @@ const adminController = {
             status: 'active'
           };
   
+          Object.assign(job, batchAttributes(job.batch));
+          job.fingerprint = jobDuplicates.fingerprint(job);
+
+          // Rows uploaded by editors are saved as drafts for review
+          applyPublication(job, {}, 'jobs', req.admin);
+
           if (isNaN(Date.parse(job.expiresOn))) {
             errors.push({ 
               row: i + 1, 
@@ -401,54 +504,64 @@ const adminController = {
             continue;
           }
   
-          jobs.push(job);
-  
-          // ✅ Generate shareable text (your format)
-          shareableTexts.push(`${job.companyName} is hiring for ${job.role} with the ${job.salary}. Hurry Up!\nApply here: https://india-jobs.in/jobs/${job.jobId}`);
-  
+          entries.push({ row: i + 1, item: job });
         } catch (error) {
           errors.push({ row: i + 1, error: error.message });
         }
       }
+
+      // Rows repeating an existing job, or an earlier row, follow the policy
+      const { toCreate: jobs, toUpdate, duplicates } = await jobDuplicates.partition(entries, policy, req.admin);
+
+      // ✅ Generate shareable text (your format)
+      const shareableTexts = jobs.map(job =>
+        `${job.companyName} is hiring for ${job.role} with the ${job.salary}. Hurry Up!\nApply here: https://india-jobs.in/jobs/${job.jobId}`
+      );
   
       if (jobs.length > 0) {
-        const batches = [];
-        for (let i = 0; i < jobs.length; i += 25) {
-          batches.push(jobs.slice(i, i + 25));
+        try {
+          console.log(`Writing ${jobs.length} jobs to table: ${jobsRepository.table.tableName}`);
+          await jobsRepository.batchPut(jobs);
+          console.log(`Successfully wrote ${jobs.length} jobs`);
+        } catch (batchError) {
+          console.error('Error writing jobs batch:', batchError);
+          throw batchError;
         }
+      }
   
-        for (const batch of batches) {
-          try {
-            const params = {
-              RequestItems: {
-                [process.env.JOBS_TABLE]: batch.map(job => ({
-                  PutRequest: { Item: job }
-                }))
-              }
-            };
-  
-            console.log(`Writing batch of ${batch.length} jobs to table: ${process.env.JOBS_TABLE}`);
-            const command = new BatchWriteCommand(params);
-            await docClient.send(command);
-            console.log(`Successfully wrote batch of ${batch.length} jobs`);
-          } catch (batchError) {
-            console.error('Error writing batch to DynamoDB:', batchError);
-            console.error('Batch data:', JSON.stringify(batch, null, 2));
-            throw batchError;
-          }
-        }
+      for (const { existing, item } of toUpdate) {
+        await jobDuplicates.update(existing, item, req.admin);
       }
   
       fs.unlinkSync(req.file.path);
   
+      res.locals.activity = {
+        action: 'bulk-uploaded',
+        targetType: 'job',
+        targetId: req.file.originalname,
+        counts: {
+          rows: data.length,
+          created: jobs.length,
+          updated: toUpdate.length,
+          duplicates: duplicates.length,
+          failed: errors.length
+        }
+      };
+
       res.json({
         message: 'Bulk upload completed',
         successful: jobs.length,
+        updated: toUpdate.length,
+        duplicates: duplicates.length,
+        duplicateDetails: duplicates,
         errors: errors.length,
         errorDetails: errors,
         shareableTexts
       });
     } catch (error) {
+      if (error instanceof InvalidDuplicatePolicyError) {
+        return res.status(400).json({ error: error.message });
+      }
       console.error('Error in bulk upload:', error);
       res.status(500).json({ error: 'Bulk upload failed' });
     }
@@ -460,23 +573,44 @@ const adminController = {
       const { id } = req.params;
       const updates = req.body;
 
-      // First, find the job to get the category (partition key)
-      const scanParams = {
-        TableName: process.env.JOBS_TABLE,
-        FilterExpression: 'jobId = :jobId',
-        ExpressionAttributeValues: {
-          ':jobId': id
-        }
-      };
+      // Re-parse the salary range, location and batch years when they change
+      if (updates.salary !== undefined) {
+        Object.assign(updates, payAttributes('salary', updates.salary));
+      }
+      if (updates.location !== undefined) {
+        Object.assign(updates, locationAttributes(updates.location));
+      }
+      if (updates.batch !== undefined) {
+        Object.assign(updates, batchAttributes(updates.batch));
+      }
 
-      const scanCommand = new ScanCommand(scanParams);
-      const scanResult = await docClient.send(scanCommand);
+      // First, find the job to get the category (partition key). Jobs in the
+      // trash are restored from there, not edited.
+      const existingJob = await jobsRepository.findById(id);
 
-      if (!scanResult.Items || scanResult.Items.length === 0) {
+      if (!existingJob || isTrashed(existingJob)) {
         return res.status(404).json({ error: 'Job not found' });
       }
 
-      const existingJob = scanResult.Items[0];
+      // Publish, unpublish or reschedule when draft or publishAt is given
+      applyPublicationChanges(updates, req.body, 'jobs', req.admin, existingJob);
+
+      // An edit must not turn the job into a copy of another one
+      if (jobDuplicates.affects(updates)) {
+        const changedJob = { ...existingJob, ...updates };
+        const duplicate = duplicatePolicy(req) === 'allow' ? null : await jobDuplicates.findDuplicate(changedJob);
+        if (duplicate) {
+          return res.status(409).json({
+            error: 'A job with the same company, role and link already exists',
+            duplicateOf: duplicate.jobId
+          });
+        }
+        updates.fingerprint = jobDuplicates.fingerprint(changedJob);
+      }
+
+      // Keep the job as it was, so this edit can be undone
+      await recordRevision('jobs', id, existingJob, { admin: req.admin });
+
       const newCategory = updates.category;
       const oldCategory = existingJob.category;
 
@@ -492,88 +626,45 @@ const adminController = {
           category: newCategory // Ensure the new category is set
         };
 
-        // Put the new item
-        const putParams = {
-          TableName: process.env.JOBS_TABLE,
-          Item: newJobData
-        };
-        const putCommand = new PutCommand(putParams);
-        await docClient.send(putCommand);
-
-        // Delete the old item
-        const deleteParams = {
-          TableName: process.env.JOBS_TABLE,
-          Key: {
-            category: oldCategory,
-            jobId: id
-          }
-        };
-        const deleteCommand = new DeleteCommand(deleteParams);
-        await docClient.send(deleteCommand);
+        // Put the new item, then delete the old one
+        await jobsRepository.put(newJobData);
+        await jobsRepository.delete(existingJob);
 
         // Log activity
-        if (req.admin && req.admin.email) {
-          await logActivity({
-            action: 'updated',
-            targetType: 'job',
-            targetId: id,
-            adminEmail: req.admin.email,
-          });
-        }
-
-
+        res.locals.activity = {
+          action: 'updated',
+          targetType: 'job',
+          targetId: id,
+          before: existingJob,
+          after: newJobData
+        };
 
         res.json({
           message: `Job updated successfully and moved from "${oldCategory}" to "${newCategory}"`,
           job: newJobData
         });
       } else {
-        // Category is not changing - do normal update
-        // Build update expression
-        let updateExpression = 'SET ';
-        const expressionAttributeNames = {};
-        const expressionAttributeValues = {};
-
-        Object.keys(updates).forEach((key, index) => {
-          if (key !== 'jobId' && key !== 'category') { // Don't update keys
-            updateExpression += `#${key} = :${key}`;
-            if (index < Object.keys(updates).length - 1) updateExpression += ', ';
-            expressionAttributeNames[`#${key}`] = key;
-            expressionAttributeValues[`:${key}`] = updates[key];
-          }
-        });
-
-        const params = {
-          TableName: process.env.JOBS_TABLE,
-          Key: {
-            category: existingJob.category,
-            jobId: id
-          },
-          UpdateExpression: updateExpression,
-          ExpressionAttributeNames: expressionAttributeNames,
-          ExpressionAttributeValues: expressionAttributeValues,
-          ReturnValues: 'ALL_NEW'
-        };
-
-        const command = new UpdateCommand(params);
-        const result = await docClient.send(command);
+        // Category is not changing - do normal update (key attributes are left alone)
+        const updatedJob = await jobsRepository.update(existingJob, updates);
 
         // Log activity
-        if (req.admin && req.admin.email) {
-          await logActivity({
-            action: 'updated',
-            targetType: 'job',
-            targetId: id,
-            adminEmail: req.admin.email,
-          });
-        }
-
-
-
+        res.locals.activity = {
+          action: 'updated',
+          targetType: 'job',
+          targetId: id,
+          before: existingJob,
+          after: updatedJob
+        };
 
-        res.json({ message: 'Job updated successfully', job: result.Attributes });
+        res.json({ message: 'Job updated successfully', job: updatedJob });
       }
     } catch (error) {
+      if (error instanceof InvalidDuplicatePolicyError || error instanceof InvalidPublishAtError) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error instanceof ReviewRequiredError) {
+        return res.status(403).json({ error: error.message });
+      }
       console.error('Error updating job:', error);
       res.status(500).json({ error: 'Failed to update job' });
     }
@@ -584,46 +675,24 @@ const adminController = {
       const { id } = req.params;
 
       // First, find the job to get the category (partition key)
-      const scanParams = {
-        TableName: process.env.JOBS_TABLE,
-        FilterExpression: 'jobId = :jobId',
-        ExpressionAttributeValues: {
-          ':jobId': id
-        }
-      };
-
-      const scanCommand = new ScanCommand(scanParams);
-      const scanResult = await docClient.send(scanCommand);
+      // There could be multiple jobs with the same jobId in different categories (shouldn't happen, but handle it)
+      const liveJobs = (await jobsRepository.findAllById(id)).filter(job => !isTrashed(job));
 
-      if (!scanResult.Items || scanResult.Items.length === 0) {
-        // If not found, treat as already deleted (idempotent)
-        return res.json({ message: 'Job deleted successfully (not found, already deleted)' });
+      if (liveJobs.length === 0) {
+        return res.status(404).json({ error: 'Job not found' });
       }
 
-      // There could be multiple jobs with the same jobId in different categories (shouldn't happen, but handle it)
-      for (const job of scanResult.Items) {
-        const params = {
-          TableName: process.env.JOBS_TABLE,
-          Key: {
-            category: job.category,
-            jobId: id
-          }
-        };
-        const command = new DeleteCommand(params);
-        await docClient.send(command);
+      // Deleted jobs go to the trash, from where they can be restored
+      for (const job of liveJobs) {
+        await moveToTrash('jobs', job, req.admin);
       }
 
-
-
       // Log activity
-      if (req.admin && req.admin.email) {
-        await logActivity({
-          action: 'deleted',
-          targetType: 'job',
-          targetId: id,
-          adminEmail: req.admin.email,
-        });
-      }
+      res.locals.activity = {
+        action: 'deleted',
+        targetType: 'job',
+        targetId: id
+      };
 
       res.json({ message: 'Job deleted successfully' });
     } catch (error) {
@@ -634,6 +703,7 @@ const adminController = {
 
   async createSarkariJob(req, res) {
     try {
+      const policy = duplicatePolicy(req);
       const jobData = {
         ...req.body,
         jobId: uuidv4(),
@@ -648,25 +718,52 @@ const adminController = {
         }
       }
 
-      const params = {
-        TableName: process.env.SARKARI_JOBS_TABLE,
-        Item: jobData
-      };
+      // Normalized location, next to the original text
+      Object.assign(jobData, locationAttributes(jobData.location));
+      jobData.fingerprint = sarkariJobDuplicates.fingerprint(jobData);
 
-      const command = new PutCommand(params);
-      await docClient.send(command);
-      // Log activity
-      if (req.admin && req.admin.email) {
-        await logActivity({
-          action: 'added',
+      // Saved as a draft or scheduled for later when the request asks so
+      applyPublication(jobData, req.body, 'sarkariJobs', req.admin);
+
+      const existingJob = policy === 'allow' ? null : await sarkariJobDuplicates.findDuplicate(jobData);
+      if (existingJob && policy === 'skip') {
+        return res.status(409).json({
+          error: 'A sarkari job with the same organization, post and notification link already exists',
+          duplicateOf: existingJob.jobId
+        });
+      }
+      if (existingJob) {
+        const updatedJob = await sarkariJobDuplicates.update(existingJob, jobData, req.admin);
+        res.locals.activity = {
+          action: 'updated',
           targetType: 'sarkari-job',
-          targetId: jobData.jobId,
-          adminEmail: req.admin.email,
+          targetId: existingJob.jobId,
+          before: existingJob,
+          after: updatedJob
+        };
+        return res.json({
+          message: 'Sarkari job already existed and was updated',
+          job: updatedJob,
+          duplicateOf: existingJob.jobId
         });
       }
 
+      await sarkariJobsRepository.put(jobData);
+      // Log activity
+      res.locals.activity = {
+        action: 'added',
+        targetType: 'sarkari-job',
+        targetId: jobData.jobId
+      };
+
       res.status(201).json({ message: 'Sarkari job created successfully', job: jobData });
     } catch (error) {
+      if (error instanceof InvalidDuplicatePolicyError || error instanceof InvalidPublishAtError) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error instanceof ReviewRequiredError) {
+        return res.status(403).json({ error: error.message });
+      }
       console.error('Error creating sarkari job:', error);
       res.status(500).json({ error: 'Failed to create sarkari job' });
     }
@@ -674,6 +771,8 @@ const adminController = {
 
   async bulkUploadSarkariJobs(req, res) {
     try {
+      const policy = duplicatePolicy(req);
+
       if (!req.file) {
         return res.status(400).json({ error: 'File is required' });
       }
@@ -683,7 +782,7 @@ const adminController = {
       const worksheet = workbook.Sheets[sheetName];
       const data = xlsx.utils.sheet_to_json(worksheet);
 
-      const jobs = [];
+      const entries = [];
       const errors = [];
 
               for (let i = 0; i < data.length; i++) {
@@ -720,6 +819,8 @@ const adminController = {
               jobId: uuidv4(),
               postName: String(row.postName).trim(),
               organization: String(row.organization).trim(),
+              location: row.location ? String(row.location).trim() : undefined,
+              ...locationAttributes(row.location ? String(row.location).trim() : undefined),
               advertisementNo: row.advertisementNo ? String(row.advertisementNo).trim() : undefined,
               importantDates: importantDates,
               applicationFee: row.applicationFee ? String(row.applicationFee).trim() : undefined,
@@ -732,61 +833,74 @@ const adminController = {
               createdAt: new Date().toISOString(),
               status: 'active'
             };
+            job.fingerprint = sarkariJobDuplicates.fingerprint(job);
+
+            // Rows uploaded by editors are saved as drafts for review
+            applyPublication(job, {}, 'sarkariJobs', req.admin);
 
-            jobs.push(job);
+            entries.push({ row: i + 1, item: job });
           } catch (error) {
             errors.push({ row: i + 1, error: error.message });
           }
         }
 
-      // Batch write to DynamoDB
-      if (jobs.length > 0) {
-        const batches = [];
-        for (let i = 0; i < jobs.length; i += 25) {
-          batches.push(jobs.slice(i, i + 25));
-        }
+      // Rows repeating an existing job, or an earlier row, follow the policy
+      const { toCreate: jobs, toUpdate, duplicates } = await sarkariJobDuplicates.partition(entries, policy, req.admin);
 
-        for (const batch of batches) {
-          try {
-            const params = {
-              RequestItems: {
-                [process.env.SARKARI_JOBS_TABLE]: batch.map(job => ({
-                  PutRequest: { Item: job }
-                }))
-              }
-            };
-
-            console.log(`Writing batch of ${batch.length} sarkari jobs to table: ${process.env.SARKARI_JOBS_TABLE}`);
-            const command = new BatchWriteCommand(params);
-            await docClient.send(command);
-            console.log(`Successfully wrote batch of ${batch.length} sarkari jobs`);
-          } catch (batchError) {
-            console.error('Error writing batch to DynamoDB:', batchError);
-            console.error('Batch data:', JSON.stringify(batch, null, 2));
-            
-            // Add detailed error information
-            if (batchError.name === 'ValidationException') {
-              console.error('Validation error details:', {
-                message: batchError.message,
-                code: batchError.code,
-                statusCode: batchError.$metadata?.httpStatusCode
-              });
-            }
-            
-            throw batchError;
+      // Batch write
+      if (jobs.length > 0) {
+        try {
+          console.log(`Writing ${jobs.length} sarkari jobs to table: ${sarkariJobsRepository.table.tableName}`);
+          await sarkariJobsRepository.batchPut(jobs);
+          console.log(`Successfully wrote ${jobs.length} sarkari jobs`);
+        } catch (batchError) {
+          console.error('Error writing sarkari jobs batch:', batchError);
+          
+          // Add detailed error information
+          if (batchError.name === 'ValidationException') {
+            console.error('Validation error details:', {
+              message: batchError.message,
+              code: batchError.code,
+              statusCode: batchError.$metadata?.httpStatusCode
+            });
           }
+          
+          throw batchError;
         }
       }
 
+      for (const { existing, item } of toUpdate) {
+        await sarkariJobDuplicates.update(existing, item, req.admin);
+      }
+
       fs.unlinkSync(req.file.path);
 
+      res.locals.activity = {
+        action: 'bulk-uploaded',
+        targetType: 'sarkari-job',
+        targetId: req.file.originalname,
+        counts: {
+          rows: data.length,
+          created: jobs.length,
+          updated: toUpdate.length,
+          duplicates: duplicates.length,
+          failed: errors.length
+        }
+      };
+
       res.json({
         message: 'Sarkari jobs bulk upload completed',
         successful: jobs.length,
+        updated: toUpdate.length,
+        duplicates: duplicates.length,
+        duplicateDetails: duplicates,
         errors: errors.length,
         errorDetails: errors
       });
     } catch (error) {
+      if (error instanceof InvalidDuplicatePolicyError) {
+        return res.status(400).json({ error: error.message });
+      }
       console.error('Error in sarkari jobs bulk upload:', error);
       res.status(500).json({ error: 'Sarkari jobs bulk upload failed' });
     }
@@ -797,66 +911,55 @@ const adminController = {
       const { id } = req.params;
       const updates = req.body;
 
-      // Find the job first
-      const scanParams = {
-        TableName: process.env.SARKARI_JOBS_TABLE,
-        FilterExpression: 'jobId = :jobId',
-        ExpressionAttributeValues: {
-          ':jobId': id
-        }
-      };
-
-      const scanCommand = new ScanCommand(scanParams);
-      const scanResult = await docClient.send(scanCommand);
+      // Find the job first; jobs in the trash are restored, not edited
+      const existingJob = await sarkariJobsRepository.findById(id);
 
-      if (!scanResult.Items || scanResult.Items.length === 0) {
+      if (!existingJob || isTrashed(existingJob)) {
         return res.status(404).json({ error: 'Sarkari job not found' });
       }
 
-      const existingJob = scanResult.Items[0];
-
-      let updateExpression = 'SET ';
-      const expressionAttributeNames = {};
-      const expressionAttributeValues = {};
+      // Re-normalize the location when its text changes
+      if (updates.location !== undefined) {
+        Object.assign(updates, locationAttributes(updates.location));
+      }
 
-      Object.keys(updates).forEach((key, index) => {
-        if (key !== 'jobId' && key !== 'organization') {
-          updateExpression += `#${key} = :${key}`;
-          if (index < Object.keys(updates).length - 1) updateExpression += ', ';
-          expressionAttributeNames[`#${key}`] = key;
-          expressionAttributeValues[`:${key}`] = updates[key];
+      // Publish, unpublish or reschedule when draft or publishAt is given
+      applyPublicationChanges(updates, req.body, 'sarkariJobs', req.admin, existingJob);
+
+      // An edit must not turn the job into a copy of another one
+      if (sarkariJobDuplicates.affects(updates)) {
+        const changedJob = { ...existingJob, ...updates };
+        const duplicate = duplicatePolicy(req) === 'allow' ? null : await sarkariJobDuplicates.findDuplicate(changedJob);
+        if (duplicate) {
+          return res.status(409).json({
+            error: 'A sarkari job with the same organization, post and notification link already exists',
+            duplicateOf: duplicate.jobId
+          });
         }
-      });
-
-      const params = {
-        TableName: process.env.SARKARI_JOBS_TABLE,
-        Key: {
-          organization: existingJob.organization,
-          jobId: id
-        },
-        UpdateExpression: updateExpression,
-        ExpressionAttributeNames: expressionAttributeNames,
-        ExpressionAttributeValues: expressionAttributeValues,
-        ReturnValues: 'ALL_NEW'
-      };
-
-      const command = new UpdateCommand(params);
-      const result = await docClient.send(command);
-      // Log activity
-      if (req.admin && req.admin.email) {
-        await logActivity({
-          action: 'updated',
-          targetType: 'sarkari-job',
-          targetId: id,
-          adminEmail: req.admin.email,
-        });
+        updates.fingerprint = sarkariJobDuplicates.fingerprint(changedJob);
       }
 
+      // Keep the job as it was, so this edit can be undone
+      await recordRevision('sarkariJobs', id, existingJob, { admin: req.admin });
 
+      const updatedJob = await sarkariJobsRepository.update(existingJob, updates);
+      // Log activity
+      res.locals.activity = {
+        action: 'updated',
+        targetType: 'sarkari-job',
+        targetId: id,
+        before: existingJob,
+        after: updatedJob
+      };
 
-
-      res.json({ message: 'Sarkari job updated successfully', job: result.Attributes });
+      res.json({ message: 'Sarkari job updated successfully', job: updatedJob });
     } catch (error) {
+      if (error instanceof InvalidDuplicatePolicyError || error instanceof InvalidPublishAtError) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error instanceof ReviewRequiredError) {
+        return res.status(403).json({ error: error.message });
+      }
       console.error('Error updating sarkari job:', error);
       res.status(500).json({ error: 'Failed to update sarkari job' });
     }
@@ -866,45 +969,21 @@ const adminController = {
     try {
       const { id } = req.params;
 
-      const scanParams = {
-        TableName: process.env.SARKARI_JOBS_TABLE,
-        FilterExpression: 'jobId = :jobId',
-        ExpressionAttributeValues: {
-          ':jobId': id
-        }
-      };
+      const job = await sarkariJobsRepository.findById(id);
 
-      const scanCommand = new ScanCommand(scanParams);
-      const scanResult = await docClient.send(scanCommand);
-
-      if (!scanResult.Items || scanResult.Items.length === 0) {
+      if (!job || isTrashed(job)) {
         return res.status(404).json({ error: 'Sarkari job not found' });
       }
 
-      const job = scanResult.Items[0];
-
-      const params = {
-        TableName: process.env.SARKARI_JOBS_TABLE,
-        Key: {
-          organization: job.organization,
-          jobId: id
-        }
-      };
-
-      const command = new DeleteCommand(params);
-      await docClient.send(command);
-
-
+      // Deleted jobs go to the trash, from where they can be restored
+      await moveToTrash('sarkariJobs', job, req.admin);
 
       // Log activity
-      if (req.admin && req.admin.email) {
-        await logActivity({
-          action: 'deleted',
-          targetType: 'sarkari-job',
-          targetId: id,
-          adminEmail: req.admin.email,
-        });
-      }
+      res.locals.activity = {
+        action: 'deleted',
+        targetType: 'sarkari-job',
+        targetId: id
+      };
 
       res.json({ message: 'Sarkari job deleted successfully' });
     } catch (error) {
@@ -919,14 +998,12 @@ const adminController = {
       if (!email || !password || !role) {
         return res.status(400).json({ error: 'Email, password, and role are required' });
       }
+      if (!isRole(role)) {
+        return res.status(400).json({ error: `role must be one of: ${Object.keys(ROLES).join(', ')}` });
+      }
       // Check if admin already exists
-      const params = {
-        TableName: process.env.ADMINS_TABLE,
-        Key: { email }
-      };
-      const command = new GetCommand(params);
-      const result = await docClient.send(command);
-      if (result.Item) {
+      const existingAdmin = await adminsRepository.get({ email });
+      if (existingAdmin) {
         return res.status(409).json({ error: 'Admin with this email already exists' });
       }
       // Hash password
@@ -937,12 +1014,13 @@ const adminController = {
         role,
         createdAt: new Date().toISOString()
       };
-      const createParams = {
-        TableName: process.env.ADMINS_TABLE,
-        Item: adminData
+      await adminsRepository.put(adminData);
+      res.locals.activity = {
+        action: 'added',
+        targetType: 'admin',
+        targetId: email,
+        after: { email, role }
       };
-      const createCommand = new PutCommand(createParams);
-      await docClient.send(createCommand);
       res.status(201).json({ message: 'Admin created successfully', admin: { email, role } });
     } catch (error) {
       console.error('Error creating admin:', error);
@@ -952,71 +1030,35 @@ const adminController = {
 
   async getStats(req, res) {
     try {
+      // Listings in the trash are left out of every count
       // Count private jobs
-      const jobsParams = {
-        TableName: process.env.JOBS_TABLE,
-      };
-      const jobsCommand = new ScanCommand(jobsParams);
-      const jobsResult = await docClient.send(jobsCommand);
-      const totalPrivateJobs = jobsResult.Items ? jobsResult.Items.length : 0;
-      const activePrivateJobs = jobsResult.Items ? jobsResult.Items.filter(j => j.status === 'active').length : 0;
+      const jobs = (await jobsRepository.scan()).filter(item => !isTrashed(item));
+      const totalPrivateJobs = jobs.length;
+      const activePrivateJobs = jobs.filter(j => j.status === 'active').length;
 
       // Count government jobs
-      const sarkariParams = {
-        TableName: process.env.SARKARI_JOBS_TABLE,
-      };
-      const sarkariCommand = new ScanCommand(sarkariParams);
-      const sarkariResult = await docClient.send(sarkariCommand);
-      const totalGovtJobs = sarkariResult.Items ? sarkariResult.Items.length : 0;
-      const activeGovtJobs = sarkariResult.Items ? sarkariResult.Items.filter(j => j.status === 'active').length : 0;
+      const sarkariJobs = (await sarkariJobsRepository.scan()).filter(item => !isTrashed(item));
+      const totalGovtJobs = sarkariJobs.length;
+      const activeGovtJobs = sarkariJobs.filter(j => j.status === 'active').length;
 
       // Count internships
-      let totalInternships = 0;
-      let activeInternships = 0;
-      if (process.env.INTERNSHIPS_TABLE) {
-        const internParams = {
-          TableName: process.env.INTERNSHIPS_TABLE,
-        };
-        const internCommand = new ScanCommand(internParams);
-        const internResult = await docClient.send(internCommand);
-        totalInternships = internResult.Items ? internResult.Items.length : 0;
-        activeInternships = internResult.Items ? internResult.Items.filter(i => i.isActive === true).length : 0;
-      }
+      const internships = (await internshipsRepository.scan()).filter(item => !isTrashed(item));
+      const totalInternships = internships.length;
+      const activeInternships = internships.filter(i => i.isActive === true).length;
 
       // Count walking
-      let totalWalking = 0;
-      let activeWalking = 0;
-      if (process.env.WALKING_TABLE) {
-        const walkingParams = {
-          TableName: process.env.WALKING_TABLE,
-        };
-        const walkingCommand = new ScanCommand(walkingParams);
-        const walkingResult = await docClient.send(walkingCommand);
-        totalWalking = walkingResult.Items ? walkingResult.Items.length : 0;
-        activeWalking = walkingResult.Items ? walkingResult.Items.filter(w => w.isActive === true).length : 0;
-      }
+      const walking = (await walkingRepository.scan()).filter(item => !isTrashed(item));
+      const totalWalking = walking.length;
+      // Walk-ins created before publication states have no status at all
+      const activeWalking = walking.filter(w => isPublished(w) && w.status !== 'expired').length;
 
       // Count certifications
-      let totalCertifications = 0;
-      if (process.env.CERTIFICATIONS_TABLE) {
-        const certParams = {
-          TableName: process.env.CERTIFICATIONS_TABLE,
-        };
-        const certCommand = new ScanCommand(certParams);
-        const certResult = await docClient.send(certCommand);
-        totalCertifications = certResult.Items ? certResult.Items.length : 0;
-      }
+      const certifications = (await certificationsRepository.scan()).filter(item => !isTrashed(item));
+      const totalCertifications = certifications.length;
 
       // Count subscriptions
-      let totalSubscriptions = 0;
-      if (process.env.SUBSCRIPTIONS_TABLE) {
-        const subsParams = {
-          TableName: process.env.SUBSCRIPTIONS_TABLE,
-        };
-        const subsCommand = new ScanCommand(subsParams);
-        const subsResult = await docClient.send(subsCommand);
-        totalSubscriptions = subsResult.Items ? subsResult.Items.length : 0;
-      }
+      const subscriptions = await subscriptionsRepository.scan();
+      const totalSubscriptions = subscriptions.length;
 
       res.json({
         totalPrivateJobs,
@@ -1036,31 +1078,94 @@ const adminController = {
     }
   },
 
+  // Admin activity, newest first. Filters: `admin` (email), `action`,
+  // `targetType`, `targetId`, and `from`/`to` dates (a date alone covers the
+  // whole day). Read through the activities' time-ordered indexes a page at
+  // a time: `limit` (default 20, at most 100) per page, and the `cursor`
+  // from the previous page for the next.
   async getRecentActivity(req, res) {
     try {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 20;
-      const params = {
-        TableName: 'AdminActivities',
-      };
-      const command = new ScanCommand(params);
-      const data = await docClient.send(command);
-      const sorted = data.Items.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-      const total = sorted.length;
-      const start = (page - 1) * limit;
-      const end = start + limit;
-      const activities = sorted.slice(start, end);
+      const { admin, action, targetType, targetId, from, to, cursor } = req.query;
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+      // One admin's activity has its own index, the rest is read from the
+      // feed every activity is in
+      const [indexKey, partitionKey, partitionValue] = admin
+        ? ['byAdmin', 'adminEmail', admin]
+        : ['recent', 'feed', logActivity.ACTIVITY_FEED];
+
+      let startKey;
+      if (cursor) {
+        startKey = fromKeyCursor(cursor, ['id', 'timestamp', partitionKey]);
+        if (startKey[partitionKey] !== partitionValue) {
+          throw new InvalidCursorError();
+        }
+      }
+
+      const page = await activitiesRepository.queryIndexPage(indexKey, partitionValue, {
+        range: dateRange(from, to),
+        conditions: {
+          action: action ? logActivity.normalizeAction(action) : undefined,
+          targetType: targetType ? logActivity.normalizeTargetType(targetType) : undefined,
+          targetId: targetId || undefined
+        },
+        descending: true,
+        limit,
+        startKey
+      });
+
       res.json({
-        activities,
-        total,
-        page,
-        totalPages: Math.ceil(total / limit),
+        activities: page.items,
         limit,
+        hasNext: page.lastKey !== null,
+        hasPrev: Boolean(cursor),
+        nextCursor: toKeyCursor(page.lastKey)
       });
     } catch (error) {
+      if (error instanceof InvalidCursorError || error instanceof InvalidDateError) {
+        return res.status(400).json({ error: error.message });
+      }
       console.error('Error fetching recent activities:', error);
       res.status(500).json({ error: 'Failed to fetch recent activities' });
     }
+  },
+
+  // Unpublished listings, which the public routes hide: drafts, ones in
+  // review, scheduled and archived. `type` narrows to some verticals,
+  // `status` to one of those states.
+  async getDrafts(req, res) {
+    try {
+      const types = req.query.type
+        ? req.query.type.split(',').map(t => t.trim()).filter(Boolean)
+        : Object.keys(verticals);
+      const unknownTypes = types.filter(t => !verticals[t]);
+      if (unknownTypes.length > 0) {
+        return res.status(400).json({ error: unknownTypeMessage(unknownTypes) });
+      }
+
+      const statuses = req.query.status ? [req.query.status] : UNPUBLISHED_STATUSES;
+      if (!statuses.every(status => UNPUBLISHED_STATUSES.includes(status))) {
+        return res.status(400).json({ error: `status must be one of: ${UNPUBLISHED_STATUSES.join(', ')}` });
+      }
+
+      const drafts = {};
+      let count = 0;
+      for (const type of types) {
+        const items = (await verticals[type].repository.scan()).filter(item => statuses.includes(item.status));
+        // Scheduled ones in the order they go live, then drafts
+        items.sort((a, b) => {
+          if (!a.publishAt || !b.publishAt) return (a.publishAt ? 0 : 1) - (b.publishAt ? 0 : 1);
+          return a.publishAt.localeCompare(b.publishAt);
+        });
+        drafts[type] = items;
+        count += items.length;
+      }
+
+      res.json({ drafts, count });
+    } catch (error) {
+      console.error('Error fetching drafts:', error);
+      res.status(500).json({ error: 'Failed to fetch drafts' });
+    }
   }
 };
 
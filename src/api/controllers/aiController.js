@@ -1,12 +1,9 @@
 const axios = require('axios');
 const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
-const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, ScanCommand } = require('@aws-sdk/lib-dynamodb');
 const pdfParse = require('pdf-parse');
+const { jobsRepository, internshipsRepository } = require('../../repositories');
 
 const s3Client = new S3Client({ region: process.env.AWS_REGION });
-const dynamoClient = new DynamoDBClient({ region: process.env.AWS_REGION });
-const docClient = DynamoDBDocumentClient.from(dynamoClient);
 
 const aiController = {
   async analyzeCv(req, res) {
@@ -26,59 +23,31 @@ const aiController = {
 
       if (internshipId) {
         console.log('Looking for internship with ID:', internshipId);
-        console.log('Using table:', process.env.INTERNSHIPS_TABLE);
+        console.log('Using table:', internshipsRepository.table.tableName);
         
-        // Fetch internship details from DynamoDB
-        const internshipParams = {
-          TableName: process.env.INTERNSHIPS_TABLE,
-          FilterExpression: 'id = :id',
-          ExpressionAttributeValues: {
-            ':id': internshipId
-          }
-        };
+        // Fetch internship details
+        job = await internshipsRepository.findById(internshipId);
 
-        console.log('Internship search params:', internshipParams);
-
-        const internshipCommand = new ScanCommand(internshipParams);
-        const internshipResult = await docClient.send(internshipCommand);
-
-        console.log('Internship search result:', internshipResult);
-
-        if (!internshipResult.Items || internshipResult.Items.length === 0) {
+        if (!job) {
           console.log('No internship found with ID:', internshipId);
           return res.status(404).json({ error: 'Internship not found' });
         }
 
-        job = internshipResult.Items[0];
         isInternship = true;
         console.log('Found internship:', job);
       } else {
         console.log('Looking for job with ID:', jobId);
-        console.log('Using table:', process.env.JOBS_TABLE);
+        console.log('Using table:', jobsRepository.table.tableName);
         console.log('All environment variables:', Object.keys(process.env).filter(key => key.includes('TABLE')));
         
-        // Fetch job details from DynamoDB
-        const jobParams = {
-          TableName: process.env.JOBS_TABLE,
-          FilterExpression: 'jobId = :jobId',
-          ExpressionAttributeValues: {
-            ':jobId': jobId
-          }
-        };
-
-        console.log('Job search params:', jobParams);
-
-        const jobCommand = new ScanCommand(jobParams);
-        const jobResult = await docClient.send(jobCommand);
+        // Fetch job details
+        job = await jobsRepository.findById(jobId);
 
-        console.log('Job search result:', jobResult);
-
-        if (!jobResult.Items || jobResult.Items.length === 0) {
+        if (!job) {
           console.log('No job found with ID:', jobId);
           return res.status(404).json({ error: 'Job not found' });
         }
 
-        job = jobResult.Items[0];
         console.log('Found job:', job);
       }
 
@@ -264,23 +233,13 @@ async function callGeminiAPI(prompt) {
 // Get suggested jobs based on matching skills
 async function getSuggestedJobs(matchingSkills, currentJobId) {
   try {
-    const params = {
-      TableName: process.env.JOBS_TABLE,
-      FilterExpression: '#status = :active AND jobId <> :currentJobId',
-      ExpressionAttributeNames: {
-        '#status': 'status'
-      },
-      ExpressionAttributeValues: {
-        ':active': 'active',
-        ':currentJobId': currentJobId
-      }
-    };
-
-    const command = new ScanCommand(params);
-    const result = await docClient.send(command);
+    const jobs = await jobsRepository.scan({
+      status: 'active',
+      jobId: { ne: currentJobId }
+    });
 
     // Score jobs based on skill matches
-    const scoredJobs = result.Items.map(job => {
+    const scoredJobs = jobs.map(job => {
       const jobTags = Array.isArray(job.tags)
         ? job.tags
         : typeof job.tags === 'string'
@@ -1,14 +1,25 @@
-const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, DeleteCommand, BatchWriteCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
 const multer = require('multer');
 const csv = require('csv-parser');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const axios = require('axios');
 
-const client = new DynamoDBClient({ region: process.env.AWS_REGION });
-const docClient = DynamoDBDocumentClient.from(client);
-const TABLE_NAME = process.env.CERTIFICATIONS_TABLE || 'certifications';
+const { certificationsRepository } = require('../../repositories');
+const search = require('../../search');
+const { sortListing, InvalidSortError } = require('../utils/sorting');
+const { duplicatePolicy, createDeduplicator, InvalidDuplicatePolicyError } = require('../utils/duplicates');
+const { applyPublication, applyPublicationChanges, isPublished, InvalidPublishAtError, ReviewRequiredError } = require('../utils/publishing');
+const { recordRevision } = require('../utils/revisions');
+const { isTrashed, moveToTrash } = require('../utils/trash');
+const { paginate, InvalidCursorError } = require('../utils/pagination');
+
+// Certifications are the same when provider, title and link match
+const certificationDuplicates = createDeduplicator(certificationsRepository, 'certifications');
+
+// Orders accepted by the listing's `sort` parameter
+const sortOrders = {
+  newest: certification => certification.postedAt
+};
 
 // Configure multer for file uploads
 const upload = multer({ dest: '/tmp/' });
@@ -40,30 +51,21 @@ exports.getAllCertifications = async (req, res) => {
   try {
     const { q: searchTerm } = req.query;
     
-    const params = {
-      TableName: TABLE_NAME,
-      ScanIndexForward: false // Sort by postedAt descending
-    };
-
-    const result = await docClient.send(new ScanCommand(params));
-    
-    let certifications = result.Items || [];
+    // Drafts and certifications awaiting review are not public
+    let certifications = (await certificationsRepository.scan()).filter(isPublished);
     
-    // Case-insensitive search filter in Node.js
+    // Full-text search, ranked by relevance
     if (searchTerm) {
-      const search = searchTerm.toLowerCase();
-      certifications = certifications.filter(cert => {
-        return (
-          (cert.title && cert.title.toLowerCase().includes(search)) ||
-          (cert.provider && cert.provider.toLowerCase().includes(search)) ||
-          (cert.category && cert.category.toLowerCase().includes(search))
-        );
-      });
+      certifications = await search.rank('certifications', certifications, searchTerm);
     }
+
+    certifications = sortListing(certifications, req.query, sortOrders);
+
+    const page = paginate(certifications, req.query, { defaultLimit: 15, idField: 'id' });
     
-    // Add provider logos to each certification
+    // Add provider logos to the certifications on this page
     const certificationsWithLogos = await Promise.all(
-      certifications.map(async (cert) => ({
+      page.items.map(async (cert) => ({
         ...cert,
         providerLogo: await getProviderLogo(cert.provider)
       }))
@@ -72,9 +74,23 @@ exports.getAllCertifications = async (req, res) => {
     res.json({
       success: true,
       certifications: certificationsWithLogos,
-      count: certificationsWithLogos.length
+      count: certificationsWithLogos.length,
+      pagination: {
+        currentPage: page.currentPage,
+        totalPages: page.totalPages,
+        totalCertifications: page.total,
+        hasNext: page.hasNext,
+        hasPrev: page.hasPrev,
+        nextCursor: page.nextCursor
+      }
     });
   } catch (error) {
+    if (error instanceof InvalidCursorError || error instanceof InvalidSortError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error fetching certifications:', error);
     res.status(500).json({
       success: false,
@@ -89,14 +105,9 @@ exports.getCertificationById = async (req, res) => {
   try {
     const { id } = req.params;
     
-    const params = {
-      TableName: TABLE_NAME,
-      Key: { id }
-    };
-
-    const result = await docClient.send(new GetCommand(params));
+    const item = await certificationsRepository.get({ id });
     
-    if (!result.Item) {
+    if (!item || !isPublished(item)) {
       return res.status(404).json({
         success: false,
         message: 'Certification not found'
@@ -105,8 +116,8 @@ exports.getCertificationById = async (req, res) => {
 
     // Add provider logo
     const certification = {
-      ...result.Item,
-      providerLogo: await getProviderLogo(result.Item.provider)
+      ...item,
+      providerLogo: await getProviderLogo(item.provider)
     };
 
     res.json({
@@ -126,6 +137,7 @@ exports.getCertificationById = async (req, res) => {
 // Create new certification
 exports.createCertification = async (req, res) => {
   try {
+    const policy = duplicatePolicy(req);
     const { title, provider, category, link } = req.body;
     
     if (!title || !provider || !category || !link) {
@@ -145,13 +157,43 @@ exports.createCertification = async (req, res) => {
       postedAt: now,
       lastUpdated: now
     };
+    certification.fingerprint = certificationDuplicates.fingerprint(certification);
 
-    const params = {
-      TableName: TABLE_NAME,
-      Item: certification
-    };
+    // Saved as a draft or scheduled for later when the request asks so
+    applyPublication(certification, req.body, 'certifications', req.admin);
+
+    const existing = policy === 'allow' ? null : await certificationDuplicates.findDuplicate(certification);
+    if (existing && policy === 'skip') {
+      return res.status(409).json({
+        success: false,
+        message: 'A certification with the same provider, title and link already exists',
+        duplicateOf: existing.id
+      });
+    }
+    if (existing) {
+      const updatedCertification = await certificationDuplicates.update(existing, certification, req.admin);
+      res.locals.activity = {
+        action: 'updated',
+        targetType: 'certification',
+        targetId: existing.id,
+        before: existing,
+        after: updatedCertification
+      };
+      return res.json({
+        success: true,
+        message: 'Certification already existed and was updated',
+        certification: updatedCertification,
+        duplicateOf: existing.id
+      });
+    }
+
+    await certificationsRepository.put(certification);
 
-    await docClient.send(new PutCommand(params));
+    res.locals.activity = {
+      action: 'added',
+      targetType: 'certification',
+      targetId: certification.id
+    };
 
     res.status(201).json({
       success: true,
@@ -159,6 +201,18 @@ exports.createCertification = async (req, res) => {
       certification
     });
   } catch (error) {
+    if (error instanceof InvalidDuplicatePolicyError || error instanceof InvalidPublishAtError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error instanceof ReviewRequiredError) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error creating certification:', error);
     res.status(500).json({
       success: false,
@@ -181,28 +235,70 @@ exports.updateCertification = async (req, res) => {
       });
     }
 
-    const params = {
-      TableName: TABLE_NAME,
-      Key: { id },
-      UpdateExpression: 'SET title = :title, provider = :provider, category = :category, link = :link, lastUpdated = :lastUpdated',
-      ExpressionAttributeValues: {
-        ':title': title,
-        ':provider': provider,
-        ':category': category,
-        ':link': link,
-        ':lastUpdated': new Date().toISOString()
-      },
-      ReturnValues: 'ALL_NEW'
+    // Certifications in the trash are restored from there, not edited
+    const existing = await certificationsRepository.get({ id });
+    if (!existing || isTrashed(existing)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Certification not found'
+      });
+    }
+
+    // An edit must not turn the certification into a copy of another one
+    const duplicate = duplicatePolicy(req) === 'allow'
+      ? null
+      : await certificationDuplicates.findDuplicate({ id, title, provider, link });
+    if (duplicate) {
+      return res.status(409).json({
+        success: false,
+        message: 'A certification with the same provider, title and link already exists',
+        duplicateOf: duplicate.id
+      });
+    }
+
+    const changes = {
+      title,
+      provider,
+      category,
+      link,
+      fingerprint: certificationDuplicates.fingerprint({ title, provider, link }),
+      lastUpdated: new Date().toISOString()
     };
 
-    const result = await docClient.send(new UpdateCommand(params));
+    // Publish, unpublish or reschedule when draft or publishAt is given
+    applyPublicationChanges(changes, req.body, 'certifications', req.admin, existing);
+
+    // Keep the certification as it was, so this edit can be undone
+    await recordRevision('certifications', id, existing, { admin: req.admin });
+
+    const certification = await certificationsRepository.update({ id }, changes);
+
+    res.locals.activity = {
+      action: 'updated',
+      targetType: 'certification',
+      targetId: id,
+      before: existing,
+      after: certification
+    };
 
     res.json({
       success: true,
       message: 'Certification updated successfully',
-      certification: result.Attributes
+      certification
     });
   } catch (error) {
+    if (error instanceof InvalidDuplicatePolicyError || error instanceof InvalidPublishAtError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error instanceof ReviewRequiredError) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error updating certification:', error);
     res.status(500).json({
       success: false,
@@ -217,12 +313,21 @@ exports.deleteCertification = async (req, res) => {
   try {
     const { id } = req.params;
     
-    const params = {
-      TableName: TABLE_NAME,
-      Key: { id }
-    };
+    // Deleted certifications go to the trash, from where they can be restored
+    const certification = await certificationsRepository.get({ id });
+    if (!certification || isTrashed(certification)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Certification not found'
+      });
+    }
 
-    await docClient.send(new DeleteCommand(params));
+    await moveToTrash('certifications', certification, req.admin);
+    res.locals.activity = {
+      action: 'deleted',
+      targetType: 'certification',
+      targetId: id
+    };
 
     res.json({
       success: true,
@@ -241,6 +346,8 @@ exports.deleteCertification = async (req, res) => {
 // Bulk upload certifications from CSV
 exports.bulkUploadCertifications = async (req, res) => {
   try {
+    const policy = duplicatePolicy(req);
+
     if (!req.file) {
       return res.status(400).json({
         success: false,
@@ -249,14 +356,17 @@ exports.bulkUploadCertifications = async (req, res) => {
     }
 
     const certifications = [];
+    let rowNumber = 0;
     
     // Parse CSV file
     await new Promise((resolve, reject) => {
       fs.createReadStream(req.file.path)
         .pipe(csv())
         .on('data', (row) => {
+          rowNumber += 1;
           if (row.title && row.provider && row.category && row.link) {
             certifications.push({
+              row: rowNumber,
               title: row.title.trim(),
               provider: row.provider.trim(),
               category: row.category.trim(),
@@ -286,51 +396,64 @@ exports.bulkUploadCertifications = async (req, res) => {
     }
 
     const now = new Date().toISOString();
-    const certificationsToUpload = certifications.map(cert => ({
-      id: `cert_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      title: cert.title,
-      provider: cert.provider,
-      category: cert.category,
-      link: cert.link,
-      postedAt: now,
-      lastUpdated: now
-    }));
-
-    // Batch write to DynamoDB (25 items per batch)
-    const batchSize = 25;
-    const batches = [];
-    
-    for (let i = 0; i < certificationsToUpload.length; i += batchSize) {
-      batches.push(certificationsToUpload.slice(i, i + batchSize));
-    }
-
-    const writePromises = batches.map(batch => {
-      const params = {
-        RequestItems: {
-          [TABLE_NAME]: batch.map(item => ({
-            PutRequest: {
-              Item: item
-            }
-          }))
-        }
+    const entries = certifications.map(cert => {
+      const certification = {
+        id: `cert_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        title: cert.title,
+        provider: cert.provider,
+        category: cert.category,
+        link: cert.link,
+        postedAt: now,
+        lastUpdated: now
       };
-      return docClient.send(new BatchWriteCommand(params));
+      certification.fingerprint = certificationDuplicates.fingerprint(certification);
+
+      // Rows uploaded by editors are saved as drafts for review
+      applyPublication(certification, {}, 'certifications', req.admin);
+      return { row: cert.row, item: certification };
     });
 
-    await Promise.all(writePromises);
+    // Rows repeating an existing certification, or an earlier row, follow the policy
+    const { toCreate: certificationsToUpload, toUpdate, duplicates } = await certificationDuplicates.partition(entries, policy, req.admin);
+
+    await certificationsRepository.batchPut(certificationsToUpload);
+    for (const { existing, item } of toUpdate) {
+      await certificationDuplicates.update(existing, item, req.admin);
+    }
+
+    res.locals.activity = {
+      action: 'bulk-uploaded',
+      targetType: 'certification',
+      targetId: req.file.originalname,
+      counts: {
+        rows: rowNumber,
+        created: certificationsToUpload.length,
+        updated: toUpdate.length,
+        duplicates: duplicates.length,
+        failed: rowNumber - certifications.length
+      }
+    };
 
     res.status(201).json({
       success: true,
       message: `Successfully uploaded ${certificationsToUpload.length} certifications`,
-      count: certificationsToUpload.length
+      count: certificationsToUpload.length,
+      updated: toUpdate.length,
+      duplicates: duplicates.length > 0 ? duplicates : undefined
     });
   } catch (error) {
-    console.error('Error bulk uploading certifications:', error);
-    
     // Clean up uploaded file if it exists
     if (req.file && fs.existsSync(req.file.path)) {
       fs.unlinkSync(req.file.path);
     }
+
+    if (error instanceof InvalidDuplicatePolicyError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error bulk uploading certifications:', error);
     
     res.status(500).json({
       success: false,
@@ -345,22 +468,13 @@ exports.getCertificationsByCategory = async (req, res) => {
   try {
     const { category } = req.params;
     
-    const params = {
-      TableName: TABLE_NAME,
-      FilterExpression: '#category = :category',
-      ExpressionAttributeNames: {
-        '#category': 'category'
-      },
-      ExpressionAttributeValues: {
-        ':category': category
-      }
-    };
-
-    const result = await docClient.send(new ScanCommand(params));
+    const published = (await certificationsRepository.scan({ category })).filter(isPublished);
+    const items = sortListing(published, req.query, sortOrders);
+    const page = paginate(items, req.query, { defaultLimit: 15, idField: 'id' });
     
     // Add provider logos
     const certificationsWithLogos = await Promise.all(
-      result.Items.map(async (cert) => ({
+      page.items.map(async (cert) => ({
         ...cert,
         providerLogo: await getProviderLogo(cert.provider)
       }))
@@ -369,9 +483,23 @@ exports.getCertificationsByCategory = async (req, res) => {
     res.json({
       success: true,
       certifications: certificationsWithLogos,
-      count: certificationsWithLogos.length
+      count: certificationsWithLogos.length,
+      pagination: {
+        currentPage: page.currentPage,
+        totalPages: page.totalPages,
+        totalCertifications: page.total,
+        hasNext: page.hasNext,
+        hasPrev: page.hasPrev,
+        nextCursor: page.nextCursor
+      }
     });
   } catch (error) {
+    if (error instanceof InvalidCursorError || error instanceof InvalidSortError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error fetching certifications by category:', error);
     res.status(500).json({
       success: false,
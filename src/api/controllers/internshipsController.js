@@ -1,5 +1,3 @@
-const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, ScanCommand, PutCommand, GetCommand, DeleteCommand, UpdateCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
 const { v4: uuidv4 } = require('uuid');
 const csv = require('csv-parser');
 const fs = require('fs');
@@ -8,10 +6,31 @@ const multer = require('multer');
 const upload = multer({ dest: 'uploads/' });
 exports.uploadMiddleware = upload.single('file');
 
-const client = new DynamoDBClient({ region: process.env.AWS_REGION });
-const docClient = DynamoDBDocumentClient.from(client);
-
-const TABLE_NAME = process.env.INTERNSHIPS_TABLE || 'internships';
+const { internshipsRepository } = require('../../repositories');
+const { paginate, InvalidCursorError } = require('../utils/pagination');
+const search = require('../../search');
+const { computeFacets, conditionFilter } = require('../utils/facets');
+const { sortListing, InvalidSortError } = require('../utils/sorting');
+const { annualAmount, payAttributes, payOf, payInRange } = require('../utils/pay');
+const { locationAttributes, locationOf, locationFilters, InvalidLocationFilterError } = require('../utils/location');
+const { batchAttributes, batchOf, batchFilters } = require('../utils/batch');
+const { duplicatePolicy, createDeduplicator, InvalidDuplicatePolicyError } = require('../utils/duplicates');
+const { applyPublication, applyPublicationChanges, isPublished, InvalidPublishAtError, ReviewRequiredError } = require('../utils/publishing');
+const { recordRevision } = require('../utils/revisions');
+const { isTrashed, moveToTrash } = require('../utils/trash');
+
+// Stipends without a stated period are monthly
+const STIPEND_OPTIONS = { defaultPeriod: 'month' };
+
+// Internships are the same when company, title and apply link match
+const internshipDuplicates = createDeduplicator(internshipsRepository, 'internships');
+
+// Orders accepted by the listing's `sort` parameter
+const sortOrders = {
+  newest: internship => internship.postedAt,
+  'closing-soon': internship => internship.deadline || internship.endDate,
+  stipend: internship => annualAmount(payOf(internship, 'stipend', STIPEND_OPTIONS))
+};
 
 // Helper function to get company logo
 async function getCompanyLogo(companyName) {
@@ -29,71 +48,83 @@ async function getCompanyLogo(companyName) {
   }
 }
 
+// Repository conditions for the listing filters in a query, keyed by filter
+// name so the filters endpoint can leave one out when counting its facet
+function filterConditions({ category }) {
+  const filters = {};
+
+  // Add category filter
+  if (category) {
+    filters.category = { category };
+  }
+
+  return filters;
+}
+
+// Minimum stipend filter from minStipend, in rupees per month. Internships
+// whose stipend could not be parsed are left out while it is applied.
+function stipendFilter({ minStipend }) {
+  const min = parseFloat(minStipend);
+  if (Number.isNaN(min)) {
+    return null;
+  }
+  return internship => payInRange(payOf(internship, 'stipend', STIPEND_OPTIONS), { min, period: 'month' });
+}
+
+// Filters applied after the scan, keyed like filterConditions: location,
+// city, state, workMode, batch years and stipend
+function itemFilters(query) {
+  const filters = { ...locationFilters(query), ...batchFilters(query) };
+  const byStipend = stipendFilter(query);
+  if (byStipend) {
+    filters.stipend = byStipend;
+  }
+  return filters;
+}
+
 // Get all internships with optional filtering
 exports.getAllInternships = async (req, res) => {
   try {
-    const { category, location, batch, q: searchTerm, page = 1, limit = 15 } = req.query;
-    const offset = (page - 1) * limit;
-
-    let params = {
-      TableName: TABLE_NAME,
-      FilterExpression: '#isActive = :active',
-      ExpressionAttributeNames: {
-        '#isActive': 'isActive'
-      },
-      ExpressionAttributeValues: {
-        ':active': true
-      }
-    };
+    const { q: searchTerm } = req.query;
 
-    // Add category filter
-    if (category) {
-      params.FilterExpression += ' AND category = :category';
-      params.ExpressionAttributeValues[':category'] = category;
-    }
-
-    // Add location filter
-    if (location) {
-      params.FilterExpression += ' AND contains(#location, :location)';
-      params.ExpressionAttributeNames['#location'] = 'location';
-      params.ExpressionAttributeValues[':location'] = location;
-    }
+    const conditions = Object.assign({ isActive: true }, ...Object.values(filterConditions(req.query)));
 
-    // Add batch filter
-    if (batch) {
-      params.FilterExpression += ' AND contains(#batch, :batch)';
-      params.ExpressionAttributeNames['#batch'] = 'batch';
-      params.ExpressionAttributeValues[':batch'] = batch;
-    }
+    let internships = await internshipsRepository.scan(conditions);
 
-    // Note: Search term filter is handled in Node.js to enable case-insensitive search
-    // DynamoDB's contains function is case-sensitive, so we perform case-insensitive
-    // search after fetching results
+    const predicates = Object.values(itemFilters(req.query));
+    internships = internships.filter(internship => predicates.every(predicate => predicate(internship)));
 
-    const command = new ScanCommand(params);
-    const result = await docClient.send(command);
+    // Full-text search, ranked by relevance
+    if (searchTerm) {
+      internships = await search.rank('internships', internships, searchTerm);
+    }
 
-    let internships = result.Items || [];
-    
-    // Sort by posted date (newest first)
-    internships.sort((a, b) => new Date(b.postedAt) - new Date(a.postedAt));
+    internships = sortListing(internships, req.query, sortOrders);
 
     // Paginate
-    const paginatedInternships = internships.slice(offset, offset + parseInt(limit));
+    const page = paginate(internships, req.query, { defaultLimit: 15, idField: 'id' });
 
     const response = {
-      internships: paginatedInternships,
+      internships: page.items,
       pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(internships.length / limit),
-        totalInternships: internships.length,
-        hasNext: offset + parseInt(limit) < internships.length,
-        hasPrev: page > 1
+        currentPage: page.currentPage,
+        totalPages: page.totalPages,
+        totalInternships: page.total,
+        hasNext: page.hasNext,
+        hasPrev: page.hasPrev,
+        nextCursor: page.nextCursor
       }
     };
 
     res.json(response);
   } catch (error) {
+    if (error instanceof InvalidCursorError || error instanceof InvalidSortError ||
+        error instanceof InvalidLocationFilterError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error fetching internships:', error);
     res.status(500).json({
       success: false,
@@ -108,27 +139,16 @@ exports.getInternshipById = async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Since we need to search by id (sort key), we need to scan
-    const params = {
-      TableName: TABLE_NAME,
-      FilterExpression: 'id = :id',
-      ExpressionAttributeValues: {
-        ':id': id
-      }
-    };
+    const internship = await internshipsRepository.findById(id);
 
-    const command = new ScanCommand(params);
-    const result = await docClient.send(command);
-
-    if (!result.Items || result.Items.length === 0) {
+    // Drafts and scheduled internships are not public yet
+    if (!internship || !isPublished(internship)) {
       return res.status(404).json({
         success: false,
         message: 'Internship not found'
       });
     }
 
-    const internship = result.Items[0];
-
     res.json({
       success: true,
       internship
@@ -146,6 +166,7 @@ exports.getInternshipById = async (req, res) => {
 // Create new internship
 exports.createInternship = async (req, res) => {
   try {
+    const policy = duplicatePolicy(req);
     const { title, company, location, startDate, endDate, stipend, duration, applyLink, description, skills, category, batch } = req.body;
 
     if (!title || !company || !location || !applyLink || !category) {
@@ -167,27 +188,59 @@ exports.createInternship = async (req, res) => {
       company,
       companyLogo,
       location,
+      ...locationAttributes(location),
       startDate: startDate || '',
       endDate: endDate || '',
       stipend: stipend || 'Not specified',
+      ...payAttributes('stipend', stipend, STIPEND_OPTIONS),
       duration: duration || 'Not specified',
       applyLink,
       description: description || '',
       skills: Array.isArray(skills) ? skills : (skills ? skills.split(',').map(s => s.trim()) : []),
       category,
       batch: Array.isArray(batch) ? batch : (batch ? batch.split(',').map(b => b.trim()) : []),
+      ...batchAttributes(batch),
       postedAt: now,
       lastUpdated: now,
       isActive: true
     };
+    internshipData.fingerprint = internshipDuplicates.fingerprint(internshipData);
 
-    const params = {
-      TableName: TABLE_NAME,
-      Item: internshipData
-    };
+    // Saved as a draft or scheduled for later when the request asks so
+    applyPublication(internshipData, req.body, 'internships', req.admin);
 
-    const command = new PutCommand(params);
-    await docClient.send(command);
+    const existingInternship = policy === 'allow' ? null : await internshipDuplicates.findDuplicate(internshipData);
+    if (existingInternship && policy === 'skip') {
+      return res.status(409).json({
+        success: false,
+        message: 'An internship with the same company, title and apply link already exists',
+        duplicateOf: existingInternship.id
+      });
+    }
+    if (existingInternship) {
+      const updatedInternship = await internshipDuplicates.update(existingInternship, internshipData, req.admin);
+      res.locals.activity = {
+        action: 'updated',
+        targetType: 'internship',
+        targetId: existingInternship.id,
+        before: existingInternship,
+        after: updatedInternship
+      };
+      return res.json({
+        success: true,
+        message: 'Internship already existed and was updated',
+        internship: updatedInternship,
+        duplicateOf: existingInternship.id
+      });
+    }
+
+    await internshipsRepository.put(internshipData);
+
+    res.locals.activity = {
+      action: 'added',
+      targetType: 'internship',
+      targetId: internshipData.id
+    };
 
     res.status(201).json({
       success: true,
@@ -195,6 +248,18 @@ exports.createInternship = async (req, res) => {
       internship: internshipData
     });
   } catch (error) {
+    if (error instanceof InvalidDuplicatePolicyError || error instanceof InvalidPublishAtError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error instanceof ReviewRequiredError) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error creating internship:', error);
     res.status(500).json({
       success: false,
@@ -210,26 +275,48 @@ exports.updateInternship = async (req, res) => {
     const { id } = req.params;
     const updates = req.body;
 
-    // First, find the internship to get the category (partition key)
-    const scanParams = {
-      TableName: TABLE_NAME,
-      FilterExpression: 'id = :id',
-      ExpressionAttributeValues: {
-        ':id': id
-      }
-    };
+    // Re-parse the stipend range, location and batch years when they change
+    if (updates.stipend !== undefined) {
+      Object.assign(updates, payAttributes('stipend', updates.stipend, STIPEND_OPTIONS));
+    }
+    if (updates.location !== undefined) {
+      Object.assign(updates, locationAttributes(updates.location));
+    }
+    if (updates.batch !== undefined) {
+      Object.assign(updates, batchAttributes(updates.batch));
+    }
 
-    const scanCommand = new ScanCommand(scanParams);
-    const scanResult = await docClient.send(scanCommand);
+    // First, find the internship to get the category (partition key).
+    // Internships in the trash are restored from there, not edited.
+    const existingInternship = await internshipsRepository.findById(id);
 
-    if (!scanResult.Items || scanResult.Items.length === 0) {
+    if (!existingInternship || isTrashed(existingInternship)) {
       return res.status(404).json({
         success: false,
         message: 'Internship not found'
       });
     }
 
-    const existingInternship = scanResult.Items[0];
+    // Publish, unpublish or reschedule when draft or publishAt is given
+    applyPublicationChanges(updates, req.body, 'internships', req.admin, existingInternship);
+
+    // An edit must not turn the internship into a copy of another one
+    if (internshipDuplicates.affects(updates)) {
+      const changedInternship = { ...existingInternship, ...updates };
+      const duplicate = duplicatePolicy(req) === 'allow' ? null : await internshipDuplicates.findDuplicate(changedInternship);
+      if (duplicate) {
+        return res.status(409).json({
+          success: false,
+          message: 'An internship with the same company, title and apply link already exists',
+          duplicateOf: duplicate.id
+        });
+      }
+      updates.fingerprint = internshipDuplicates.fingerprint(changedInternship);
+    }
+
+    // Keep the internship as it was, so this edit can be undone
+    await recordRevision('internships', id, existingInternship, { admin: req.admin });
+
     const newCategory = updates.category;
     const oldCategory = existingInternship.category;
 
@@ -253,24 +340,17 @@ exports.updateInternship = async (req, res) => {
         lastUpdated: new Date().toISOString()
       };
 
-      // Put the new item
-      const putParams = {
-        TableName: TABLE_NAME,
-        Item: newInternshipData
-      };
-      const putCommand = new PutCommand(putParams);
-      await docClient.send(putCommand);
-
-      // Delete the old item
-      const deleteParams = {
-        TableName: TABLE_NAME,
-        Key: {
-          category: oldCategory,
-          id: id
-        }
+      // Put the new item, then delete the old one
+      await internshipsRepository.put(newInternshipData);
+      await internshipsRepository.delete(existingInternship);
+
+      res.locals.activity = {
+        action: 'updated',
+        targetType: 'internship',
+        targetId: id,
+        before: existingInternship,
+        after: newInternshipData
       };
-      const deleteCommand = new DeleteCommand(deleteParams);
-      await docClient.send(deleteCommand);
 
       res.json({
         success: true,
@@ -279,49 +359,42 @@ exports.updateInternship = async (req, res) => {
       });
     } else {
       // Category is not changing - do normal update
-      let updateExpression = 'SET ';
-      const expressionAttributeNames = {};
-      const expressionAttributeValues = {};
-      
-      Object.keys(updates).forEach((key, index) => {
-        if (key !== 'id' && key !== 'category') { // Don't update keys
-          let value = updates[key];
-          if (key === 'batch') {
-            value = Array.isArray(value) ? value : (value ? value.split(',').map(b => b.trim()) : []);
-          }
-          updateExpression += `#${key} = :${key}`;
-          if (index < Object.keys(updates).length - 1) updateExpression += ', ';
-          expressionAttributeNames[`#${key}`] = key;
-          expressionAttributeValues[`:${key}`] = value;
-        }
-      });
+      const changes = { ...updates };
+      if ('batch' in changes) {
+        const value = changes.batch;
+        changes.batch = Array.isArray(value) ? value : (value ? value.split(',').map(b => b.trim()) : []);
+      }
+      changes.lastUpdated = new Date().toISOString();
 
-      // Add lastUpdated
-      updateExpression += ', lastUpdated = :lastUpdated';
-      expressionAttributeValues[':lastUpdated'] = new Date().toISOString();
-
-      const params = {
-        TableName: TABLE_NAME,
-        Key: {
-          category: existingInternship.category,
-          id: id
-        },
-        UpdateExpression: updateExpression,
-        ExpressionAttributeNames: expressionAttributeNames,
-        ExpressionAttributeValues: expressionAttributeValues,
-        ReturnValues: 'ALL_NEW'
-      };
+      const updatedInternship = await internshipsRepository.update(existingInternship, changes);
 
-      const command = new UpdateCommand(params);
-      const result = await docClient.send(command);
+      res.locals.activity = {
+        action: 'updated',
+        targetType: 'internship',
+        targetId: id,
+        before: existingInternship,
+        after: updatedInternship
+      };
 
       res.json({
         success: true,
         message: 'Internship updated successfully',
-        internship: result.Attributes
+        internship: updatedInternship
       });
     }
   } catch (error) {
+    if (error instanceof InvalidDuplicatePolicyError || error instanceof InvalidPublishAtError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error instanceof ReviewRequiredError) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error updating internship:', error);
     res.status(500).json({
       success: false,
@@ -337,37 +410,24 @@ exports.deleteInternship = async (req, res) => {
     const { id } = req.params;
 
     // First, find the internship to get the category (partition key)
-    const scanParams = {
-      TableName: TABLE_NAME,
-      FilterExpression: 'id = :id',
-      ExpressionAttributeValues: {
-        ':id': id
-      }
-    };
+    const internship = await internshipsRepository.findById(id);
 
-    const scanCommand = new ScanCommand(scanParams);
-    const scanResult = await docClient.send(scanCommand);
-
-    if (!scanResult.Items || scanResult.Items.length === 0) {
+    if (!internship || isTrashed(internship)) {
       return res.status(404).json({
         success: false,
         message: 'Internship not found'
       });
     }
 
-    const internship = scanResult.Items[0];
+    // Deleted internships go to the trash, from where they can be restored
+    await moveToTrash('internships', internship, req.admin);
 
-    const params = {
-      TableName: TABLE_NAME,
-      Key: {
-        category: internship.category,
-        id: id
-      }
+    res.locals.activity = {
+      action: 'deleted',
+      targetType: 'internship',
+      targetId: id
     };
 
-    const command = new DeleteCommand(params);
-    await docClient.send(command);
-
     res.json({
       success: true,
       message: 'Internship deleted successfully'
@@ -386,57 +446,45 @@ exports.deleteInternship = async (req, res) => {
 exports.getInternshipsByCategory = async (req, res) => {
   try {
     const { category } = req.params;
-    const { page = 1, limit = 15, q: searchTerm } = req.query;
-    const offset = (page - 1) * limit;
-
-    const params = {
-      TableName: TABLE_NAME,
-      KeyConditionExpression: 'category = :category',
-      FilterExpression: '#isActive = :active',
-      ExpressionAttributeNames: {
-        '#isActive': 'isActive'
-      },
-      ExpressionAttributeValues: {
-        ':category': category,
-        ':active': true
-      }
-    };
+    const { q: searchTerm } = req.query;
 
-    const command = new QueryCommand(params);
-    const result = await docClient.send(command);
+    let internships = await internshipsRepository.query(category, { isActive: true });
 
-    let internships = result.Items || [];
-    
-    // Case-insensitive search filter in Node.js
+    // Location, city, state, work mode and batch filters
+    const predicates = Object.values({ ...locationFilters(req.query), ...batchFilters(req.query) });
+    internships = internships.filter(internship => predicates.every(predicate => predicate(internship)));
+
+    // Full-text search, ranked by relevance
     if (searchTerm) {
-      const search = searchTerm.toLowerCase();
-      internships = internships.filter(internship => {
-        return (
-          (internship.title && internship.title.toLowerCase().includes(search)) ||
-          (internship.company && internship.company.toLowerCase().includes(search))
-        );
-      });
+      internships = await search.rank('internships', internships, searchTerm);
     }
-    
-    // Sort by posted date (newest first)
-    internships.sort((a, b) => new Date(b.postedAt) - new Date(a.postedAt));
+
+    internships = sortListing(internships, req.query, sortOrders);
 
     // Paginate
-    const paginatedInternships = internships.slice(offset, offset + parseInt(limit));
+    const page = paginate(internships, req.query, { defaultLimit: 15, idField: 'id' });
 
     const response = {
-      internships: paginatedInternships,
+      internships: page.items,
       pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(internships.length / limit),
-        totalInternships: internships.length,
-        hasNext: offset + parseInt(limit) < internships.length,
-        hasPrev: page > 1
+        currentPage: page.currentPage,
+        totalPages: page.totalPages,
+        totalInternships: page.total,
+        hasNext: page.hasNext,
+        hasPrev: page.hasPrev,
+        nextCursor: page.nextCursor
       }
     };
 
     res.json(response);
   } catch (error) {
+    if (error instanceof InvalidCursorError || error instanceof InvalidSortError ||
+        error instanceof InvalidLocationFilterError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error fetching internships by category:', error);
     res.status(500).json({
       success: false,
@@ -449,6 +497,8 @@ exports.getInternshipsByCategory = async (req, res) => {
 // Bulk upload internships from CSV
 exports.bulkUploadInternships = async (req, res) => {
   try {
+    const policy = duplicatePolicy(req);
+
     if (!req.file) {
       return res.status(400).json({
         success: false,
@@ -467,10 +517,10 @@ exports.bulkUploadInternships = async (req, res) => {
       })
       .on('end', async () => {
         try {
-          const createdInternships = [];
+          const entries = [];
           const now = new Date().toISOString();
 
-          for (const row of results) {
+          for (const [index, row] of results.entries()) {
             try {
               // Validate required fields
               if (!row.title || !row.company || !row.location || !row.applyLink || !row.category) {
@@ -489,33 +539,48 @@ exports.bulkUploadInternships = async (req, res) => {
                 company: row.company.trim(),
                 companyLogo,
                 location: row.location.trim(),
+                ...locationAttributes(row.location.trim()),
                 startDate: row.startDate || '',
                 endDate: row.endDate || '',
                 stipend: row.stipend || 'Not specified',
+                ...payAttributes('stipend', row.stipend, STIPEND_OPTIONS),
                 duration: row.duration || 'Not specified',
                 applyLink: row.applyLink.trim(),
                 description: row.description || '',
                 skills: row.skills ? row.skills.split(',').map(s => s.trim()) : [],
                 category: row.category.trim(),
                 batch: row.batch ? row.batch.split(',').map(b => b.trim()) : [],
+                ...batchAttributes(row.batch),
                 postedAt: now,
                 lastUpdated: now,
                 isActive: true
               };
+              internshipData.fingerprint = internshipDuplicates.fingerprint(internshipData);
 
-              const params = {
-                TableName: TABLE_NAME,
-                Item: internshipData
-              };
+              // Rows uploaded by editors are saved as drafts for review
+              applyPublication(internshipData, {}, 'internships', req.admin);
+
+              entries.push({ row: index + 1, item: internshipData });
+            } catch (error) {
+              errors.push(`Error processing row: ${JSON.stringify(row)} - ${error.message}`);
+            }
+          }
 
-              const command = new PutCommand(params);
-              await docClient.send(command);
+          // Rows repeating an existing internship, or an earlier row, follow the policy
+          const { toCreate, toUpdate, duplicates } = await internshipDuplicates.partition(entries, policy, req.admin);
 
+          const createdInternships = [];
+          for (const internshipData of toCreate) {
+            try {
+              await internshipsRepository.put(internshipData);
               createdInternships.push(internshipData);
             } catch (error) {
-              errors.push(`Error processing row: ${JSON.stringify(row)} - ${error.message}`);
+              errors.push(`Error processing row: ${JSON.stringify(internshipData)} - ${error.message}`);
             }
           }
+          for (const { existing, item } of toUpdate) {
+            await internshipDuplicates.update(existing, item, req.admin);
+          }
 
           // Clean up uploaded file after processing is complete
           setTimeout(() => {
@@ -526,10 +591,25 @@ exports.bulkUploadInternships = async (req, res) => {
             }
           }, 1000); // Delay file deletion to ensure processing is complete
 
+          res.locals.activity = {
+            action: 'bulk-uploaded',
+            targetType: 'internship',
+            targetId: req.file.originalname,
+            counts: {
+              rows: results.length,
+              created: createdInternships.length,
+              updated: toUpdate.length,
+              duplicates: duplicates.length,
+              failed: errors.length
+            }
+          };
+
           res.json({
             success: true,
             message: `Successfully created ${createdInternships.length} internships`,
             created: createdInternships.length,
+            updated: toUpdate.length,
+            duplicates: duplicates.length > 0 ? duplicates : undefined,
             errors: errors.length > 0 ? errors : undefined
           });
         } catch (error) {
@@ -562,6 +642,12 @@ exports.bulkUploadInternships = async (req, res) => {
         });
       });
   } catch (error) {
+    if (error instanceof InvalidDuplicatePolicyError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error in bulk upload:', error);
     res.status(500).json({
       success: false,
@@ -571,41 +657,52 @@ exports.bulkUploadInternships = async (req, res) => {
   }
 };
 
-// Get unique categories, locations, and batches for filters
+// Get categories, locations, and batches for filters, with result counts
 exports.getInternshipFilters = async (req, res) => {
   try {
-    const params = {
-      TableName: TABLE_NAME,
-      FilterExpression: '#isActive = :active',
-      ExpressionAttributeNames: {
-        '#isActive': 'isActive'
-      },
-      ExpressionAttributeValues: {
-        ':active': true
-      }
-    };
+    const { q: searchTerm } = req.query;
 
-    const command = new ScanCommand(params);
-    const result = await docClient.send(command);
-    
-    // Extract unique categories, locations, and batches
-    const categories = [...new Set(result.Items.map(item => item.category).filter(Boolean))].sort();
-    const locations = [...new Set(result.Items.map(item => item.location).filter(Boolean))].sort();
-    
-    // Extract unique batches from all batch arrays
-    const allBatches = result.Items
-      .filter(item => item.batch && Array.isArray(item.batch))
-      .flatMap(item => item.batch)
-      .filter(Boolean);
-    const batches = [...new Set(allBatches)].sort();
+    let items = await internshipsRepository.scan({ isActive: true });
+    if (searchTerm) {
+      items = await search.rank('internships', items, searchTerm);
+    }
+
+    // Count each option against the other filters in the query
+    const filters = {};
+    Object.entries(filterConditions(req.query)).forEach(([name, conditions]) => {
+      filters[name] = conditionFilter(conditions);
+    });
+    Object.assign(filters, itemFilters(req.query));
+
+    const facets = computeFacets(items, {
+      fields: {
+        category: item => item.category,
+        location: item => item.location,
+        city: item => locationOf(item).cities,
+        state: item => locationOf(item).states,
+        workMode: item => locationOf(item).workMode,
+        batch: item => batchOf(item).map(String)
+      },
+      filters
+    });
 
     res.json({
       success: true,
-      categories,
-      locations,
-      batches
+      categories: facets.category.map(facet => facet.value).sort(),
+      locations: facets.location.map(facet => facet.value).sort(),
+      cities: facets.city.map(facet => facet.value).sort(),
+      states: facets.state.map(facet => facet.value).sort(),
+      workModes: facets.workMode.map(facet => facet.value).sort(),
+      batches: facets.batch.map(facet => facet.value).sort(),
+      facets
     });
   } catch (error) {
+    if (error instanceof InvalidLocationFilterError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error fetching internship filters:', error);
     res.status(500).json({
       success: false,
@@ -1,84 +1,76 @@
-const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, ScanCommand, GetCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
-
-const client = new DynamoDBClient({ region: process.env.AWS_REGION });
-const docClient = DynamoDBDocumentClient.from(client);
-
-const jobsController = {
-  async getJobs(req, res) {
-    try {
-      // Debug: log the entire query object
-      const {
-        page = 1,
-        limit = 15,
-        category,
-        location,
-        batch,
-        tags,
-        q: searchTerm,
-        role // <-- add this
-      } = req.query;
-
-      const offset = (page - 1) * limit;
-
-
-
-      let params = {
-        TableName: process.env.JOBS_TABLE,
-        FilterExpression: '#status = :active',
-        ExpressionAttributeNames: {
-          '#status': 'status'
-        },
-        ExpressionAttributeValues: {
-          ':active': 'active'
-        }
-      };
+const { jobsRepository } = require('../../repositories');
+const { paginate, InvalidCursorError } = require('../utils/pagination');
+const search = require('../../search');
+const { computeFacets, conditionFilter } = require('../utils/facets');
+const { sortListing, InvalidSortError } = require('../utils/sorting');
+const { annualAmount, payOf, payInRange } = require('../utils/pay');
+const { locationOf, locationFilters, InvalidLocationFilterError } = require('../utils/location');
+const { batchOf, batchFilters } = require('../utils/batch');
+const { isPublished } = require('../utils/publishing');
+
+// Orders accepted by the listing's `sort` parameter
+const sortOrders = {
+  newest: job => job.postedOn,
+  'closing-soon': job => job.expiresOn,
+  salary: job => annualAmount(payOf(job, 'salary'))
+};
 
-      // Add filters
-      if (category) {
-        params.FilterExpression += ' AND category = :category';
-        params.ExpressionAttributeValues[':category'] = category;
-      }
+// Repository conditions for the listing filters in a query, keyed by filter
+// name so the filters endpoint can leave one out when counting its facet
+function filterConditions({ category, tags, role }) {
+  const filters = {};
 
-      if (location) {
-        params.FilterExpression += ' AND contains(#location, :location)';
-        params.ExpressionAttributeNames['#location'] = 'location';
-        params.ExpressionAttributeValues[':location'] = location;
-      }
+  if (category) {
+    filters.category = { category };
+  }
 
-      if (batch) {
-        params.ExpressionAttributeNames['#batch'] = 'batch';
-        if (batch === "Not Mentioned") {
-          // Find jobs where batch is missing or empty
-          params.FilterExpression += ' AND (attribute_not_exists(#batch) OR size(#batch) = :zero)';
-          params.ExpressionAttributeValues[':zero'] = 0;
-        } else {
-          params.FilterExpression += ' AND contains(#batch, :batch)';
-          params.ExpressionAttributeValues[':batch'] = batch;
-        }
-      }
+  if (tags) {
+    filters.tags = { tags: { contains: tags } };
+  }
 
-      if (tags) {
-        params.FilterExpression += ' AND contains(tags, :tags)';
-        params.ExpressionAttributeValues[':tags'] = tags;
-      }
+  if (role) {
+    filters.role = { role };
+  }
 
+  return filters;
+}
 
+// Salary range filter from minSalary/maxSalary, in rupees per year. Jobs
+// whose salary could not be parsed are left out while it is applied.
+function salaryFilter({ minSalary, maxSalary }) {
+  const min = parseFloat(minSalary);
+  const max = parseFloat(maxSalary);
+  if (Number.isNaN(min) && Number.isNaN(max)) {
+    return null;
+  }
 
-      if (searchTerm) {
-        // Note: DynamoDB's contains function is case-sensitive, so we perform
-        // case-insensitive search in Node.js after fetching results
+  const range = {
+    min: Number.isNaN(min) ? undefined : min,
+    max: Number.isNaN(max) ? undefined : max,
+    period: 'year'
+  };
+  return job => payInRange(payOf(job, 'salary'), range);
+}
+
+// Filters applied after the scan, keyed like filterConditions: location,
+// city, state, workMode, batch years and salary
+function itemFilters(query) {
+  const filters = { ...locationFilters(query), ...batchFilters(query) };
+  const bySalary = salaryFilter(query);
+  if (bySalary) {
+    filters.salary = bySalary;
+  }
+  return filters;
+}
 
-      }
+const jobsController = {
+  async getJobs(req, res) {
+    try {
+      const { q: searchTerm } = req.query;
 
-      if (role) {
-        params.FilterExpression += ' AND #role = :role';
-        params.ExpressionAttributeNames['#role'] = 'role';
-        params.ExpressionAttributeValues[':role'] = role;
-      }
+      const conditions = Object.assign({ status: 'active' }, ...Object.values(filterConditions(req.query)));
 
-      const command = new ScanCommand(params);
-      const result = await docClient.send(command);
+      const items = await jobsRepository.scan(conditions);
 
       // Utility to unwrap DynamoDB attributes
       function unwrap(item) {
@@ -96,77 +88,107 @@ const jobsController = {
       }
 
       // Unwrap all items
-      let unwrappedJobs = result.Items.map(unwrap);
-      let filteredJobs = unwrappedJobs.sort((a, b) => new Date(b.postedOn) - new Date(a.postedOn));
+      let filteredJobs = items.map(unwrap);
 
-      // Debug logging
-      console.log("Search term:", searchTerm);
-      console.log("First 3 jobs before filtering:", filteredJobs.slice(0, 3).map(j => j.role));
+      const predicates = Object.values(itemFilters(req.query));
+      filteredJobs = filteredJobs.filter(job => predicates.every(predicate => predicate(job)));
 
-      // Case-insensitive search filter in Node.js
+      // Full-text search, ranked by relevance
       if (searchTerm) {
-        const search = searchTerm.toLowerCase();
-        const normalizedSearch = search.replace(/[^a-z0-9 ]/gi, '');
-        filteredJobs = filteredJobs.filter(job => {
-          if (job.role) {
-            const raw = job.role;
-            const lower = job.role.toLowerCase();
-            const norm = lower.replace(/[^a-z0-9 ]/gi, '');
-            console.log("Comparing:", raw, "| lower:", lower, "| norm:", norm, "| type:", typeof job.role, "| search:", search, "| normSearch:", normalizedSearch);
-          }
-          return (
-            (job.role && job.role.toLowerCase().replace(/[^a-z0-9 ]/gi, '').trim().includes(normalizedSearch)) ||
-            (job.companyName && job.companyName.toLowerCase().replace(/[^a-z0-9 ]/gi, '').trim().includes(normalizedSearch))
-          );
-        });
-        console.log("First 3 jobs after filtering:", filteredJobs.slice(0, 3).map(j => j.role));
+        filteredJobs = await search.rank('jobs', filteredJobs, searchTerm);
       }
 
+      filteredJobs = sortListing(filteredJobs, req.query, sortOrders);
+
       // Paginate
-      const paginatedJobs = filteredJobs.slice(offset, offset + parseInt(limit));
+      const page = paginate(filteredJobs, req.query, { defaultLimit: 15, idField: 'jobId' });
 
       const response = {
-        jobs: paginatedJobs,
+        jobs: page.items,
         pagination: {
-          currentPage: parseInt(page),
-          totalPages: Math.ceil(filteredJobs.length / limit),
-          totalJobs: filteredJobs.length,
-          hasNext: offset + parseInt(limit) < filteredJobs.length,
-          hasPrev: page > 1
+          currentPage: page.currentPage,
+          totalPages: page.totalPages,
+          totalJobs: page.total,
+          hasNext: page.hasNext,
+          hasPrev: page.hasPrev,
+          nextCursor: page.nextCursor
         }
       };
 
       res.json(response);
     } catch (error) {
+      if (error instanceof InvalidCursorError || error instanceof InvalidSortError ||
+          error instanceof InvalidLocationFilterError) {
+        return res.status(400).json({ error: error.message });
+      }
       console.error('Error fetching jobs:', error);
       res.status(500).json({ error: 'Failed to fetch jobs' });
     }
   },
 
-  async getJobById(req, res) {
+  // Filter options with how many active jobs each would give, counted
+  // against the other filters in the query
+  async getJobFilters(req, res) {
     try {
-      const { id } = req.params;
+      const { q: searchTerm } = req.query;
 
+      let items = await jobsRepository.scan({ status: 'active' });
+      if (searchTerm) {
+        items = await search.rank('jobs', items, searchTerm);
+      }
 
+      const filters = {};
+      Object.entries(filterConditions(req.query)).forEach(([name, conditions]) => {
+        filters[name] = conditionFilter(conditions);
+      });
+      Object.assign(filters, itemFilters(req.query));
+
+      const facets = computeFacets(items, {
+        fields: {
+          category: item => item.category,
+          location: item => item.location,
+          city: item => locationOf(item).cities,
+          state: item => locationOf(item).states,
+          workMode: item => locationOf(item).workMode,
+          batch: item => {
+            const years = batchOf(item);
+            return years.length ? years.map(String) : 'Not Mentioned';
+          },
+          tags: item => item.tags
+        },
+        filters
+      });
+
+      res.json({
+        categories: facets.category.map(facet => facet.value).sort(),
+        locations: facets.location.map(facet => facet.value).sort(),
+        cities: facets.city.map(facet => facet.value).sort(),
+        states: facets.state.map(facet => facet.value).sort(),
+        workModes: facets.workMode.map(facet => facet.value).sort(),
+        batches: facets.batch.map(facet => facet.value).sort(),
+        tags: facets.tags.map(facet => facet.value).sort(),
+        facets
+      });
+    } catch (error) {
+      if (error instanceof InvalidLocationFilterError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error fetching job filters:', error);
+      res.status(500).json({ error: 'Failed to fetch job filters' });
+    }
+  },
 
-      // Since we need to search by jobId (sort key), we need to scan
-      const params = {
-        TableName: process.env.JOBS_TABLE,
-        FilterExpression: 'jobId = :jobId',
-        ExpressionAttributeValues: {
-          ':jobId': id
-        }
-      };
+  async getJobById(req, res) {
+    try {
+      const { id } = req.params;
 
-      const command = new ScanCommand(params);
-      const result = await docClient.send(command);
+      const job = await jobsRepository.findById(id);
 
-      if (!result.Items || result.Items.length === 0) {
+      // Drafts and scheduled jobs are not public yet
+      if (!job || !isPublished(job)) {
         return res.status(404).json({ error: 'Job not found' });
       }
 
-      const job = result.Items[0];
-
       res.json(job);
     } catch (error) {
       console.error('Error fetching job:', error);
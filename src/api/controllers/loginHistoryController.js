@@ -0,0 +1,68 @@
+const { loginHistoryRepository } = require('../../repositories');
+const { paginate, InvalidCursorError } = require('../utils/pagination');
+const { dateRange, InvalidDateError } = require('../utils/dateRange');
+
+// Scan conditions for the filters admins can use: `success` (true/false) and
+// a `from`/`to` date range
+function historyConditions(query) {
+  const { success, from, to } = query;
+  return {
+    success: success === undefined ? undefined : success === 'true',
+    at: dateRange(from, to)
+  };
+}
+
+function sendPage(res, entries, query) {
+  const sorted = entries.sort((a, b) => b.at.localeCompare(a.at));
+  const page = paginate(sorted, query, { defaultLimit: 20, idField: 'id' });
+  res.json({
+    history: page.items,
+    total: page.total,
+    page: page.currentPage,
+    totalPages: page.totalPages,
+    limit: page.limit,
+    hasNext: page.hasNext,
+    hasPrev: page.hasPrev,
+    nextCursor: page.nextCursor
+  });
+}
+
+function badQuery(res, error) {
+  if (error instanceof InvalidCursorError || error instanceof InvalidDateError) {
+    res.status(400).json({ error: error.message });
+    return true;
+  }
+  return false;
+}
+
+const loginHistoryController = {
+  // Sign-in attempts on the signed-in admin's own account, newest first
+  async getMyHistory(req, res) {
+    try {
+      const entries = await loginHistoryRepository.query(req.admin.email, historyConditions(req.query));
+      sendPage(res, entries, req.query);
+    } catch (error) {
+      if (badQuery(res, error)) return;
+      console.error('Error fetching login history:', error);
+      res.status(500).json({ error: 'Failed to fetch login history' });
+    }
+  },
+
+  // Sign-in attempts on every account, or the one given by `email`
+  async getHistory(req, res) {
+    try {
+      const { email } = req.query;
+      const conditions = historyConditions(req.query);
+      const entries = email
+        ? await loginHistoryRepository.query(email, conditions)
+        : await loginHistoryRepository.scan(conditions);
+      sendPage(res, entries, req.query);
+    } catch (error) {
+      if (badQuery(res, error)) return;
+      console.error('Error fetching login history:', error);
+      res.status(500).json({ error: 'Failed to fetch login history' });
+    }
+  }
+};
+
+module.exports = loginHistoryController;
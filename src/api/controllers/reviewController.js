@@ -0,0 +1,124 @@
+const { paginate, InvalidCursorError } = require('../utils/pagination');
+const { verticals, unknownTypeMessage } = require('../utils/listings');
+const { recordRevision } = require('../utils/revisions');
+const { STATES, TRANSITIONS, WorkflowError, stateOf, transition } = require('../utils/workflow');
+
+// Move a listing through the workflow transition `name`
+async function applyTransition(req, res, name) {
+  try {
+    const { type, id } = req.params;
+    const vertical = verticals[type];
+    if (!vertical) {
+      return res.status(400).json({ error: unknownTypeMessage([type]) });
+    }
+
+    const item = await vertical.repository.findById(id);
+    if (!item) {
+      return res.status(404).json({ error: 'Listing not found' });
+    }
+
+    const changes = transition(item, name, type, { admin: req.admin, comment: req.body && req.body.comment });
+    await recordRevision(type, id, item, { admin: req.admin, reason: TRANSITIONS[name].action });
+    const updated = await vertical.repository.update(item, changes);
+
+    res.locals.activity = {
+      action: TRANSITIONS[name].action,
+      targetType: vertical.targetType,
+      targetId: id,
+      before: item,
+      after: updated,
+      comment: changes.reviewComment || undefined
+    };
+
+    res.json({ message: `Listing ${TRANSITIONS[name].action}`, state: stateOf(updated), item: updated });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`Error applying ${name} transition:`, error);
+    res.status(500).json({ error: `Failed to ${name} listing` });
+  }
+}
+
+const reviewController = {
+  // Listings waiting on a reviewer, oldest submission first. `status` shows
+  // another workflow state instead, `type` narrows to some verticals.
+  async getQueue(req, res) {
+    try {
+      const status = req.query.status || 'in-review';
+      if (!STATES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${STATES.join(', ')}` });
+      }
+
+      const types = req.query.type
+        ? req.query.type.split(',').map(t => t.trim()).filter(Boolean)
+        : Object.keys(verticals);
+      const unknownTypes = types.filter(t => !verticals[t]);
+      if (unknownTypes.length > 0) {
+        return res.status(400).json({ error: unknownTypeMessage(unknownTypes) });
+      }
+
+      const entries = [];
+      for (const type of types) {
+        const { repository, title } = verticals[type];
+        const items = await repository.scan();
+        items.filter(item => stateOf(item) === status).forEach(item => {
+          entries.push({
+            type,
+            id: item[repository.table.idField],
+            title: title(item),
+            state: status,
+            submittedBy: item.submittedBy,
+            submittedAt: item.submittedAt,
+            reviewedBy: item.reviewedBy,
+            reviewComment: item.reviewComment,
+            item
+          });
+        });
+      }
+      entries.sort((a, b) => String(a.submittedAt || '').localeCompare(String(b.submittedAt || '')));
+
+      const page = paginate(entries, req.query, { defaultLimit: 20, idField: 'id' });
+
+      res.json({
+        queue: page.items,
+        pagination: {
+          currentPage: page.currentPage,
+          totalPages: page.totalPages,
+          total: page.total,
+          hasNext: page.hasNext,
+          hasPrev: page.hasPrev,
+          nextCursor: page.nextCursor
+        }
+      });
+    } catch (error) {
+      if (error instanceof InvalidCursorError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error fetching review queue:', error);
+      res.status(500).json({ error: 'Failed to fetch review queue' });
+    }
+  },
+
+  // Editors send a draft for review
+  async submit(req, res) {
+    return applyTransition(req, res, 'submit');
+  },
+
+  // Reviewers publish a submission, or schedule it for its publishAt
+  async approve(req, res) {
+    return applyTransition(req, res, 'approve');
+  },
+
+  // Reviewers send a submission back to draft with a comment
+  async reject(req, res) {
+    return applyTransition(req, res, 'reject');
+  },
+
+  // Reviewers take a listing off the site for good
+  async archive(req, res) {
+    return applyTransition(req, res, 'archive');
+  }
+};
+
+module.exports = reviewController;
@@ -0,0 +1,142 @@
+const { verticals, unknownTypeMessage } = require('../utils/listings');
+const { listRevisions, recordRevision, getRevision } = require('../utils/revisions');
+const { diffItems } = require('../utils/diff');
+const { PUBLICATION_ATTRIBUTES, canReview, canEdit } = require('../utils/publishing');
+
+function summaryOf(revision) {
+  const { snapshot, target, ...summary } = revision;
+  return summary;
+}
+
+// The listing named by the route, or a response already sent
+async function findListing(req, res) {
+  const { type, id } = req.params;
+  const vertical = verticals[type];
+  if (!vertical) {
+    res.status(400).json({ error: unknownTypeMessage([type]) });
+    return null;
+  }
+
+  const item = await vertical.repository.findById(id);
+  if (!item) {
+    res.status(404).json({ error: 'Listing not found' });
+    return null;
+  }
+  return { type, id, vertical, item };
+}
+
+const revisionsController = {
+  // A listing's revisions, newest first, each with the attributes the
+  // following version changed
+  async getRevisions(req, res) {
+    try {
+      const listing = await findListing(req, res);
+      if (!listing) return;
+
+      const revisions = await listRevisions(listing.type, listing.id);
+      res.json({
+        revisions: revisions.map((revision, index) => ({
+          ...summaryOf(revision),
+          changed: diffItems(revision.snapshot, index === 0 ? listing.item : revisions[index - 1].snapshot)
+            .map(change => change.attribute)
+        })),
+        count: revisions.length
+      });
+    } catch (error) {
+      console.error('Error fetching revisions:', error);
+      res.status(500).json({ error: 'Failed to fetch revisions' });
+    }
+  },
+
+  // Differences between revision `from` and revision `to`, or the current
+  // listing when `to` is left out or "current"
+  async getRevisionDiff(req, res) {
+    try {
+      const listing = await findListing(req, res);
+      if (!listing) return;
+
+      const { from, to = 'current' } = req.query;
+      if (!from) {
+        return res.status(400).json({ error: 'from is required' });
+      }
+
+      const versions = {};
+      for (const [side, revisionId] of [['from', from], ['to', to]]) {
+        if (revisionId === 'current') {
+          versions[side] = { summary: { revisionId: 'current' }, item: listing.item };
+          continue;
+        }
+        const revision = await getRevision(listing.type, listing.id, revisionId);
+        if (!revision) {
+          return res.status(404).json({ error: `Revision ${revisionId} not found` });
+        }
+        versions[side] = { summary: summaryOf(revision), item: revision.snapshot };
+      }
+
+      res.json({
+        from: versions.from.summary,
+        to: versions.to.summary,
+        changes: diffItems(versions.from.item, versions.to.item)
+      });
+    } catch (error) {
+      console.error('Error comparing revisions:', error);
+      res.status(500).json({ error: 'Failed to compare revisions' });
+    }
+  },
+
+  // Put a listing back the way it was in a revision. The state it leaves is
+  // kept as a revision too, so a restore can be undone. Like edits, editors
+  // restore only listings that are neither live nor approved.
+  async restoreRevision(req, res) {
+    try {
+      const listing = await findListing(req, res);
+      if (!listing) return;
+      const { type, id, vertical, item } = listing;
+
+      if (!canEdit(item, req.admin)) {
+        return res.status(403).json({ error: 'Only reviewers can restore a published or scheduled listing. Take it back to draft first' });
+      }
+
+      const revision = await getRevision(type, id, req.params.revisionId);
+      if (!revision) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+
+      const restored = { ...revision.snapshot };
+      // Editors restore content only; whether it is published stays as is
+      if (!canReview(req.admin)) {
+        PUBLICATION_ATTRIBUTES.forEach(attribute => {
+          if (item[attribute] === undefined) {
+            delete restored[attribute];
+          } else {
+            restored[attribute] = item[attribute];
+          }
+        });
+      }
+
+      await recordRevision(type, id, item, { admin: req.admin, reason: 'restore' });
+
+      // The revision may have a different partition key (e.g. category)
+      const { repository } = vertical;
+      await repository.put(restored);
+      if (JSON.stringify(repository.keyOf(restored)) !== JSON.stringify(repository.keyOf(item))) {
+        await repository.delete(item);
+      }
+
+      res.locals.activity = {
+        action: 'restored',
+        targetType: vertical.targetType,
+        targetId: id,
+        before: item,
+        after: restored
+      };
+
+      res.json({ message: `Listing restored to revision ${revision.number}`, item: restored });
+    } catch (error) {
+      console.error('Error restoring revision:', error);
+      res.status(500).json({ error: 'Failed to restore revision' });
+    }
+  }
+};
+
+module.exports = revisionsController;
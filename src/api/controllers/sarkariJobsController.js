@@ -1,71 +1,64 @@
-const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, ScanCommand } = require('@aws-sdk/lib-dynamodb');
-
-
-const client = new DynamoDBClient({ region: process.env.AWS_REGION });
-const docClient = DynamoDBDocumentClient.from(client);
+const { sarkariJobsRepository } = require('../../repositories');
+const { paginate, InvalidCursorError } = require('../utils/pagination');
+const search = require('../../search');
+const { sortListing, InvalidSortError } = require('../utils/sorting');
+const { locationFilters, InvalidLocationFilterError } = require('../utils/location');
+const { isPublished } = require('../utils/publishing');
+
+// Orders accepted by the listing's `sort` parameter. Bulk-uploaded jobs carry
+// createdAt, ones added singly postedOn.
+const sortOrders = {
+  newest: job => job.createdAt || job.postedOn,
+  'closing-soon': job => (job.importantDates && job.importantDates.applicationEnd) || job.applicationEnd
+};
 
 const sarkariJobsController = {
   async getSarkariJobs(req, res) {
     try {
       const {
-        page = 1,
-        limit = 15,
         organization,
         q: searchTerm
       } = req.query;
 
-      const offset = (page - 1) * limit;
-
-      let params = {
-        TableName: process.env.SARKARI_JOBS_TABLE,
-        FilterExpression: '#status = :active',
-        ExpressionAttributeNames: {
-          '#status': 'status'
-        },
-        ExpressionAttributeValues: {
-          ':active': 'active'
-        }
-      };
+      const conditions = { status: 'active' };
 
       if (organization) {
-        params.FilterExpression += ' AND organization = :organization';
-        params.ExpressionAttributeValues[':organization'] = organization;
+        conditions.organization = organization;
       }
 
-      const command = new ScanCommand(params);
-      const result = await docClient.send(command);
+      const items = await sarkariJobsRepository.scan(conditions);
 
-      let sortedJobs = result.Items.sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
+      // Location, city, state and work mode filters
+      const predicates = Object.values(locationFilters(req.query));
+      let sortedJobs = items.filter(job => predicates.every(predicate => predicate(job)));
 
-      // Case-insensitive search filter in Node.js
+      // Full-text search, ranked by relevance
       if (searchTerm) {
-        const search = searchTerm.toLowerCase();
-        sortedJobs = sortedJobs.filter(job => {
-          return (
-            (job.title && job.title.toLowerCase().includes(search)) ||
-            (job.organization && job.organization.toLowerCase().includes(search)) ||
-            (job.category && job.category.toLowerCase().includes(search))
-          );
-        });
+        sortedJobs = await search.rank('sarkariJobs', sortedJobs, searchTerm);
       }
 
-      const paginatedJobs = sortedJobs.slice(offset, offset + parseInt(limit));
+      sortedJobs = sortListing(sortedJobs, req.query, sortOrders);
+
+      const page = paginate(sortedJobs, req.query, { defaultLimit: 15, idField: 'jobId' });
 
       const response = {
-        jobs: paginatedJobs,
+        jobs: page.items,
         pagination: {
-          currentPage: parseInt(page),
-          totalPages: Math.ceil(sortedJobs.length / limit),
-          totalJobs: sortedJobs.length,
-          hasNext: offset + parseInt(limit) < sortedJobs.length,
-          hasPrev: page > 1
+          currentPage: page.currentPage,
+          totalPages: page.totalPages,
+          totalJobs: page.total,
+          hasNext: page.hasNext,
+          hasPrev: page.hasPrev,
+          nextCursor: page.nextCursor
         }
       };
 
-
       res.json(response);
     } catch (error) {
+      if (error instanceof InvalidCursorError || error instanceof InvalidSortError ||
+          error instanceof InvalidLocationFilterError) {
+        return res.status(400).json({ error: error.message });
+      }
       console.error('Error fetching sarkari jobs:', error);
       res.status(500).json({ error: 'Failed to fetch sarkari jobs' });
     }
@@ -73,27 +66,27 @@ const sarkariJobsController = {
 
   async getSarkariResults(req, res) {
     try {
+      const items = await sarkariJobsRepository.scan({ status: 'result-out' });
 
+      const sortedResults = sortListing(items, req.query, sortOrders);
 
-      const params = {
-        TableName: process.env.SARKARI_JOBS_TABLE,
-        FilterExpression: '#status = :resultOut',
-        ExpressionAttributeNames: {
-          '#status': 'status'
-        },
-        ExpressionAttributeValues: {
-          ':resultOut': 'result-out'
-        }
-      };
-
-      const command = new ScanCommand(params);
-      const result = await docClient.send(command);
-
-      const sortedResults = result.Items.sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
-
+      const page = paginate(sortedResults, req.query, { defaultLimit: 15, idField: 'jobId' });
 
-      res.json(sortedResults);
+      res.json({
+        jobs: page.items,
+        pagination: {
+          currentPage: page.currentPage,
+          totalPages: page.totalPages,
+          totalJobs: page.total,
+          hasNext: page.hasNext,
+          hasPrev: page.hasPrev,
+          nextCursor: page.nextCursor
+        }
+      });
     } catch (error) {
+      if (error instanceof InvalidCursorError || error instanceof InvalidSortError) {
+        return res.status(400).json({ error: error.message });
+      }
       console.error('Error fetching sarkari results:', error);
       res.status(500).json({ error: 'Failed to fetch sarkari results' });
     }
@@ -103,24 +96,13 @@ const sarkariJobsController = {
     try {
       const { id } = req.params;
 
+      const job = await sarkariJobsRepository.findById(id);
 
-      const params = {
-        TableName: process.env.SARKARI_JOBS_TABLE,
-        FilterExpression: 'jobId = :jobId',
-        ExpressionAttributeValues: {
-          ':jobId': id
-        }
-      };
-
-      const command = new ScanCommand(params);
-      const result = await docClient.send(command);
-
-      if (!result.Items || result.Items.length === 0) {
+      // Drafts and scheduled jobs are not public yet
+      if (!job || !isPublished(job)) {
         return res.status(404).json({ error: 'Sarkari job not found' });
       }
 
-      const job = result.Items[0];
-
       res.json(job);
     } catch (error) {
       console.error('Error fetching sarkari job:', error);
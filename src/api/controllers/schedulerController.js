@@ -0,0 +1,44 @@
+const scheduler = require('../../scheduler');
+
+const schedulerController = {
+  // Scheduled tasks with their last run and its outcome
+  async getTasks(req, res) {
+    try {
+      const tasks = scheduler.list();
+      res.json({ tasks, count: tasks.length });
+    } catch (error) {
+      console.error('Error fetching scheduled tasks:', error);
+      res.status(500).json({ error: 'Failed to fetch scheduled tasks' });
+    }
+  },
+
+  // Run a task now and wait for it to finish
+  async runTask(req, res) {
+    try {
+      const { name } = req.params;
+      const lastRun = await scheduler.run(name, 'manual');
+
+      res.locals.activity = {
+        action: 'ran',
+        targetType: 'scheduled-task',
+        targetId: name
+      };
+
+      res.status(lastRun.status === 'failed' ? 500 : 200).json({
+        message: lastRun.status === 'failed' ? `Task ${name} failed` : `Task ${name} completed`,
+        task: scheduler.get(name)
+      });
+    } catch (error) {
+      if (error instanceof scheduler.UnknownTaskError) {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error instanceof scheduler.TaskRunningError) {
+        return res.status(409).json({ error: error.message });
+      }
+      console.error('Error running scheduled task:', error);
+      res.status(500).json({ error: 'Failed to run scheduled task' });
+    }
+  }
+};
+
+module.exports = schedulerController;
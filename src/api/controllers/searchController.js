@@ -0,0 +1,186 @@
+const search = require('../../search');
+const {
+  jobsRepository,
+  internshipsRepository,
+  walkingRepository,
+  sarkariJobsRepository,
+  certificationsRepository
+} = require('../../repositories');
+const { paginate, InvalidCursorError } = require('../utils/pagination');
+const { locationFilters, InvalidLocationFilterError } = require('../utils/location');
+const { batchFilters } = require('../utils/batch');
+const { isPublished } = require('../utils/publishing');
+
+// Verticals covered by the unified search. `conditions` selects publicly
+// visible items, `summary` maps an item to the common result shape.
+const verticals = {
+  job: {
+    index: 'jobs',
+    repository: jobsRepository,
+    conditions: { status: 'active' },
+    idField: 'jobId',
+    summary: item => ({
+      title: item.role,
+      organization: item.companyName,
+      location: item.location,
+      category: item.category,
+      batch: item.batch,
+      postedAt: item.postedOn
+    })
+  },
+  internship: {
+    index: 'internships',
+    repository: internshipsRepository,
+    conditions: { isActive: true },
+    idField: 'id',
+    summary: item => ({
+      title: item.title,
+      organization: item.company,
+      location: item.location,
+      category: item.category,
+      batch: item.batch,
+      postedAt: item.postedAt
+    })
+  },
+  walking: {
+    index: 'walking',
+    repository: walkingRepository,
+    conditions: { status: { ne: 'expired' } },
+    idField: 'id',
+    summary: item => ({
+      title: item.title,
+      organization: item.company,
+      location: item.location,
+      category: item.category,
+      postedAt: item.postedAt
+    })
+  },
+  'sarkari-job': {
+    index: 'sarkariJobs',
+    repository: sarkariJobsRepository,
+    conditions: { status: 'active' },
+    idField: 'jobId',
+    summary: item => ({
+      title: item.postName || item.title,
+      organization: item.organization,
+      location: item.location,
+      category: item.category,
+      postedAt: item.createdAt || item.postedOn
+    })
+  },
+  certification: {
+    index: 'certifications',
+    repository: certificationsRepository,
+    conditions: {},
+    idField: 'id',
+    summary: item => ({
+      title: item.title,
+      organization: item.provider,
+      category: item.category,
+      postedAt: item.postedAt
+    })
+  }
+};
+
+// Common filters. A filter on a field a vertical does not have excludes that
+// vertical's items.
+function matchesFilters(summary, { category, byBatch }) {
+  if (category && !(summary.category && summary.category.toLowerCase() === category.toLowerCase())) {
+    return false;
+  }
+  if (byBatch && !(summary.batch !== undefined && byBatch(summary))) {
+    return false;
+  }
+  return true;
+}
+
+const searchController = {
+  // GET /api/v1/search?q=&type=&location=&city=&state=&workMode=&category=&batch=&page=&limit=&cursor=
+  async searchAll(req, res) {
+    try {
+      const { q: searchTerm, type, category } = req.query;
+
+      if (!searchTerm || !searchTerm.trim()) {
+        return res.status(400).json({ error: 'Search query (q) is required' });
+      }
+
+      const types = type ? type.split(',').map(t => t.trim()).filter(Boolean) : Object.keys(verticals);
+      const unknownTypes = types.filter(t => !verticals[t]);
+      if (unknownTypes.length > 0) {
+        return res.status(400).json({
+          error: `Unknown type: ${unknownTypes.join(', ')}. Use one of: ${Object.keys(verticals).join(', ')}`
+        });
+      }
+
+      // Batch years, matched like the listings do
+      const byBatch = batchFilters(req.query).batch;
+
+      // Location, city, state and work mode filters, on the full items
+      const locationPredicates = Object.values(locationFilters(req.query));
+
+      const perType = await Promise.all(types.map(async resultType => {
+        const vertical = verticals[resultType];
+        // Drafts and scheduled items are not public yet
+        const items = (await vertical.repository.scan(vertical.conditions)).filter(isPublished);
+        const ranked = await search.rank(vertical.index, items, searchTerm);
+
+        const results = ranked
+          .map(item => {
+            const { searchScore, ...rest } = item;
+            return {
+              type: resultType,
+              id: item[vertical.idField],
+              score: searchScore,
+              ...vertical.summary(item),
+              item: rest
+            };
+          })
+          .filter(result => matchesFilters(result, { category, byBatch }))
+          .filter(result => locationPredicates.every(predicate => predicate(result.item)));
+
+        return results;
+      }));
+
+      const counts = {};
+      types.forEach((resultType, index) => {
+        counts[resultType] = perType[index].length;
+      });
+
+      // BM25 scores from different indexes cannot be compared, so results are
+      // merged by their rank within their vertical: every vertical's best
+      // match, then every second best, and so on. Within a rank, results
+      // closer to their vertical's best score come first.
+      const results = perType
+        .flatMap(typeResults => typeResults.map((result, rank) => ({
+          result,
+          rank,
+          relativeScore: result.score / typeResults[0].score
+        })))
+        .sort((a, b) => a.rank - b.rank || b.relativeScore - a.relativeScore)
+        .map(({ result }) => result);
+      const page = paginate(results, req.query, { defaultLimit: 20, idField: 'id' });
+
+      res.json({
+        query: searchTerm,
+        results: page.items,
+        counts,
+        pagination: {
+          currentPage: page.currentPage,
+          totalPages: page.totalPages,
+          totalResults: page.total,
+          hasNext: page.hasNext,
+          hasPrev: page.hasPrev,
+          nextCursor: page.nextCursor
+        }
+      });
+    } catch (error) {
+      if (error instanceof InvalidCursorError || error instanceof InvalidLocationFilterError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error searching listings:', error);
+      res.status(500).json({ error: 'Search failed' });
+    }
+  }
+};
+
+module.exports = searchController;
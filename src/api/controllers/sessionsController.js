@@ -0,0 +1,61 @@
+const { SessionError, refreshSession, endSession, endAllSessions } = require('../utils/sessions');
+
+const sessionsController = {
+  // A new access token, and a new refresh token replacing the one sent
+  async refresh(req, res) {
+    try {
+      const { refreshToken } = req.body;
+      if (!refreshToken) {
+        return res.status(400).json({ error: 'refreshToken is required' });
+      }
+
+      const tokens = await refreshSession(refreshToken, req);
+      res.json({ message: 'Token refreshed', ...tokens });
+    } catch (error) {
+      if (error instanceof SessionError) {
+        return res.status(401).json({ error: error.message });
+      }
+      console.error('Error refreshing token:', error);
+      res.status(500).json({ error: 'Failed to refresh token' });
+    }
+  },
+
+  // Sign out the session the request was made with
+  async logout(req, res) {
+    try {
+      await endSession(req.admin.sid);
+
+      res.locals.activity = {
+        action: 'logged-out',
+        targetType: 'session',
+        targetId: req.admin.sid
+      };
+
+      res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+      console.error('Error logging out:', error);
+      res.status(500).json({ error: 'Failed to log out' });
+    }
+  },
+
+  // Sign out every session of the signed-in admin, this one included
+  async logoutAll(req, res) {
+    try {
+      const count = await endAllSessions(req.admin.email);
+
+      res.locals.activity = {
+        action: 'logged-out',
+        targetType: 'session',
+        targetId: 'all',
+        counts: { sessions: count }
+      };
+
+      res.json({ message: `Logged out of ${count} session${count === 1 ? '' : 's'}`, count });
+    } catch (error) {
+      console.error('Error logging out of all sessions:', error);
+      res.status(500).json({ error: 'Failed to log out of all sessions' });
+    }
+  }
+};
+
+module.exports = sessionsController;
@@ -1,10 +1,5 @@
-const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const { subscriptionsRepository } = require('../../repositories');
 // const kafkaProducer = require('../../services/kafka');
-const logActivity = require('../utils/activityLogger');
-
-const client = new DynamoDBClient({ region: process.env.AWS_REGION });
-const docClient = DynamoDBDocumentClient.from(client);
 
 const subscriptionController = {
   async subscribe(req, res) {
@@ -23,7 +18,7 @@ const subscriptionController = {
         return res.status(400).json({ error: 'Invalid email format' });
       }
 
-      // Store subscriptions in DynamoDB
+      // Store subscriptions
       const subscriptions = categories.map(category => ({
         email,
         category,
@@ -32,13 +27,7 @@ const subscriptionController = {
 
       // Batch write subscriptions
       for (const subscription of subscriptions) {
-        const params = {
-          TableName: process.env.SUBSCRIPTIONS_TABLE,
-          Item: subscription
-        };
-
-        const command = new PutCommand(params);
-        await docClient.send(command);
+        await subscriptionsRepository.put(subscription);
       }
 
 
@@ -47,15 +36,6 @@ const subscriptionController = {
         email,
         categories
       });
-      // Log activity (if admin)
-      if (req.user && req.user.email) {
-        await logActivity({
-          action: 'added',
-          targetType: 'subscription',
-          targetId: email,
-          adminEmail: req.user.email,
-        });
-      }
     } catch (error) {
       console.error('Error processing subscription:', error);
       res.status(500).json({ error: 'Subscription failed' });
@@ -0,0 +1,135 @@
+const { v4: uuidv4 } = require('uuid');
+const { synonymsRepository } = require('../../repositories');
+const { DEFAULT_SYNONYMS } = require('../../search/synonyms');
+
+// Accepts an array or a comma separated string; returns unique, trimmed,
+// lowercase terms
+function parseTerms(terms) {
+  const list = Array.isArray(terms) ? terms : (typeof terms === 'string' ? terms.split(',') : []);
+  return [...new Set(list.map(term => String(term).trim().toLowerCase()).filter(Boolean))];
+}
+
+const synonymsController = {
+  // Seed the dictionary with the default groups when it is empty
+  async initializeSynonyms() {
+    try {
+      const existing = await synonymsRepository.scan();
+      if (existing.length > 0) {
+        console.log('✅ Synonym dictionary already exists');
+        return;
+      }
+
+      const now = new Date().toISOString();
+      await synonymsRepository.batchPut(DEFAULT_SYNONYMS.map(terms => ({
+        id: uuidv4(),
+        terms,
+        createdAt: now,
+        updatedAt: now
+      })));
+      console.log(`✅ Seeded synonym dictionary with ${DEFAULT_SYNONYMS.length} groups`);
+    } catch (error) {
+      console.error('❌ Failed to initialize synonyms:', error);
+    }
+  },
+
+  async getSynonyms(req, res) {
+    try {
+      const synonyms = await synonymsRepository.scan();
+      synonyms.sort((a, b) => a.terms[0].localeCompare(b.terms[0]));
+      res.json({ synonyms, count: synonyms.length });
+    } catch (error) {
+      console.error('Error fetching synonyms:', error);
+      res.status(500).json({ error: 'Failed to fetch synonyms' });
+    }
+  },
+
+  async createSynonym(req, res) {
+    try {
+      const terms = parseTerms(req.body.terms);
+      if (terms.length < 2) {
+        return res.status(400).json({ error: 'terms must contain at least two words or phrases' });
+      }
+
+      const now = new Date().toISOString();
+      const synonym = {
+        id: uuidv4(),
+        terms,
+        createdAt: now,
+        updatedAt: now,
+        createdBy: req.admin && req.admin.email
+      };
+      await synonymsRepository.put(synonym);
+
+      res.locals.activity = {
+        action: 'added',
+        targetType: 'synonym',
+        targetId: synonym.id
+      };
+
+      res.status(201).json({ message: 'Synonym group created successfully', synonym });
+    } catch (error) {
+      console.error('Error creating synonym:', error);
+      res.status(500).json({ error: 'Failed to create synonym' });
+    }
+  },
+
+  async updateSynonym(req, res) {
+    try {
+      const { id } = req.params;
+      const terms = parseTerms(req.body.terms);
+      if (terms.length < 2) {
+        return res.status(400).json({ error: 'terms must contain at least two words or phrases' });
+      }
+
+      const existing = await synonymsRepository.get({ id });
+      if (!existing) {
+        return res.status(404).json({ error: 'Synonym group not found' });
+      }
+
+      const synonym = await synonymsRepository.update({ id }, {
+        terms,
+        updatedAt: new Date().toISOString()
+      });
+
+      res.locals.activity = {
+        action: 'updated',
+        targetType: 'synonym',
+        targetId: id,
+        before: existing,
+        after: synonym
+      };
+
+      res.json({ message: 'Synonym group updated successfully', synonym });
+    } catch (error) {
+      console.error('Error updating synonym:', error);
+      res.status(500).json({ error: 'Failed to update synonym' });
+    }
+  },
+
+  async deleteSynonym(req, res) {
+    try {
+      const { id } = req.params;
+
+      const existing = await synonymsRepository.get({ id });
+      if (!existing) {
+        return res.status(404).json({ error: 'Synonym group not found' });
+      }
+
+      await synonymsRepository.delete({ id });
+
+      res.locals.activity = {
+        action: 'deleted',
+        targetType: 'synonym',
+        targetId: id,
+        before: existing
+      };
+
+      res.json({ message: 'Synonym group deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting synonym:', error);
+      res.status(500).json({ error: 'Failed to delete synonym' });
+    }
+  }
+};
+
+module.exports = synonymsController;
@@ -0,0 +1,123 @@
+const { paginate, InvalidCursorError } = require('../utils/pagination');
+const { verticals, unknownTypeMessage } = require('../utils/listings');
+const { TRASH_STATUS, RETENTION_DAYS, isTrashed, purgeAt, restoreFromTrash, purge } = require('../utils/trash');
+
+// The trashed listing named by the route, or a response already sent
+async function findTrashed(req, res) {
+  const { type, id } = req.params;
+  const vertical = verticals[type];
+  if (!vertical) {
+    res.status(400).json({ error: unknownTypeMessage([type]) });
+    return null;
+  }
+
+  const item = await vertical.repository.findById(id);
+  if (!item || !isTrashed(item)) {
+    res.status(404).json({ error: 'Listing not found in trash' });
+    return null;
+  }
+  return { type, id, vertical, item };
+}
+
+const trashController = {
+  // Deleted listings across verticals, most recently deleted first. `type`
+  // narrows to some verticals.
+  async getTrash(req, res) {
+    try {
+      const types = req.query.type
+        ? req.query.type.split(',').map(t => t.trim()).filter(Boolean)
+        : Object.keys(verticals);
+      const unknownTypes = types.filter(t => !verticals[t]);
+      if (unknownTypes.length > 0) {
+        return res.status(400).json({ error: unknownTypeMessage(unknownTypes) });
+      }
+
+      const entries = [];
+      for (const type of types) {
+        const { repository, title } = verticals[type];
+        const items = await repository.scan({ status: TRASH_STATUS });
+        items.forEach(item => {
+          entries.push({
+            type,
+            id: item[repository.table.idField],
+            title: title(item),
+            deletedBy: item.deletedBy,
+            deletedAt: item.deletedAt,
+            purgeAt: purgeAt(item),
+            item
+          });
+        });
+      }
+      entries.sort((a, b) => String(b.deletedAt || '').localeCompare(String(a.deletedAt || '')));
+
+      const page = paginate(entries, req.query, { defaultLimit: 20, idField: 'id' });
+
+      res.json({
+        trash: page.items,
+        retentionDays: RETENTION_DAYS,
+        pagination: {
+          currentPage: page.currentPage,
+          totalPages: page.totalPages,
+          total: page.total,
+          hasNext: page.hasNext,
+          hasPrev: page.hasPrev,
+          nextCursor: page.nextCursor
+        }
+      });
+    } catch (error) {
+      if (error instanceof InvalidCursorError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error fetching trash:', error);
+      res.status(500).json({ error: 'Failed to fetch trash' });
+    }
+  },
+
+  // Put a deleted listing back in the state it was deleted in
+  async restore(req, res) {
+    try {
+      const listing = await findTrashed(req, res);
+      if (!listing) return;
+
+      const item = await restoreFromTrash(listing.type, listing.item);
+
+      res.locals.activity = {
+        action: 'restored',
+        targetType: listing.vertical.targetType,
+        targetId: listing.id,
+        before: listing.item,
+        after: item
+      };
+
+      res.json({ message: 'Listing restored from trash', item });
+    } catch (error) {
+      console.error('Error restoring from trash:', error);
+      res.status(500).json({ error: 'Failed to restore listing' });
+    }
+  },
+
+  // Reviewers delete a trashed listing and its revisions for good, ahead of
+  // the automatic purge
+  async purge(req, res) {
+    try {
+      const listing = await findTrashed(req, res);
+      if (!listing) return;
+
+      await purge(listing.type, listing.item);
+
+      res.locals.activity = {
+        action: 'purged',
+        targetType: listing.vertical.targetType,
+        targetId: listing.id,
+        before: listing.item
+      };
+
+      res.json({ message: 'Listing purged' });
+    } catch (error) {
+      console.error('Error purging listing:', error);
+      res.status(500).json({ error: 'Failed to purge listing' });
+    }
+  }
+};
+
+module.exports = trashController;
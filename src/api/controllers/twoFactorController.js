@@ -0,0 +1,260 @@
+const bcrypt = require('bcryptjs');
+const { adminsRepository } = require('../../repositories');
+const { permissionsOf } = require('../utils/permissions');
+const { openSession } = require('../utils/sessions');
+const logins = require('../utils/logins');
+const {
+  CHALLENGES,
+  TwoFactorError,
+  isEnabled,
+  isRequired,
+  readChallenge,
+  startEnrollment,
+  completeEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} = require('../utils/twoFactor');
+
+// The same body a password-only login answers with
+async function signIn(admin, req) {
+  const tokens = await openSession(admin, req);
+  return {
+    message: 'Login successful',
+    ...tokens,
+    admin: { email: admin.email, role: admin.role, permissions: permissionsOf(admin.role), twoFactorEnabled: true }
+  };
+}
+
+// Wrong codes count towards the same lockout as wrong passwords. Resolves
+// true once the locked response has been sent.
+async function refuseIfLocked(admin, req, res) {
+  const until = await logins.lockedUntil(admin.email);
+  if (!until) return false;
+  await logins.recordLockedLogin(admin.email, req);
+  res.set('Retry-After', String(logins.secondsUntil(until)));
+  res.status(429).json({ error: 'Too many failed login attempts. Try again later.', lockedUntil: until });
+  return true;
+}
+
+function challengeFailed(res, error) {
+  if (error instanceof TwoFactorError) {
+    res.status(401).json({ error: error.message });
+    return true;
+  }
+  return false;
+}
+
+const twoFactorController = {
+  // Second login step: trade the challenge token and a code for a session
+  async verifyLogin(req, res) {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+      if (!challengeToken || (!code && !recoveryCode)) {
+        return res.status(400).json({ error: 'challengeToken and a code or recoveryCode are required' });
+      }
+
+      const admin = await readChallenge(challengeToken, CHALLENGES.login);
+      if (await refuseIfLocked(admin, req, res)) return;
+
+      const verified = await verifySecondFactor(admin, { code, recoveryCode });
+      if (!verified) {
+        await logins.recordFailedLogin(admin.email, 'invalid-2fa-code', req);
+        return res.status(401).json({ error: 'Invalid two-factor code' });
+      }
+
+      const body = await signIn(admin, req);
+      await logins.recordSuccessfulLogin(admin, verified.method, req);
+      res.json({ ...body, recoveryCodesRemaining: verified.recoveryCodesRemaining });
+    } catch (error) {
+      if (challengeFailed(res, error)) return;
+      console.error('Two-factor login error:', error);
+      res.status(500).json({ error: 'Login failed' });
+    }
+  },
+
+  // Admins who must use 2FA but have not enrolled do so while signing in
+  async setupLogin(req, res) {
+    try {
+      const { challengeToken } = req.body;
+      if (!challengeToken) {
+        return res.status(400).json({ error: 'challengeToken is required' });
+      }
+
+      const admin = await readChallenge(challengeToken, CHALLENGES.setup);
+      if (isEnabled(admin)) {
+        return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+      }
+
+      res.json(await startEnrollment(admin));
+    } catch (error) {
+      if (challengeFailed(res, error)) return;
+      console.error('Two-factor setup error:', error);
+      res.status(500).json({ error: 'Failed to set up two-factor authentication' });
+    }
+  },
+
+  async enableLogin(req, res) {
+    try {
+      const { challengeToken, code } = req.body;
+      if (!challengeToken || !code) {
+        return res.status(400).json({ error: 'challengeToken and code are required' });
+      }
+
+      const admin = await readChallenge(challengeToken, CHALLENGES.setup);
+      if (isEnabled(admin)) {
+        return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+      }
+
+      if (await refuseIfLocked(admin, req, res)) return;
+
+      const recoveryCodes = await completeEnrollment(admin, code);
+      if (!recoveryCodes) {
+        await logins.recordFailedLogin(admin.email, 'invalid-2fa-code', req);
+        return res.status(401).json({ error: 'Invalid two-factor code' });
+      }
+
+      const body = await signIn(admin, req);
+      await logins.recordSuccessfulLogin(admin, 'totp', req);
+      res.json({ ...body, recoveryCodes });
+    } catch (error) {
+      if (challengeFailed(res, error)) return;
+      console.error('Two-factor setup error:', error);
+      res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+    }
+  },
+
+  // Whether the signed-in admin uses 2FA
+  async getStatus(req, res) {
+    try {
+      const admin = await adminsRepository.get({ email: req.admin.email });
+      res.json({
+        enabled: isEnabled(admin),
+        required: isRequired(admin),
+        enabledAt: isEnabled(admin) ? admin.twoFactor.enabledAt : null,
+        recoveryCodesRemaining: isEnabled(admin) ? admin.twoFactor.recoveryCodes.length : 0
+      });
+    } catch (error) {
+      console.error('Error fetching two-factor status:', error);
+      res.status(500).json({ error: 'Failed to fetch two-factor status' });
+    }
+  },
+
+  // A new secret to add to an authenticator app; 2FA is on once it is confirmed
+  async setup(req, res) {
+    try {
+      const admin = await adminsRepository.get({ email: req.admin.email });
+      if (isEnabled(admin)) {
+        return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+      }
+
+      res.locals.activity = false;
+      res.json(await startEnrollment(admin));
+    } catch (error) {
+      console.error('Error setting up two-factor authentication:', error);
+      res.status(500).json({ error: 'Failed to set up two-factor authentication' });
+    }
+  },
+
+  async enable(req, res) {
+    try {
+      const { code } = req.body;
+      if (!code) {
+        return res.status(400).json({ error: 'code is required' });
+      }
+
+      const admin = await adminsRepository.get({ email: req.admin.email });
+      if (isEnabled(admin)) {
+        return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+      }
+
+      const recoveryCodes = await completeEnrollment(admin, code);
+      if (!recoveryCodes) {
+        return res.status(400).json({ error: 'Invalid two-factor code' });
+      }
+
+      res.locals.activity = {
+        action: 'enabled-2fa',
+        targetType: 'admin',
+        targetId: admin.email
+      };
+
+      res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+    } catch (error) {
+      console.error('Error enabling two-factor authentication:', error);
+      res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+    }
+  },
+
+  // Needs the password and a current code or recovery code
+  async disable(req, res) {
+    try {
+      const { password, code, recoveryCode } = req.body;
+      if (!password || (!code && !recoveryCode)) {
+        return res.status(400).json({ error: 'password and a code or recoveryCode are required' });
+      }
+
+      const admin = await adminsRepository.get({ email: req.admin.email });
+      if (!isEnabled(admin)) {
+        return res.status(409).json({ error: 'Two-factor authentication is not enabled' });
+      }
+      if (isRequired(admin)) {
+        return res.status(409).json({ error: `Two-factor authentication is required for the ${admin.role} role` });
+      }
+
+      if (!(await bcrypt.compare(password, admin.password))) {
+        return res.status(401).json({ error: 'Password is incorrect' });
+      }
+      if (!(await verifySecondFactor(admin, { code, recoveryCode }))) {
+        return res.status(401).json({ error: 'Invalid two-factor code' });
+      }
+
+      await disableTwoFactor(admin);
+
+      res.locals.activity = {
+        action: 'disabled-2fa',
+        targetType: 'admin',
+        targetId: admin.email
+      };
+
+      res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+      console.error('Error disabling two-factor authentication:', error);
+      res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+    }
+  },
+
+  // Replace the recovery codes, e.g. once most are used up
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const { code } = req.body;
+      if (!code) {
+        return res.status(400).json({ error: 'code is required' });
+      }
+
+      const admin = await adminsRepository.get({ email: req.admin.email });
+      if (!isEnabled(admin)) {
+        return res.status(409).json({ error: 'Two-factor authentication is not enabled' });
+      }
+      if (!(await verifySecondFactor(admin, { code }))) {
+        return res.status(401).json({ error: 'Invalid two-factor code' });
+      }
+
+      // Re-read: verifying the code recorded it as used
+      const recoveryCodes = await regenerateRecoveryCodes(await adminsRepository.get({ email: admin.email }));
+
+      res.locals.activity = {
+        action: 'regenerated-recovery-codes',
+        targetType: 'admin',
+        targetId: admin.email
+      };
+
+      res.json({ message: 'Recovery codes regenerated', recoveryCodes });
+    } catch (error) {
+      console.error('Error regenerating recovery codes:', error);
+      res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+    }
+  }
+};
+
+module.exports = twoFactorController;
@@ -1,19 +1,31 @@
-const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, DeleteCommand, BatchWriteCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
 const axios = require('axios');
 const multer = require('multer');
 const csv = require('csv-parser');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-
-// Configure AWS
-const client = new DynamoDBClient({ 
-  region: process.env.AWS_REGION || 'us-east-1',
-  accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-});
-const docClient = DynamoDBDocumentClient.from(client);
-const TABLE_NAME = process.env.WALKING_TABLE || 'walking';
+const { walkingRepository } = require('../../repositories');
+const { paginate, InvalidCursorError } = require('../utils/pagination');
+const search = require('../../search');
+const { computeFacets } = require('../utils/facets');
+const { sortListing, InvalidSortError } = require('../utils/sorting');
+const { locationAttributes, locationOf, locationFilters, InvalidLocationFilterError } = require('../utils/location');
+const { duplicatePolicy, createDeduplicator, InvalidDuplicatePolicyError } = require('../utils/duplicates');
+const { applyPublication, applyPublicationChanges, isPublished, InvalidPublishAtError, ReviewRequiredError } = require('../utils/publishing');
+const { recordRevision } = require('../utils/revisions');
+const { isTrashed, moveToTrash } = require('../utils/trash');
+
+// Walk-ins are the same when company, title and apply link match
+const walkingDuplicates = createDeduplicator(walkingRepository, 'walking');
+
+// Walk-ins shown publicly: everything the expiry task has not expired, less
+// drafts and scheduled ones (isPublished)
+const PUBLIC_CONDITIONS = { status: { ne: 'expired' } };
+
+// Orders accepted by the listing's `sort` parameter; a walk-in closes on its date
+const sortOrders = {
+  newest: walking => walking.postedAt,
+  'closing-soon': walking => walking.date
+};
 
 // Configure multer for file uploads
 const upload = multer({ dest: '/tmp/' });
@@ -40,77 +52,73 @@ async function getCompanyLogo(companyName) {
   return '/placeholder-logo.svg';
 }
 
+// Predicates for the listing filters in a query, keyed by filter name so the
+// filters endpoint can leave one out when counting its facet
+function listingFilters(query) {
+  const { category } = query;
+  const filters = locationFilters(query);
+
+  if (category) {
+    filters.category = item =>
+      item.category && item.category.toLowerCase() === category.toLowerCase();
+  }
+
+  return filters;
+}
+
 // Get all walking opportunities
 exports.getAllWalking = async (req, res) => {
   try {
-    console.log('Getting all walking opportunities from table:', TABLE_NAME);
+    console.log('Getting all walking opportunities from table:', walkingRepository.table.tableName);
     
-    const { category, location, q: searchTerm, page = 1, limit = 30 } = req.query;
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
-    const offset = (pageNum - 1) * limitNum;
-    
-    const params = {
-      TableName: TABLE_NAME,
-      ScanIndexForward: false // Sort by postedAt descending
-    };
-
-    const result = await docClient.send(new ScanCommand(params));
+    const { q: searchTerm } = req.query;
     
     // Filter results based on query parameters
-    let filteredItems = result.Items;
-    
-    if (category) {
-      filteredItems = filteredItems.filter(item =>
-        item.category && item.category.toLowerCase() === category.toLowerCase()
-      );
-    }
-    
-    if (location) {
-      filteredItems = filteredItems.filter(item =>
-        item.location && item.location.toLowerCase().includes(location.toLowerCase())
-      );
-    }
+    const filters = Object.values(listingFilters(req.query));
+    let filteredItems = (await walkingRepository.scan(PUBLIC_CONDITIONS)).filter(item =>
+      isPublished(item) && filters.every(filter => filter(item))
+    );
     
-    // Case-insensitive search filter in Node.js
+    // Full-text search, ranked by relevance
     if (searchTerm) {
-      const search = searchTerm.toLowerCase();
-      filteredItems = filteredItems.filter(item => {
-        return (
-          (item.title && item.title.toLowerCase().includes(search)) ||
-          (item.company && item.company.toLowerCase().includes(search)) ||
-          (item.category && item.category.toLowerCase().includes(search)) ||
-          (item.experience && item.experience.toLowerCase().includes(search))
-        );
-      });
+      filteredItems = await search.rank('walking', filteredItems, searchTerm);
     }
+
+    filteredItems = sortListing(filteredItems, req.query, sortOrders);
     
-    // Add company logos to each walking opportunity
-    const walkingWithLogos = await Promise.all(
-      filteredItems.map(async (walking) => ({
+    // Apply pagination
+    const page = paginate(filteredItems, req.query, { defaultLimit: 30, idField: 'id' });
+
+    // Add company logos to the walking opportunities on this page
+    const paginatedItems = await Promise.all(
+      page.items.map(async (walking) => ({
         ...walking,
         companyLogo: await getCompanyLogo(walking.company)
       }))
     );
 
-    // Apply pagination
-    const totalItems = walkingWithLogos.length;
-    const totalPages = Math.ceil(totalItems / limitNum);
-    const paginatedItems = walkingWithLogos.slice(offset, offset + limitNum);
-
     res.json({
       success: true,
       walking: paginatedItems,
       count: paginatedItems.length,
       pagination: {
-        currentPage: pageNum,
-        totalPages,
-        totalItems,
-        hasNext: pageNum < totalPages,
-        hasPrev: pageNum > 1
+        currentPage: page.currentPage,
+        totalPages: page.totalPages,
+        totalItems: page.total,
+        hasNext: page.hasNext,
+        hasPrev: page.hasPrev,
+        nextCursor: page.nextCursor
       }
     });
   } catch (error) {
+    if (error instanceof InvalidCursorError || error instanceof InvalidSortError ||
+        error instanceof InvalidLocationFilterError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Error fetching walking opportunities:', error);
     
     // Check if it's a table not found error
@@ -135,14 +143,10 @@ exports.getWalkingById = async (req, res) => {
   try {
     const { id } = req.params;
     
-    const params = {
-      TableName: TABLE_NAME,
-      Key: { id }
-    };
-
-    const result = await docClient.send(new GetCommand(params));
+    const item = await walkingRepository.get({ id });
     
-    if (!result.Item) {
+    // Drafts and scheduled walk-ins are not public yet
+    if (!item || !isPublished(item)) {
       return res.status(404).json({
         success: false,
         message: 'Walking opportunity not found'
@@ -151,8 +155,8 @@ exports.getWalkingById = async (req, res) => {
 
     // Add company logo
     const walking = {
-      ...result.Item,
-      companyLogo: await getCompanyLogo(result.Item.company)
+      ...item,
+      companyLogo: await getCompanyLogo(item.company)
     };
 
     res.json({
@@ -172,6 +176,7 @@ exports.getWalkingById = async (req, res) => {
 // Create new walking opportunity
 exports.createWalking = async (req, res) => {
   try {
+    const policy = duplicatePolicy(req);
     const {
       title,
       company,
@@ -195,6 +200,7 @@ exports.createWalking = async (req, res) => {
       title,
       company,
       location,
+      ...locationAttributes(location),
       experience,
       category,
       date,
@@ -202,13 +208,43 @@ exports.createWalking = async (req, res) => {
       applyLink,
       postedAt: new Date().toISOString()
     };
+    walking.fingerprint = walkingDuplicates.fingerprint(walking);
 
-    const params = {
-      TableName: TABLE_NAME,
-      Item: walking
-    };
+    // Saved as a draft or scheduled for later when the request asks so
+    applyPublication(walking, req.body, 'walking', req.admin);
 
-    await docClient.send(new PutCommand(params));
+    const existing = policy === 'allow' ? null : await walkingDuplicates.findDuplicate(walking);
+    if (existing && policy === 'skip') {
+      return res.status(409).json({
+        success: false,
+        message: 'A walking opportunity with the same company, title and apply link already exists',
+        duplicateOf: existing.id
+      });
+    }
+    if (existing) {
+      const updatedWalking = await walkingDuplicates.update(existing, walking, req.admin);
+      res.locals.activity = {
+        action: 'updated',
+        targetType: 'walking',
+        targetId: existing.id,
+        before: existing,
+        after: updatedWalking
+      };
+      return res.json({
+        success: true,
+        message: 'Walking opportunity already existed and was updated',
+        walking: updatedWalking,
+        duplicateOf: existing.id
+      });
+    }
+
+    await walkingRepository.put(walking);
+
+    res.locals.activity = {
+      action: 'added',
+      targetType: 'walking',
+      targetId: walking.id
+    };
 
     res.status(201).json({
       success: true,
@@ -216,6 +252,18 @@ exports.createWalking = async (req, res) => {
       walking
     });
   } catch (error) {
+    if (error instanceof InvalidDuplicatePolicyError || error instanceof InvalidPublishAtError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error instanceof ReviewRequiredError) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error creating walking opportunity:', error);
     res.status(500).json({
       success: false,
@@ -231,32 +279,54 @@ exports.updateWalking = async (req, res) => {
     const { id } = req.params;
     const updateData = req.body;
 
-    // Check if walking exists
-    const getParams = {
-      TableName: TABLE_NAME,
-      Key: { id }
-    };
-
-    const existing = await docClient.send(new GetCommand(getParams));
-    if (!existing.Item) {
+    // Check if walking exists; walk-ins in the trash are restored, not edited
+    const existing = await walkingRepository.get({ id });
+    if (!existing || isTrashed(existing)) {
       return res.status(404).json({
         success: false,
         message: 'Walking opportunity not found'
       });
     }
 
+    // Publish, unpublish or reschedule when draft or publishAt is given
+    applyPublicationChanges(updateData, req.body, 'walking', req.admin, existing);
+
     // Update the walking opportunity
     const updatedWalking = {
-      ...existing.Item,
+      ...existing,
       ...updateData
     };
 
-    const params = {
-      TableName: TABLE_NAME,
-      Item: updatedWalking
-    };
+    // Re-normalize the location when its text changes
+    if (updateData.location !== undefined) {
+      Object.assign(updatedWalking, locationAttributes(updateData.location));
+    }
 
-    await docClient.send(new PutCommand(params));
+    // An edit must not turn the walk-in into a copy of another one
+    if (walkingDuplicates.affects(updateData)) {
+      const duplicate = duplicatePolicy(req) === 'allow' ? null : await walkingDuplicates.findDuplicate(updatedWalking);
+      if (duplicate) {
+        return res.status(409).json({
+          success: false,
+          message: 'A walking opportunity with the same company, title and apply link already exists',
+          duplicateOf: duplicate.id
+        });
+      }
+      updatedWalking.fingerprint = walkingDuplicates.fingerprint(updatedWalking);
+    }
+
+    // Keep the walk-in as it was, so this edit can be undone
+    await recordRevision('walking', id, existing, { admin: req.admin });
+
+    await walkingRepository.put(updatedWalking);
+
+    res.locals.activity = {
+      action: 'updated',
+      targetType: 'walking',
+      targetId: id,
+      before: existing,
+      after: updatedWalking
+    };
 
     res.json({
       success: true,
@@ -264,6 +334,18 @@ exports.updateWalking = async (req, res) => {
       walking: updatedWalking
     });
   } catch (error) {
+    if (error instanceof InvalidDuplicatePolicyError || error instanceof InvalidPublishAtError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error instanceof ReviewRequiredError) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error updating walking opportunity:', error);
     res.status(500).json({
       success: false,
@@ -278,12 +360,21 @@ exports.deleteWalking = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const params = {
-      TableName: TABLE_NAME,
-      Key: { id }
-    };
+    // Deleted walk-ins go to the trash, from where they can be restored
+    const walking = await walkingRepository.get({ id });
+    if (!walking || isTrashed(walking)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Walking opportunity not found'
+      });
+    }
 
-    await docClient.send(new DeleteCommand(params));
+    await moveToTrash('walking', walking, req.admin);
+    res.locals.activity = {
+      action: 'deleted',
+      targetType: 'walking',
+      targetId: id
+    };
 
     res.json({
       success: true,
@@ -304,6 +395,8 @@ exports.bulkUploadWalking = async (req, res) => {
   try {
     console.log('Bulk upload request received');
     console.log('File:', req.file);
+
+    const policy = duplicatePolicy(req);
     
     if (!req.file) {
       return res.status(400).json({
@@ -312,13 +405,15 @@ exports.bulkUploadWalking = async (req, res) => {
       });
     }
 
-    const results = [];
+    const entries = [];
     const errors = [];
+    let rowNumber = 0;
 
     console.log('Starting CSV processing...');
     fs.createReadStream(req.file.path)
       .pipe(csv())
       .on('data', (data) => {
+        rowNumber += 1;
         try {
           // Validate required fields
           if (!data.title || !data.company || !data.location || !data.experience || 
@@ -335,6 +430,7 @@ exports.bulkUploadWalking = async (req, res) => {
             title: data.title.trim(),
             company: data.company.trim(),
             location: data.location.trim(),
+            ...locationAttributes(data.location.trim()),
             experience: data.experience.trim(),
             category: data.category.trim(),
             date: data.date.trim(),
@@ -342,8 +438,12 @@ exports.bulkUploadWalking = async (req, res) => {
             applyLink: data.applyLink.trim(),
             postedAt: new Date().toISOString()
           };
+          walking.fingerprint = walkingDuplicates.fingerprint(walking);
 
-          results.push(walking);
+          // Rows uploaded by editors are saved as drafts for review
+          applyPublication(walking, {}, 'walking', req.admin);
+
+          entries.push({ row: rowNumber, item: walking });
         } catch (error) {
           errors.push({
             row: data,
@@ -361,34 +461,38 @@ exports.bulkUploadWalking = async (req, res) => {
       })
       .on('end', async () => {
         try {
-          console.log(`CSV processing complete. Results: ${results.length}, Errors: ${errors.length}`);
+          console.log(`CSV processing complete. Results: ${entries.length}, Errors: ${errors.length}`);
+
+          // Rows repeating an existing walk-in, or an earlier row, follow the policy
+          const { toCreate: results, toUpdate, duplicates } = await walkingDuplicates.partition(entries, policy, req.admin);
           
-          // Batch write to DynamoDB
-          const batchSize = 25; // DynamoDB batch write limit
-          for (let i = 0; i < results.length; i += batchSize) {
-            const batch = results.slice(i, i + batchSize);
-            const writeRequests = batch.map(item => ({
-              PutRequest: {
-                Item: item
-              }
-            }));
-
-            const params = {
-              RequestItems: {
-                [TABLE_NAME]: writeRequests
-              }
-            };
-
-            await docClient.send(new BatchWriteCommand(params));
+          await walkingRepository.batchPut(results);
+          for (const { existing, item } of toUpdate) {
+            await walkingDuplicates.update(existing, item, req.admin);
           }
 
           // Clean up uploaded file
           fs.unlinkSync(req.file.path);
 
+          res.locals.activity = {
+            action: 'bulk-uploaded',
+            targetType: 'walking',
+            targetId: req.file.originalname,
+            counts: {
+              rows: rowNumber,
+              created: results.length,
+              updated: toUpdate.length,
+              duplicates: duplicates.length,
+              failed: errors.length
+            }
+          };
+
           res.json({
             success: true,
             message: `Successfully uploaded ${results.length} walking opportunities`,
             uploaded: results.length,
+            updated: toUpdate.length,
+            duplicates: duplicates.length > 0 ? duplicates : undefined,
             errors: errors.length > 0 ? errors : undefined
           });
         } catch (error) {
@@ -401,6 +505,12 @@ exports.bulkUploadWalking = async (req, res) => {
         }
       });
   } catch (error) {
+    if (error instanceof InvalidDuplicatePolicyError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error in bulk upload:', error);
     res.status(500).json({
       success: false,
@@ -415,23 +525,16 @@ exports.getWalkingByCategory = async (req, res) => {
   try {
     const { category } = req.params;
 
-    const params = {
-      TableName: TABLE_NAME,
-      FilterExpression: '#category = :category',
-      ExpressionAttributeNames: {
-        '#category': 'category'
-      },
-      ExpressionAttributeValues: {
-        ':category': category
-      },
-      ScanIndexForward: false
-    };
-
-    const result = await docClient.send(new ScanCommand(params));
+    // Location, city, state and work mode filters
+    const predicates = Object.values(locationFilters(req.query));
+    const matching = (await walkingRepository.scan({ ...PUBLIC_CONDITIONS, category })).filter(item =>
+      isPublished(item) && predicates.every(predicate => predicate(item))
+    );
+    const items = sortListing(matching, req.query, sortOrders);
     
     // Add company logos to each walking opportunity
     const walkingWithLogos = await Promise.all(
-      result.Items.map(async (walking) => ({
+      items.map(async (walking) => ({
         ...walking,
         companyLogo: await getCompanyLogo(walking.company)
       }))
@@ -444,6 +547,12 @@ exports.getWalkingByCategory = async (req, res) => {
       category
     });
   } catch (error) {
+    if (error instanceof InvalidSortError || error instanceof InvalidLocationFilterError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error fetching walking opportunities by category:', error);
     res.status(500).json({
       success: false,
@@ -453,25 +562,44 @@ exports.getWalkingByCategory = async (req, res) => {
   }
 };
 
-// Get unique categories and locations for filters
+// Get categories, locations and work modes for filters, with result counts
 exports.getWalkingFilters = async (req, res) => {
   try {
-    const params = {
-      TableName: TABLE_NAME
-    };
+    const { q: searchTerm } = req.query;
 
-    const result = await docClient.send(new ScanCommand(params));
-    
-    // Extract unique categories and locations
-    const categories = [...new Set(result.Items.map(item => item.category).filter(Boolean))].sort();
-    const locations = [...new Set(result.Items.map(item => item.location).filter(Boolean))].sort();
+    let items = (await walkingRepository.scan(PUBLIC_CONDITIONS)).filter(isPublished);
+    if (searchTerm) {
+      items = await search.rank('walking', items, searchTerm);
+    }
+
+    // Count each option against the other filters in the query
+    const facets = computeFacets(items, {
+      fields: {
+        category: item => item.category,
+        location: item => item.location,
+        city: item => locationOf(item).cities,
+        state: item => locationOf(item).states,
+        workMode: item => locationOf(item).workMode
+      },
+      filters: listingFilters(req.query)
+    });
 
     res.json({
       success: true,
-      categories,
-      locations
+      categories: facets.category.map(facet => facet.value).sort(),
+      locations: facets.location.map(facet => facet.value).sort(),
+      cities: facets.city.map(facet => facet.value).sort(),
+      states: facets.state.map(facet => facet.value).sort(),
+      workModes: facets.workMode.map(facet => facet.value).sort(),
+      facets
     });
   } catch (error) {
+    if (error instanceof InvalidLocationFilterError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error fetching walking filters:', error);
     res.status(500).json({
       success: false,
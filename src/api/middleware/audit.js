@@ -0,0 +1,51 @@
+const logActivity = require('../utils/activityLogger');
+
+// Records every successful write made by a signed-in admin in the activity
+// log, once the response has gone out. Handlers describe what they changed in
+// res.locals.activity ({ action, targetType, targetId, before, after, counts,
+// comment }); whatever they leave out is taken from the request. Set
+// res.locals.activity = false for a write that should not be logged.
+
+const ACTIONS = {
+  POST: 'added',
+  PUT: 'updated',
+  PATCH: 'updated',
+  DELETE: 'deleted'
+};
+
+// What a route writes to when the handler does not say: the resource its
+// router is mounted for (walking, certifications, ...), or on the admin
+// router, which serves many resources, the first fixed segment of the route
+// (/jobs/:id -> jobs, /synonyms/:id -> synonyms)
+function resourceOf(req) {
+  const mount = req.baseUrl.split('/').pop();
+  if (mount !== 'admin') return mount;
+  const path = req.route ? req.route.path : req.path;
+  return path.split('/').find(segment => segment && !segment.startsWith(':')) || mount;
+}
+
+const audit = (req, res, next) => {
+  if (!ACTIONS[req.method]) {
+    return next();
+  }
+
+  res.on('finish', () => {
+    const activity = res.locals.activity;
+    if (!req.admin || !req.admin.email || res.statusCode >= 300 || activity === false) {
+      return;
+    }
+
+    logActivity({
+      action: ACTIONS[req.method],
+      targetType: resourceOf(req),
+      targetId: req.params.id,
+      ...activity,
+      adminEmail: req.admin.email,
+      req
+    });
+  });
+
+  next();
+};
+
+module.exports = audit;
@@ -1,6 +1,8 @@
 const jwt = require('jsonwebtoken');
+const { adminsRepository } = require('../../repositories');
+const { findActiveSession } = require('../utils/sessions');
 
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
 
@@ -9,7 +11,20 @@ const authMiddleware = (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.admin = decoded;
+
+    // The token only counts while its session is open (see utils/sessions)
+    const session = decoded.sid ? await findActiveSession(decoded.sid) : null;
+    if (!session || session.adminEmail !== decoded.email) {
+      return res.status(401).json({ error: 'Token revoked' });
+    }
+
+    const admin = await adminsRepository.get({ email: decoded.email });
+    if (!admin || admin.disabled) {
+      return res.status(401).json({ error: 'Account is disabled' });
+    }
+
+    // The role is read from the account, so role changes apply at once
+    req.admin = { ...decoded, role: admin.role };
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -22,4 +37,4 @@ const authMiddleware = (req, res, next) => {
   }
 };
 
-module.exports = authMiddleware;
\ No newline at end of file
+module.exports = authMiddleware;
@@ -0,0 +1,15 @@
+const { hasPermission } = require('../utils/permissions');
+
+// Lets the request through only when the signed-in admin's role grants
+// `permission` (see utils/permissions). `permission` may also be a function
+// of the request, for routes where it depends on a parameter; a null result
+// leaves the check to the controller. Mount after the auth middleware.
+const authorize = permission => (req, res, next) => {
+  const required = typeof permission === 'function' ? permission(req) : permission;
+  if (required && !hasPermission(req.admin, required)) {
+    return res.status(403).json({ error: `Forbidden: requires the ${required} permission` });
+  }
+  next();
+};
+
+module.exports = authorize;
@@ -0,0 +1,38 @@
+const cache = require('../../cache');
+
+// Serves GET responses for a vertical (or a list of them) from the response
+// cache and caches the successful ones. Any write to the vertical invalidates
+// its entries.
+const cacheMiddleware = vertical => async (req, res, next) => {
+  if (req.method !== 'GET' || !cache.enabled()) {
+    return next();
+  }
+
+  let cacheKey;
+  try {
+    cacheKey = await cache.key(vertical, req.originalUrl);
+    const cached = await cache.get(cacheKey);
+    if (cached !== undefined && cached !== null) {
+      res.set('X-Cache', 'HIT');
+      return res.json(cached);
+    }
+  } catch (error) {
+    // Serve the request uncached if the store is unavailable
+    console.error('Error reading response cache:', error);
+    return next();
+  }
+
+  res.set('X-Cache', 'MISS');
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode === 200) {
+      cache.set(cacheKey, body).catch(error => {
+        console.error('Error writing response cache:', error);
+      });
+    }
+    return json(body);
+  };
+  next();
+};
+
+module.exports = cacheMiddleware;
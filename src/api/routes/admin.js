@@ -1,7 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
+const synonymsController = require('../controllers/synonymsController');
+const schedulerController = require('../controllers/schedulerController');
+const reviewController = require('../controllers/reviewController');
+const revisionsController = require('../controllers/revisionsController');
+const trashController = require('../controllers/trashController');
+const accountsController = require('../controllers/accountsController');
+const sessionsController = require('../controllers/sessionsController');
+const twoFactorController = require('../controllers/twoFactorController');
+const loginHistoryController = require('../controllers/loginHistoryController');
 const authMiddleware = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { verticalPermission } = require('../utils/permissions');
 const multer = require('multer');
 
 const upload = multer({ dest: 'uploads/' });
@@ -9,28 +20,90 @@ const upload = multer({ dest: 'uploads/' });
 // POST /api/v1/admin/login - Admin login
 router.post('/login', adminController.login);
 
-// Protected admin routes
+// Second login step for admins with two-factor authentication, and
+// enrolment for those required to have it
+router.post('/login/2fa', twoFactorController.verifyLogin);
+router.post('/login/2fa/setup', twoFactorController.setupLogin);
+router.post('/login/2fa/enable', twoFactorController.enableLogin);
+
+// New access token from a refresh token
+router.post('/token/refresh', sessionsController.refresh);
+
+// Password reset by emailed link
+router.post('/password-reset', accountsController.requestPasswordReset);
+router.post('/password-reset/confirm', accountsController.resetPassword);
+
+// Protected admin routes, each limited to the roles holding its permission
 router.use(authMiddleware);
 
 // Dashboard stats
-router.get('/stats', adminController.getStats);
+router.get('/stats', authorize('admin:read'), adminController.getStats);
 
 // Recent activity
-router.get('/recent-activity', adminController.getRecentActivity);
+router.get('/recent-activity', authorize('admin:read'), adminController.getRecentActivity);
+
+// Drafts and scheduled listings
+router.get('/drafts', authorize('admin:read'), adminController.getDrafts);
+
+// Editorial review workflow
+router.get('/review/queue', authorize('admin:read'), reviewController.getQueue);
+router.post('/review/:type/:id/submit', authorize(verticalPermission), reviewController.submit);
+router.post('/review/:type/:id/approve', authorize('listings:review'), reviewController.approve);
+router.post('/review/:type/:id/reject', authorize('listings:review'), reviewController.reject);
+router.post('/review/:type/:id/archive', authorize('listings:review'), reviewController.archive);
+
+// Listing revision history
+router.get('/revisions/:type/:id', authorize('admin:read'), revisionsController.getRevisions);
+router.get('/revisions/:type/:id/diff', authorize('admin:read'), revisionsController.getRevisionDiff);
+router.post('/revisions/:type/:id/:revisionId/restore', authorize(verticalPermission), revisionsController.restoreRevision);
+
+// Trash of deleted listings
+router.get('/trash', authorize('admin:read'), trashController.getTrash);
+router.post('/trash/:type/:id/restore', authorize(verticalPermission), trashController.restore);
+router.delete('/trash/:type/:id', authorize('listings:review'), trashController.purge);
 
 // Admin management
-router.post('/admins', adminController.createAdmin);
+router.get('/admins', authorize('admins:manage'), accountsController.listAdmins);
+router.post('/admins', authorize('admins:manage'), adminController.createAdmin);
+router.put('/admins/:email', authorize('admins:manage'), accountsController.updateAdmin);
+router.post('/admins/:email/disable', authorize('admins:manage'), accountsController.disableAdmin);
+router.post('/admins/:email/enable', authorize('admins:manage'), accountsController.enableAdmin);
+router.delete('/admins/:email', authorize('admins:manage'), accountsController.deleteAdmin);
+router.delete('/admins/:email/2fa', authorize('admins:manage'), accountsController.resetTwoFactor);
+router.post('/admins/:email/unlock', authorize('admins:manage'), accountsController.unlockAdmin);
+router.get('/login-history', authorize('admins:manage'), loginHistoryController.getHistory);
+
+// The signed-in admin's own account
+router.put('/me/password', accountsController.changePassword);
+router.post('/logout', sessionsController.logout);
+router.post('/logout-all', sessionsController.logoutAll);
+router.get('/me/login-history', loginHistoryController.getMyHistory);
+router.get('/me/2fa', twoFactorController.getStatus);
+router.post('/me/2fa/setup', twoFactorController.setup);
+router.post('/me/2fa/enable', twoFactorController.enable);
+router.post('/me/2fa/disable', twoFactorController.disable);
+router.post('/me/2fa/recovery-codes', twoFactorController.regenerateRecoveryCodes);
+
+// Search synonym dictionary
+router.get('/synonyms', authorize('admin:read'), synonymsController.getSynonyms);
+router.post('/synonyms', authorize('synonyms:write'), synonymsController.createSynonym);
+router.put('/synonyms/:id', authorize('synonyms:write'), synonymsController.updateSynonym);
+router.delete('/synonyms/:id', authorize('synonyms:write'), synonymsController.deleteSynonym);
+
+// Scheduled tasks
+router.get('/scheduler/tasks', authorize('admin:read'), schedulerController.getTasks);
+router.post('/scheduler/tasks/:name/run', authorize('scheduler:run'), schedulerController.runTask);
 
 // Jobs management
-router.post('/jobs', adminController.createJob);
-router.post('/jobs/bulk', upload.single('file'), adminController.bulkUploadJobs);
-router.put('/jobs/:id', adminController.updateJob);
-router.delete('/jobs/:id', adminController.deleteJob);
+router.post('/jobs', authorize('jobs:write'), adminController.createJob);
+router.post('/jobs/bulk', authorize('jobs:write'), upload.single('file'), adminController.bulkUploadJobs);
+router.put('/jobs/:id', authorize('jobs:write'), adminController.updateJob);
+router.delete('/jobs/:id', authorize('jobs:write'), adminController.deleteJob);
 
 // Sarkari jobs management
-router.post('/sarkari-jobs', adminController.createSarkariJob);
-router.post('/sarkari-jobs/bulk', upload.single('file'), adminController.bulkUploadSarkariJobs);
-router.put('/sarkari-jobs/:id', adminController.updateSarkariJob);
-router.delete('/sarkari-jobs/:id', adminController.deleteSarkariJob);
+router.post('/sarkari-jobs', authorize('sarkariJobs:write'), adminController.createSarkariJob);
+router.post('/sarkari-jobs/bulk', authorize('sarkariJobs:write'), upload.single('file'), adminController.bulkUploadSarkariJobs);
+router.put('/sarkari-jobs/:id', authorize('sarkariJobs:write'), adminController.updateSarkariJob);
+router.delete('/sarkari-jobs/:id', authorize('sarkariJobs:write'), adminController.deleteSarkariJob);
 
 module.exports = router;
\ No newline at end of file
@@ -1,17 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const certificationsController = require('../controllers/certificationsController');
+const cache = require('../middleware/cache');
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
 
 // Public routes (no auth required)
-router.get('/', certificationsController.getAllCertifications);
-router.get('/category/:category', certificationsController.getCertificationsByCategory);
-router.get('/:id', certificationsController.getCertificationById);
+router.get('/', cache('certifications'), certificationsController.getAllCertifications);
+router.get('/category/:category', cache('certifications'), certificationsController.getCertificationsByCategory);
+router.get('/:id', cache('certifications'), certificationsController.getCertificationById);
 
 // Admin routes (auth required)
-router.post('/', auth, certificationsController.createCertification);
-router.put('/:id', auth, certificationsController.updateCertification);
-router.delete('/:id', auth, certificationsController.deleteCertification);
-router.post('/bulk-upload', auth, certificationsController.uploadMiddleware, certificationsController.bulkUploadCertifications);
+router.post('/', auth, authorize('certifications:write'), certificationsController.createCertification);
+router.put('/:id', auth, authorize('certifications:write'), certificationsController.updateCertification);
+router.delete('/:id', auth, authorize('certifications:write'), certificationsController.deleteCertification);
+router.post('/bulk-upload', auth, authorize('certifications:write'), certificationsController.uploadMiddleware, certificationsController.bulkUploadCertifications);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const audit = require('../middleware/audit');
 
 // Import all route modules
 const jobsRoutes = require('./jobs');
@@ -11,6 +12,10 @@ const subscriptionRoutes = require('./subscription');
 const certificationsRoutes = require('./certifications');
 const internshipsRoutes = require('./internships');
 const walkingRoutes = require('./walking');
+const searchRoutes = require('./search');
+
+// Log every write by a signed-in admin
+router.use(audit);
 
 // Use the routes
 router.use('/jobs', jobsRoutes);
@@ -22,5 +27,6 @@ router.use('/subscription', subscriptionRoutes);
 router.use('/certifications', certificationsRoutes);
 router.use('/internships', internshipsRoutes);
 router.use('/walking', walkingRoutes);
+router.use('/search', searchRoutes);
 
 module.exports = router;
\ No newline at end of file
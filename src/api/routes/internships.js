@@ -1,19 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const internshipsController = require('../controllers/internshipsController');
+const cache = require('../middleware/cache');
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
 
 // Public routes
-router.get('/', internshipsController.getAllInternships);
-router.get('/filters', internshipsController.getInternshipFilters);
-router.get('/category/:category', internshipsController.getInternshipsByCategory);
+router.get('/', cache('internships'), internshipsController.getAllInternships);
+router.get('/filters', cache('internships'), internshipsController.getInternshipFilters);
+router.get('/category/:category', cache('internships'), internshipsController.getInternshipsByCategory);
 // Bulk upload route must be before any /:id routes
-router.post('/bulk-upload', auth, internshipsController.uploadMiddleware, internshipsController.bulkUploadInternships);
-router.get('/:id', internshipsController.getInternshipById);
+router.post('/bulk-upload', auth, authorize('internships:write'), internshipsController.uploadMiddleware, internshipsController.bulkUploadInternships);
+router.get('/:id', cache('internships'), internshipsController.getInternshipById);
 
 // Admin routes (protected)
-router.post('/', auth, internshipsController.createInternship);
-router.put('/:id', auth, internshipsController.updateInternship);
-router.delete('/:id', auth, internshipsController.deleteInternship);
+router.post('/', auth, authorize('internships:write'), internshipsController.createInternship);
+router.put('/:id', auth, authorize('internships:write'), internshipsController.updateInternship);
+router.delete('/:id', auth, authorize('internships:write'), internshipsController.deleteInternship);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,11 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const jobsController = require('../controllers/jobsController');
+const cache = require('../middleware/cache');
 
 // GET /api/v1/jobs - Get paginated jobs with filters
-router.get('/', jobsController.getJobs);
+router.get('/', cache('jobs'), jobsController.getJobs);
+
+// GET /api/v1/jobs/filters - Get filter options with result counts
+router.get('/filters', cache('jobs'), jobsController.getJobFilters);
 
 // GET /api/v1/jobs/:id - Get single job details
-router.get('/:id', jobsController.getJobById);
+router.get('/:id', cache('jobs'), jobsController.getJobById);
 
 module.exports = router;
\ No newline at end of file
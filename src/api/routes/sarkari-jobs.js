@@ -1,14 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const sarkariJobsController = require('../controllers/sarkariJobsController');
+const cache = require('../middleware/cache');
 
 // GET /api/v1/sarkari-jobs - Get paginated government jobs
-router.get('/', sarkariJobsController.getSarkariJobs);
+router.get('/', cache('sarkariJobs'), sarkariJobsController.getSarkariJobs);
 
-// GET /api/v1/sarkari-results - Get government jobs with result-out status
-router.get('/results', sarkariJobsController.getSarkariResults);
+// GET /api/v1/sarkari-results - Get paginated government jobs with result-out status
+router.get('/results', cache('sarkariJobs'), sarkariJobsController.getSarkariResults);
 
 // GET /api/v1/sarkari-jobs/:id - Get single sarkari job details
-router.get('/:id', sarkariJobsController.getSarkariJobById);
+router.get('/:id', cache('sarkariJobs'), sarkariJobsController.getSarkariJobById);
 
 module.exports = router;
\ No newline at end of file
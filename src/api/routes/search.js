@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/searchController');
+const cache = require('../middleware/cache');
+const { verticals } = require('../../cache');
+
+// GET /api/v1/search - Search jobs, internships, walk-ins, sarkari jobs and certifications at once
+router.get('/', cache(Object.keys(verticals)), searchController.searchAll);
+
+module.exports = router;
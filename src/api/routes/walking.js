@@ -1,22 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const walkingController = require('../controllers/walkingController');
+const cache = require('../middleware/cache');
 const authMiddleware = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
 const multer = require('multer');
 
 // Configure multer for file uploads
 const upload = multer({ dest: '/tmp/' });
 
 // Public routes
-router.get('/', walkingController.getAllWalking);
-router.get('/filters', walkingController.getWalkingFilters);
-router.get('/category/:category', walkingController.getWalkingByCategory);
-router.get('/:id', walkingController.getWalkingById);
+router.get('/', cache('walking'), walkingController.getAllWalking);
+router.get('/filters', cache('walking'), walkingController.getWalkingFilters);
+router.get('/category/:category', cache('walking'), walkingController.getWalkingByCategory);
+router.get('/:id', cache('walking'), walkingController.getWalkingById);
 
 // Admin routes (protected)
-router.post('/', authMiddleware, walkingController.createWalking);
-router.put('/:id', authMiddleware, walkingController.updateWalking);
-router.delete('/:id', authMiddleware, walkingController.deleteWalking);
-router.post('/bulk-upload', authMiddleware, upload.single('file'), walkingController.bulkUploadWalking);
+router.post('/', authMiddleware, authorize('walking:write'), walkingController.createWalking);
+router.put('/:id', authMiddleware, authorize('walking:write'), walkingController.updateWalking);
+router.delete('/:id', authMiddleware, authorize('walking:write'), walkingController.deleteWalking);
+router.post('/bulk-upload', authMiddleware, authorize('walking:write'), upload.single('file'), walkingController.bulkUploadWalking);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const { permissionsOf } = require('./permissions');
+
+// Admin accounts. Passwords are bcrypt hashes; single-use secrets such as
+// password reset tokens are kept only as SHA-256 hashes.
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// What an account looks like to other admins: never its secrets
+function accountOf(admin) {
+  return {
+    email: admin.email,
+    role: admin.role,
+    permissions: permissionsOf(admin.role),
+    disabled: Boolean(admin.disabled),
+    createdAt: admin.createdAt,
+    updatedAt: admin.updatedAt,
+    disabledAt: admin.disabledAt,
+    disabledBy: admin.disabledBy,
+    passwordChangedAt: admin.passwordChangedAt,
+    twoFactorEnabled: Boolean(admin.twoFactor)
+  };
+}
+
+// Why `password` cannot be used, or null when it can
+function passwordProblem(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+  }
+  return null;
+}
+
+function generateToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Compare a token with a stored hash in constant time
+function tokenMatches(token, hash) {
+  if (typeof token !== 'string' || typeof hash !== 'string') return false;
+  const actual = Buffer.from(hashToken(token), 'hex');
+  const expected = Buffer.from(hash, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  accountOf,
+  passwordProblem,
+  generateToken,
+  hashToken,
+  tokenMatches
+};
@@ -1,32 +1,61 @@
 const { v4: uuidv4 } = require('uuid');
-const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const { activitiesRepository } = require('../../repositories');
+const { diffItems } = require('./diff');
 
-const client = new DynamoDBClient({ region: process.env.AWS_REGION });
-const docClient = DynamoDBDocumentClient.from(client);
+// Partition of the activities' recent index holding every activity
+const ACTIVITY_FEED = 'all';
 
-async function logActivity({ action, targetType, targetId, adminEmail }) {
+function normalizeAction(action) {
+  return (action || '').toUpperCase();
+}
+
+function normalizeTargetType(targetType) {
+  return (targetType || '').replace(/[-_]/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+}
+
+// `before` and `after` are the target as it was and as it is now; the fields
+// that differ are stored as `changes`. `counts` tallies the items a bulk
+// write touched. `req` supplies the IP and user agent.
+async function logActivity({ action, targetType, targetId, adminEmail, comment, before, after, counts, req }) {
   // Normalize action and targetType for consistency
-  const normalizedAction = (action || '').toUpperCase();
-  const normalizedTargetType = (targetType || '').replace(/[-_]/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+  const normalizedAction = normalizeAction(action);
+  const normalizedTargetType = normalizeTargetType(targetType);
   const timestamp = new Date().toISOString();
-  const params = {
-    TableName: 'AdminActivities',
-    Item: {
-      id: uuidv4(),
-      action: normalizedAction,
-      targetType: normalizedTargetType,
-      targetId,
-      adminEmail,
-      timestamp,
-    },
+  const activity = {
+    id: uuidv4(),
+    action: normalizedAction,
+    targetType: normalizedTargetType,
+    targetId,
+    adminEmail,
+    timestamp,
+    feed: ACTIVITY_FEED,
   };
+  if (comment) {
+    activity.comment = comment;
+  }
+  if (before || after) {
+    // DynamoDB cannot store undefined, so a field missing on one side is null
+    activity.changes = diffItems(before, after).map(change => ({
+      attribute: change.attribute,
+      before: change.before === undefined ? null : change.before,
+      after: change.after === undefined ? null : change.after
+    }));
+  }
+  if (counts) {
+    activity.counts = counts;
+  }
+  if (req) {
+    activity.ip = req.ip || null;
+    activity.userAgent = req.get('user-agent') || null;
+  }
   try {
-    const command = new PutCommand(params);
-    await docClient.send(command);
+    await activitiesRepository.put(activity);
   } catch (err) {
     console.error('Error logging activity:', err);
   }
 }
 
-module.exports = logActivity;
\ No newline at end of file
+module.exports = logActivity;
+module.exports.normalizeAction = normalizeAction;
+module.exports.normalizeTargetType = normalizeTargetType;
+module.exports.ACTIVITY_FEED = ACTIVITY_FEED;
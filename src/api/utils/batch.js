@@ -0,0 +1,84 @@
+// Normalization of batch (graduation year) values such as "2024",
+// "2023-2025", "2023-25", "2024 & 2025" or "2025 passouts" into years.
+
+// Ranges wider than this are more likely typos than real eligibility
+const MAX_RANGE = 10;
+
+const RANGE_PATTERN = /\b((?:19|20)\d{2})\s*(?:-|–|—|to|till|until)\s*((?:19|20)?\d{2})\b/g;
+const YEAR_PATTERN = /\b(?:19|20)\d{2}\b/g;
+
+function yearsIn(text) {
+  const years = new Set();
+
+  const remaining = text.replace(RANGE_PATTERN, (match, from, to) => {
+    const start = parseInt(from);
+    const end = to.length === 2 ? parseInt(from.slice(0, 2) + to) : parseInt(to);
+    if (end < start || end - start > MAX_RANGE) {
+      return match;
+    }
+    for (let year = start; year <= end; year++) {
+      years.add(year);
+    }
+    return ' ';
+  });
+
+  (remaining.match(YEAR_PATTERN) || []).forEach(year => years.add(parseInt(year)));
+  return years;
+}
+
+// Sorted, distinct years from a batch array, comma separated string or number
+function normalizeBatch(batch) {
+  const values = Array.isArray(batch) ? batch : [batch];
+  const years = new Set();
+  values
+    .filter(value => value !== undefined && value !== null)
+    .forEach(value => yearsIn(String(value)).forEach(year => years.add(year)));
+  return [...years].sort((a, b) => a - b);
+}
+
+// Years stored next to an item's `batch`
+function batchAttributes(batch) {
+  return { batchYears: normalizeBatch(batch) };
+}
+
+// An item's batch years, or its batch normalized now for items written
+// before the years were stored
+function batchOf(item) {
+  return Array.isArray(item.batchYears) ? item.batchYears : normalizeBatch(item.batch);
+}
+
+// Predicates for the batch, batchFrom and batchTo query parameters, keyed
+// by parameter name. `batch` takes any form normalizeBatch does and matches
+// items sharing a year with it; "Not Mentioned" matches items without years.
+// batchFrom/batchTo match items with a year in the range.
+function batchFilters({ batch, batchFrom, batchTo }) {
+  const filters = {};
+
+  if (batch) {
+    if (batch === 'Not Mentioned') {
+      filters.batch = item => batchOf(item).length === 0;
+    } else {
+      const wanted = normalizeBatch(batch);
+      filters.batch = wanted.length
+        ? item => batchOf(item).some(year => wanted.includes(year))
+        : item => Array.isArray(item.batch) && item.batch.includes(batch);
+    }
+  }
+
+  const from = parseInt(batchFrom);
+  const to = parseInt(batchTo);
+  if (!Number.isNaN(from) || !Number.isNaN(to)) {
+    filters.batchRange = item => batchOf(item).some(year =>
+      (Number.isNaN(from) || year >= from) && (Number.isNaN(to) || year <= to)
+    );
+  }
+
+  return filters;
+}
+
+module.exports = {
+  normalizeBatch,
+  batchAttributes,
+  batchOf,
+  batchFilters
+};
@@ -0,0 +1,39 @@
+// `from`/`to` query filters on an ISO timestamp attribute. A date-only `to`
+// covers the whole of that day. Ranges are a gte/lte pair, so they also
+// serve as an index sort key condition.
+
+class InvalidDateError extends Error {
+  constructor(field) {
+    super(`${field} must be a valid date`);
+    this.name = 'InvalidDateError';
+  }
+}
+
+// A scan condition for timestamps between `from` and `to`, either of which
+// may be left out, or undefined when both are
+function dateRange(from, to) {
+  const range = {};
+  if (from) {
+    const start = new Date(from);
+    if (isNaN(start)) {
+      throw new InvalidDateError('from');
+    }
+    range.gte = start.toISOString();
+  }
+  if (to) {
+    const end = new Date(to);
+    if (isNaN(end)) {
+      throw new InvalidDateError('to');
+    }
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      end.setUTCHours(23, 59, 59, 999);
+    }
+    range.lte = end.toISOString();
+  }
+  return Object.keys(range).length > 0 ? range : undefined;
+}
+
+module.exports = {
+  InvalidDateError,
+  dateRange
+};
@@ -0,0 +1,19 @@
+// Attribute-level differences between two versions of an item, as
+// [{ attribute, before, after }] sorted by attribute. An attribute missing
+// from one side has undefined there; nested values are compared whole.
+function diffItems(before = {}, after = {}) {
+  const attributes = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  return [...attributes]
+    .filter(attribute => JSON.stringify(before[attribute]) !== JSON.stringify(after[attribute]))
+    .sort()
+    .map(attribute => ({
+      attribute,
+      before: before[attribute],
+      after: after[attribute]
+    }));
+}
+
+module.exports = {
+  diffItems
+};
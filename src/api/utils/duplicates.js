@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const { recordRevision } = require('./revisions');
+const { PUBLICATION_ATTRIBUTES, canEdit, ReviewRequiredError } = require('./publishing');
+
+// Duplicate detection for postings. Two items are the same posting when
+// they share a fingerprint: company, role and normalized link. Items store
+// their fingerprint, and each vertical's fingerprint index (see
+// repositories/tables.js) finds the items sharing one.
+//
+// What happens to a new item duplicating a stored one is the policy, from
+// the request's `onDuplicate` query parameter or else DUPLICATE_POLICY:
+//   skip (default) - keep the existing item, reject or skip the new one
+//   update         - overwrite the existing item with the new data, keeping
+//                    its publication state; editors only update items they
+//                    may edit (see ./publishing)
+//   allow          - store the new item as well
+// An edit that would turn an item into a duplicate of another is rejected
+// unless the policy is allow.
+
+const POLICIES = ['skip', 'update', 'allow'];
+
+class InvalidDuplicatePolicyError extends Error {
+  constructor(policy) {
+    super(`Invalid duplicate policy "${policy}". Use one of: ${POLICIES.join(', ')}`);
+    this.name = 'InvalidDuplicatePolicyError';
+  }
+}
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = /^(utm_\w+|ref|referrer|source|src|fbclid|gclid|trk|trackingid)$/i;
+
+function normalizeText(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Scheme, www, case, fragment, trailing slashes and tracking parameters do
+// not make a different posting
+function normalizeLink(link) {
+  const text = String(link || '').trim();
+  if (!text) return '';
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+    const params = [...url.searchParams.entries()]
+      .filter(([name]) => !TRACKING_PARAMS.test(name))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const query = params.length ? `?${new URLSearchParams(params).toString()}` : '';
+    const host = url.hostname.toLowerCase().replace(/^www\./, '');
+    const path = url.pathname.replace(/\/+$/, '');
+    return `${host}${path}${query}`;
+  } catch (error) {
+    return text.toLowerCase().replace(/\/+$/, '');
+  }
+}
+
+function duplicatePolicy(req) {
+  const policy = String(req.query.onDuplicate || process.env.DUPLICATE_POLICY || 'skip').toLowerCase();
+
+  if (!POLICIES.includes(policy)) {
+    throw new InvalidDuplicatePolicyError(policy);
+  }
+  return policy;
+}
+
+// The company, role and link attributes of each vertical
+const FINGERPRINT_FIELDS = {
+  jobs: { company: 'companyName', role: 'role', link: 'originalLink' },
+  sarkariJobs: { company: 'organization', role: 'postName', link: 'notificationLink' },
+  internships: { company: 'company', role: 'title', link: 'applyLink' },
+  walking: { company: 'company', role: 'title', link: 'applyLink' },
+  certifications: { company: 'provider', role: 'title', link: 'link' }
+};
+
+// Attributes an update from a duplicate must leave alone: the item's key,
+// its id, when it was first posted and where it is in the workflow
+const PRESERVED_ATTRIBUTES = ['postedOn', 'postedAt', 'createdAt', ...PUBLICATION_ATTRIBUTES];
+
+// Duplicate detection for the vertical `type` stored in `repository`
+function createDeduplicator(repository, type) {
+  const { keySchema, idField } = repository.table;
+  const fields = FINGERPRINT_FIELDS[type];
+
+  function fingerprint(item) {
+    const company = normalizeText(item[fields.company]);
+    const role = normalizeText(item[fields.role]);
+    if (!company || !role) return null;
+
+    const link = normalizeLink(item[fields.link]);
+    return crypto.createHash('sha1').update(`${company}|${role}|${link}`).digest('hex');
+  }
+
+  // Stored items with the fingerprint `key`. Items in the trash do not
+  // count.
+  function withFingerprint(key) {
+    return repository.queryIndex('fingerprint', key, { conditions: { status: { ne: 'deleted' } } });
+  }
+
+  // The stored item `item` duplicates, other than itself
+  async function findDuplicate(item) {
+    const key = fingerprint(item);
+    if (!key) return null;
+    const existing = await withFingerprint(key);
+    return existing.find(candidate => candidate[idField] !== item[idField]) || null;
+  }
+
+  // Fingerprint -> stored item, for the fingerprints of `items`
+  async function storedByFingerprint(items) {
+    const keys = [...new Set(items.map(fingerprint).filter(Boolean))];
+    const found = await Promise.all(keys.map(withFingerprint));
+    const byFingerprint = new Map();
+    keys.forEach((key, i) => {
+      if (found[i].length > 0) byFingerprint.set(key, found[i][0]);
+    });
+    return byFingerprint;
+  }
+
+  // Store the fingerprint on items written before fingerprints were kept,
+  // so the index finds them. Resolves to how many items were updated.
+  async function backfill() {
+    const items = await repository.scan({ fingerprint: { missingOrEmpty: true } });
+    let updated = 0;
+    for (const item of items) {
+      const key = fingerprint(item);
+      if (!key) continue;
+      await repository.update(item, { fingerprint: key });
+      updated++;
+    }
+    return updated;
+  }
+
+  // Whether changes touch the attributes the fingerprint is made of
+  function affects(changes) {
+    return [fields.company, fields.role, fields.link].some(field => changes[field] !== undefined);
+  }
+
+  // A duplicate's data without what identifies the item it is merged into
+  function changesFrom(item) {
+    const changes = { ...item };
+    [...keySchema, idField, ...PRESERVED_ATTRIBUTES].forEach(attribute => {
+      delete changes[attribute];
+    });
+    return changes;
+  }
+
+  // Overwrite an existing item with a duplicate's data, on behalf of admin.
+  // Throws a ReviewRequiredError when admin may not edit the item.
+  async function update(existing, item, admin) {
+    if (!canEdit(existing, admin)) {
+      throw new ReviewRequiredError();
+    }
+    await recordRevision(type, existing[idField], existing, { admin, reason: 'duplicate' });
+    return repository.update(existing, changesFrom(item));
+  }
+
+  // Sort a bulk upload's prepared items, [{ row, item }], by the policy into
+  // items to create, existing items to update and a per-row duplicates
+  // report. Rows repeating an earlier row of the same upload count too.
+  // Items `admin` may not edit are skipped rather than updated.
+  async function partition(entries, policy, admin) {
+    const byFingerprint = policy === 'allow' ? new Map() : await storedByFingerprint(entries.map(({ item }) => item));
+    const action = policy === 'skip' ? 'skipped' : 'updated';
+    // Fingerprint -> row of this upload already kept
+    const kept = new Map();
+    const toCreate = [];
+    const toUpdate = [];
+    const duplicates = [];
+
+    entries.forEach(({ row, item }) => {
+      const key = fingerprint(item);
+      if (policy === 'allow' || !key) {
+        toCreate.push(item);
+        return;
+      }
+
+      if (kept.has(key)) {
+        const earlier = kept.get(key);
+        duplicates.push({ row, duplicateOfRow: earlier.row, action });
+        if (policy === 'update') Object.assign(earlier.item, changesFrom(item));
+        return;
+      }
+
+      const existing = byFingerprint.get(key);
+      if (existing) {
+        const updating = policy === 'update' && canEdit(existing, admin);
+        duplicates.push({ row, duplicateOf: existing[idField], action: updating ? 'updated' : 'skipped' });
+        if (updating) {
+          toUpdate.push({ existing, item });
+          kept.set(key, { row, item });
+        }
+        return;
+      }
+
+      kept.set(key, { row, item });
+      toCreate.push(item);
+    });
+
+    return { toCreate, toUpdate, duplicates };
+  }
+
+  return {
+    fingerprint,
+    affects,
+    findDuplicate,
+    update,
+    partition,
+    backfill
+  };
+}
+
+module.exports = {
+  POLICIES,
+  FINGERPRINT_FIELDS,
+  InvalidDuplicatePolicyError,
+  normalizeLink,
+  duplicatePolicy,
+  createDeduplicator
+};
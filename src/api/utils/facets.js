@@ -0,0 +1,47 @@
+const { matches } = require('../../repositories/conditions');
+
+// Faceted counts for filter endpoints.
+//
+// fields:  facet name -> item => value or array of values
+// filters: facet name -> item => boolean, for the filters currently applied
+//
+// Each facet is counted over the items that pass every applied filter except
+// its own, so picking a location still shows the other locations and how
+// many results each would give. Values with no matching items are left out.
+function computeFacets(items, { fields, filters = {} }) {
+  const facets = {};
+
+  Object.keys(fields).forEach(facet => {
+    const otherFilters = Object.keys(filters)
+      .filter(name => name !== facet)
+      .map(name => filters[name]);
+
+    const counts = new Map();
+    items
+      .filter(item => otherFilters.every(filter => filter(item)))
+      .forEach(item => {
+        const value = fields[facet](item);
+        const values = Array.isArray(value) ? value : [value];
+        new Set(values.filter(v => v !== undefined && v !== null && v !== '')).forEach(v => {
+          counts.set(v, (counts.get(v) || 0) + 1);
+        });
+      });
+
+    facets[facet] = [...counts.entries()]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+  });
+
+  return facets;
+}
+
+// Predicate for a repository condition object, so facets apply exactly the
+// same matching rules as the listing's repository filter
+function conditionFilter(conditions) {
+  return item => matches(item, conditions);
+}
+
+module.exports = {
+  computeFacets,
+  conditionFilter
+};
@@ -0,0 +1,116 @@
+// Indian states and union territories, and the cities postings name most,
+// with the spellings they turn up under. Names are the canonical forms
+// stored on items; aliases are matched case-insensitively.
+
+// name -> { aliases, codes }. Codes (KA, MH, ...) only count when they
+// stand alone between separators, as in "Bengaluru, KA".
+const states = {
+  'Andhra Pradesh': { aliases: [], codes: ['ap'] },
+  'Arunachal Pradesh': { aliases: [], codes: ['ar'] },
+  'Assam': { aliases: [], codes: ['as'] },
+  'Bihar': { aliases: [], codes: ['br'] },
+  'Chhattisgarh': { aliases: ['chattisgarh'], codes: ['cg'] },
+  'Goa': { aliases: [], codes: ['ga'] },
+  'Gujarat': { aliases: [], codes: ['gj'] },
+  'Haryana': { aliases: [], codes: ['hr'] },
+  'Himachal Pradesh': { aliases: [], codes: ['hp'] },
+  'Jharkhand': { aliases: [], codes: ['jh'] },
+  'Karnataka': { aliases: [], codes: ['ka'] },
+  'Kerala': { aliases: [], codes: ['kl'] },
+  'Madhya Pradesh': { aliases: [], codes: ['mp'] },
+  'Maharashtra': { aliases: [], codes: ['mh'] },
+  'Manipur': { aliases: [], codes: ['mn'] },
+  'Meghalaya': { aliases: [], codes: ['ml'] },
+  'Mizoram': { aliases: [], codes: ['mz'] },
+  'Nagaland': { aliases: [], codes: ['nl'] },
+  'Odisha': { aliases: ['orissa'], codes: ['od', 'or'] },
+  'Punjab': { aliases: [], codes: ['pb'] },
+  'Rajasthan': { aliases: [], codes: ['rj'] },
+  'Sikkim': { aliases: [], codes: ['sk'] },
+  'Tamil Nadu': { aliases: ['tamilnadu'], codes: ['tn'] },
+  'Telangana': { aliases: [], codes: ['ts', 'tg'] },
+  'Tripura': { aliases: [], codes: ['tr'] },
+  'Uttar Pradesh': { aliases: [], codes: ['up'] },
+  'Uttarakhand': { aliases: ['uttaranchal'], codes: ['uk'] },
+  'West Bengal': { aliases: [], codes: ['wb'] },
+  'Andaman and Nicobar Islands': { aliases: ['andaman', 'andaman & nicobar'], codes: [] },
+  'Chandigarh': { aliases: [], codes: ['ch'] },
+  'Dadra and Nagar Haveli and Daman and Diu': { aliases: ['dadra', 'daman', 'silvassa'], codes: [] },
+  'Delhi': { aliases: ['nct of delhi', 'delhi ncr', 'ncr'], codes: ['dl'] },
+  'Jammu and Kashmir': { aliases: ['jammu & kashmir', 'kashmir'], codes: ['jk', 'j&k'] },
+  'Ladakh': { aliases: ['leh'], codes: [] },
+  'Lakshadweep': { aliases: [], codes: [] },
+  'Puducherry': { aliases: ['pondicherry'], codes: ['py'] }
+};
+
+// name -> { state, aliases }
+const cities = {
+  'Bengaluru': { state: 'Karnataka', aliases: ['bangalore', 'banglore', 'bengalore', 'blr'] },
+  'Mysuru': { state: 'Karnataka', aliases: ['mysore'] },
+  'Mangaluru': { state: 'Karnataka', aliases: ['mangalore'] },
+  'Hubballi': { state: 'Karnataka', aliases: ['hubli', 'hubli-dharwad'] },
+  'Mumbai': { state: 'Maharashtra', aliases: ['bombay'] },
+  'Navi Mumbai': { state: 'Maharashtra', aliases: [] },
+  'Thane': { state: 'Maharashtra', aliases: [] },
+  'Pune': { state: 'Maharashtra', aliases: ['poona'] },
+  'Nagpur': { state: 'Maharashtra', aliases: [] },
+  'Nashik': { state: 'Maharashtra', aliases: ['nasik'] },
+  'Chhatrapati Sambhajinagar': { state: 'Maharashtra', aliases: ['aurangabad'] },
+  'Delhi': { state: 'Delhi', aliases: ['new delhi'] },
+  'Gurugram': { state: 'Haryana', aliases: ['gurgaon'] },
+  'Faridabad': { state: 'Haryana', aliases: [] },
+  'Noida': { state: 'Uttar Pradesh', aliases: ['greater noida'] },
+  'Ghaziabad': { state: 'Uttar Pradesh', aliases: [] },
+  'Lucknow': { state: 'Uttar Pradesh', aliases: [] },
+  'Kanpur': { state: 'Uttar Pradesh', aliases: [] },
+  'Varanasi': { state: 'Uttar Pradesh', aliases: ['banaras', 'benares'] },
+  'Prayagraj': { state: 'Uttar Pradesh', aliases: ['allahabad'] },
+  'Agra': { state: 'Uttar Pradesh', aliases: [] },
+  'Hyderabad': { state: 'Telangana', aliases: ['secunderabad', 'cyberabad'] },
+  'Warangal': { state: 'Telangana', aliases: [] },
+  'Chennai': { state: 'Tamil Nadu', aliases: ['madras'] },
+  'Coimbatore': { state: 'Tamil Nadu', aliases: ['kovai'] },
+  'Madurai': { state: 'Tamil Nadu', aliases: [] },
+  'Tiruchirappalli': { state: 'Tamil Nadu', aliases: ['trichy', 'tiruchi'] },
+  'Kolkata': { state: 'West Bengal', aliases: ['calcutta'] },
+  'Ahmedabad': { state: 'Gujarat', aliases: ['amdavad'] },
+  'Gandhinagar': { state: 'Gujarat', aliases: ['gift city'] },
+  'Surat': { state: 'Gujarat', aliases: [] },
+  'Vadodara': { state: 'Gujarat', aliases: ['baroda'] },
+  'Rajkot': { state: 'Gujarat', aliases: [] },
+  'Jaipur': { state: 'Rajasthan', aliases: [] },
+  'Jodhpur': { state: 'Rajasthan', aliases: [] },
+  'Udaipur': { state: 'Rajasthan', aliases: [] },
+  'Chandigarh': { state: 'Chandigarh', aliases: ['tricity'] },
+  'Mohali': { state: 'Punjab', aliases: ['sas nagar'] },
+  'Ludhiana': { state: 'Punjab', aliases: [] },
+  'Amritsar': { state: 'Punjab', aliases: [] },
+  'Indore': { state: 'Madhya Pradesh', aliases: [] },
+  'Bhopal': { state: 'Madhya Pradesh', aliases: [] },
+  'Gwalior': { state: 'Madhya Pradesh', aliases: [] },
+  'Jabalpur': { state: 'Madhya Pradesh', aliases: [] },
+  'Kochi': { state: 'Kerala', aliases: ['cochin', 'ernakulam'] },
+  'Thiruvananthapuram': { state: 'Kerala', aliases: ['trivandrum'] },
+  'Kozhikode': { state: 'Kerala', aliases: ['calicut'] },
+  'Visakhapatnam': { state: 'Andhra Pradesh', aliases: ['vizag', 'vishakhapatnam'] },
+  'Vijayawada': { state: 'Andhra Pradesh', aliases: [] },
+  'Tirupati': { state: 'Andhra Pradesh', aliases: [] },
+  'Bhubaneswar': { state: 'Odisha', aliases: ['bhubaneshwar'] },
+  'Cuttack': { state: 'Odisha', aliases: [] },
+  'Patna': { state: 'Bihar', aliases: [] },
+  'Ranchi': { state: 'Jharkhand', aliases: [] },
+  'Jamshedpur': { state: 'Jharkhand', aliases: [] },
+  'Raipur': { state: 'Chhattisgarh', aliases: [] },
+  'Guwahati': { state: 'Assam', aliases: ['gauhati'] },
+  'Dehradun': { state: 'Uttarakhand', aliases: ['dehra dun'] },
+  'Shimla': { state: 'Himachal Pradesh', aliases: ['simla'] },
+  'Srinagar': { state: 'Jammu and Kashmir', aliases: [] },
+  'Jammu': { state: 'Jammu and Kashmir', aliases: [] },
+  'Panaji': { state: 'Goa', aliases: ['panjim'] },
+  'Puducherry': { state: 'Puducherry', aliases: ['pondicherry', 'pondy'] }
+};
+
+module.exports = {
+  states,
+  cities
+};
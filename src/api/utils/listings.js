@@ -0,0 +1,47 @@
+const {
+  jobsRepository,
+  sarkariJobsRepository,
+  internshipsRepository,
+  walkingRepository,
+  certificationsRepository
+} = require('../../repositories');
+
+// The listing verticals admins manage, keyed by the `type` used in admin
+// routes. `targetType` is what activity entries call them, `title` a
+// one-line description of an item.
+const verticals = {
+  jobs: {
+    repository: jobsRepository,
+    targetType: 'job',
+    title: item => `${item.role} at ${item.companyName}`
+  },
+  sarkariJobs: {
+    repository: sarkariJobsRepository,
+    targetType: 'sarkari-job',
+    title: item => `${item.postName || item.title} at ${item.organization}`
+  },
+  internships: {
+    repository: internshipsRepository,
+    targetType: 'internship',
+    title: item => `${item.title} at ${item.company}`
+  },
+  walking: {
+    repository: walkingRepository,
+    targetType: 'walking',
+    title: item => `${item.title} at ${item.company}`
+  },
+  certifications: {
+    repository: certificationsRepository,
+    targetType: 'certification',
+    title: item => `${item.title} by ${item.provider}`
+  }
+};
+
+function unknownTypeMessage(types) {
+  return `Unknown type: ${types.join(', ')}. Use one of: ${Object.keys(verticals).join(', ')}`;
+}
+
+module.exports = {
+  verticals,
+  unknownTypeMessage
+};
@@ -0,0 +1,172 @@
+const { states, cities } = require('./gazetteer');
+
+// Normalization of free-text locations such as "Bengaluru, KA",
+// "Remote / Pune" or "Hybrid - Gurgaon" into canonical cities, states and a
+// work mode, using the gazetteer's names and aliases.
+
+const WORK_MODES = ['remote', 'hybrid', 'onsite'];
+
+class InvalidLocationFilterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidLocationFilterError';
+  }
+}
+
+// Checked in order: "Hybrid (remote 2 days)" is hybrid
+const WORK_MODE_PATTERNS = [
+  ['hybrid', /\bhybrid\b/],
+  ['remote', /\b(remote|remotely|work from home|wfh|work from anywhere|virtual|online)\b/],
+  ['onsite', /\b(on-?site|in-?office|work from office|wfo)\b/]
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Every city and state spelling, longest first so "Navi Mumbai" is taken
+// before "Mumbai" and "Jammu and Kashmir" before "Jammu". On equal length
+// cities come first; a city brings its state along.
+const phrases = [];
+Object.entries(cities).forEach(([name, { state, aliases }]) => {
+  [name.toLowerCase(), ...aliases].forEach(alias => phrases.push({ alias, city: name, state }));
+});
+Object.entries(states).forEach(([name, { aliases }]) => {
+  [name.toLowerCase(), ...aliases].forEach(alias => phrases.push({ alias, state: name }));
+});
+phrases.sort((a, b) => b.alias.length - a.alias.length);
+phrases.forEach(phrase => {
+  phrase.pattern = new RegExp(`(^|[^a-z0-9])${escapeRegExp(phrase.alias)}(?=$|[^a-z0-9])`, 'g');
+});
+
+// State codes, only recognized as a whole comma/slash separated part
+const stateCodes = new Map();
+Object.entries(states).forEach(([name, { codes }]) => {
+  codes.forEach(code => stateCodes.set(code, name));
+});
+
+function detectWorkMode(text) {
+  const match = WORK_MODE_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : null;
+}
+
+// Parsing the same few hundred location strings over and over is wasted work
+const memo = new Map();
+const MEMO_SIZE = 2000;
+
+// Returns { cities, states, workMode }. workMode is null when the text gives
+// no hint and names no place; naming a place without a mode means onsite.
+function normalizeLocation(text) {
+  if (!text || typeof text !== 'string') {
+    return { cities: [], states: [], workMode: null };
+  }
+  if (memo.has(text)) {
+    return memo.get(text);
+  }
+
+  let remaining = text.toLowerCase();
+  const foundCities = new Set();
+  const foundStates = new Set();
+
+  phrases.forEach(({ pattern, city, state }) => {
+    remaining = remaining.replace(pattern, (match, separator) => {
+      if (city) foundCities.add(city);
+      if (state) foundStates.add(state);
+      return separator + ' '.repeat(match.length - separator.length);
+    });
+  });
+
+  remaining.split(/[,/|;()]+/).forEach(part => {
+    const state = stateCodes.get(part.trim());
+    if (state) foundStates.add(state);
+  });
+
+  const workMode = detectWorkMode(text.toLowerCase()) ||
+    (foundCities.size || foundStates.size ? 'onsite' : null);
+
+  const result = { cities: [...foundCities], states: [...foundStates], workMode };
+  if (memo.size >= MEMO_SIZE) memo.clear();
+  memo.set(text, result);
+  return result;
+}
+
+// Normalized attributes stored next to an item's `location` text: cities,
+// states and workMode. Copies, as normalizeLocation results are shared.
+function locationAttributes(text) {
+  const { cities: itemCities, states: itemStates, workMode } = normalizeLocation(text);
+  return { cities: [...itemCities], states: [...itemStates], workMode };
+}
+
+// An item's normalized location, or its text normalized now for items
+// written before the attributes were stored
+function locationOf(item) {
+  if (Array.isArray(item.cities) && Array.isArray(item.states)) {
+    return { cities: item.cities, states: item.states, workMode: item.workMode || null };
+  }
+  return normalizeLocation(item.location);
+}
+
+function containsText(item, value) {
+  return typeof item.location === 'string' && item.location.toLowerCase().includes(value.toLowerCase());
+}
+
+// Location predicates for the location, city, state and workMode query
+// parameters, keyed by parameter name. Each accepts any spelling the
+// gazetteer knows ("bangalore" finds "Bengaluru, KA"); values it does not
+// know fall back to a case-insensitive match on the location text. A
+// parameter given more than once, or a work mode that is none of the known
+// ones, is an InvalidLocationFilterError.
+function locationFilters({ location, city, state, workMode }) {
+  Object.entries({ location, city, state, workMode }).forEach(([name, value]) => {
+    if (value !== undefined && typeof value !== 'string') {
+      throw new InvalidLocationFilterError(`Invalid ${name}. Give it once, as text`);
+    }
+  });
+
+  const filters = {};
+
+  if (location) {
+    const wanted = normalizeLocation(location);
+    filters.location = item => {
+      if (containsText(item, location)) return true;
+      const { cities: itemCities, states: itemStates, workMode: itemMode } = locationOf(item);
+      if (wanted.cities.length) return wanted.cities.some(name => itemCities.includes(name));
+      if (wanted.states.length) return wanted.states.some(name => itemStates.includes(name));
+      return wanted.workMode !== null && wanted.workMode !== 'onsite' && itemMode === wanted.workMode;
+    };
+  }
+
+  if (city) {
+    const [name] = normalizeLocation(city).cities;
+    filters.city = name
+      ? item => locationOf(item).cities.includes(name)
+      : item => containsText(item, city);
+  }
+
+  if (state) {
+    const name = stateCodes.get(state.trim().toLowerCase()) || normalizeLocation(state).states[0];
+    filters.state = name
+      ? item => locationOf(item).states.includes(name)
+      : item => containsText(item, state);
+  }
+
+  if (workMode) {
+    const value = workMode.trim().toLowerCase();
+    const mode = WORK_MODES.includes(value) ? value : detectWorkMode(value);
+    if (!mode) {
+      throw new InvalidLocationFilterError(`Invalid workMode "${workMode}". Use one of: ${WORK_MODES.join(', ')}`);
+    }
+    filters.workMode = item => locationOf(item).workMode === mode;
+  }
+
+  return filters;
+}
+
+module.exports = {
+  WORK_MODES,
+  normalizeLocation,
+  locationAttributes,
+  locationOf,
+  locationFilters,
+  InvalidLocationFilterError
+};
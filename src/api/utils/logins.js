@@ -0,0 +1,109 @@
+const { v4: uuidv4 } = require('uuid');
+const { loginAttemptsRepository, loginHistoryRepository } = require('../../repositories');
+
+// Sign-in protection and history for admin accounts.
+//
+// Failed sign-ins are counted per email, whether or not an account has it,
+// so a lockout says nothing about which emails exist. After
+// LOGIN_MAX_ATTEMPTS failures (default 5) the email is locked for
+// LOGIN_LOCKOUT_MINUTES (default 15), doubling with every further failure up
+// to a day. Attempts while locked are refused without checking the password,
+// and a successful sign-in clears the count, as does a day without failures.
+//
+// Every attempt is also kept in the login history for
+// LOGIN_HISTORY_RETENTION_DAYS (default 90).
+
+const MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+const HISTORY_RETENTION_DAYS = parseInt(process.env.LOGIN_HISTORY_RETENTION_DAYS) || 90;
+
+function keyOf(email) {
+  return String(email).trim().toLowerCase();
+}
+
+// Failures older than the window no longer count
+function recentFailures(attempts, now) {
+  if (!attempts || now - Date.parse(attempts.lastFailedAt) > FAILURE_WINDOW_MS) return 0;
+  return attempts.failures;
+}
+
+function lockoutFor(failures) {
+  if (failures < MAX_ATTEMPTS) return 0;
+  return Math.min(LOCKOUT_MS * 2 ** (failures - MAX_ATTEMPTS), MAX_LOCKOUT_MS);
+}
+
+async function recordHistory(email, { success, reason = null, method = null, req }) {
+  await loginHistoryRepository.put({
+    email,
+    id: uuidv4(),
+    at: new Date().toISOString(),
+    success,
+    reason,
+    method,
+    ip: req.ip || null,
+    userAgent: req.get('user-agent') || null
+  });
+}
+
+// When the lockout on `email` ends, or null when it is not locked
+async function lockedUntil(email) {
+  const attempts = await loginAttemptsRepository.get({ email: keyOf(email) });
+  if (!attempts || !attempts.lockedUntil || Date.parse(attempts.lockedUntil) <= Date.now()) return null;
+  return attempts.lockedUntil;
+}
+
+// Refuse a sign-in on a locked email: history only, the count is not raised
+async function recordLockedLogin(email, req) {
+  await recordHistory(email, { success: false, reason: 'locked', req });
+}
+
+// A failed sign-in. Failures with `counted: false`, such as a disabled
+// account, are kept in the history without moving towards a lockout.
+// Resolves to when the email is now locked until, if it is.
+async function recordFailedLogin(email, reason, req, { counted = true } = {}) {
+  await recordHistory(email, { success: false, reason, req });
+  if (!counted) return null;
+
+  const now = Date.now();
+  const attempts = await loginAttemptsRepository.get({ email: keyOf(email) });
+  const failures = recentFailures(attempts, now) + 1;
+  const lockout = lockoutFor(failures);
+  const until = lockout > 0 ? new Date(now + lockout).toISOString() : null;
+
+  await loginAttemptsRepository.put({
+    email: keyOf(email),
+    failures,
+    lastFailedAt: new Date(now).toISOString(),
+    lockedUntil: until
+  });
+  return until;
+}
+
+// A completed sign-in; `method` is how the admin proved who they are
+async function recordSuccessfulLogin(admin, method, req) {
+  await recordHistory(admin.email, { success: true, method, req });
+  await clearFailedLogins(admin.email);
+}
+
+// Forget the failures of an email, lifting any lockout
+async function clearFailedLogins(email) {
+  await loginAttemptsRepository.delete({ email: keyOf(email) });
+}
+
+// Seconds until `until`, for a Retry-After header
+function secondsUntil(until) {
+  return Math.max(Math.ceil((Date.parse(until) - Date.now()) / 1000), 1);
+}
+
+module.exports = {
+  FAILURE_WINDOW_MS,
+  HISTORY_RETENTION_DAYS,
+  lockedUntil,
+  recordLockedLogin,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  clearFailedLogins,
+  secondsUntil
+};
@@ -0,0 +1,95 @@
+// Pagination for listing routes.
+//
+// Listings are filtered and sorted in full, then sliced either by the classic
+// page/limit query parameters or by an opaque cursor. `nextCursor` points just
+// past the last item returned, so following it keeps working when new items
+// are added ahead of the reader.
+
+class InvalidCursorError extends Error {
+  constructor() {
+    super('Invalid pagination cursor');
+    this.name = 'InvalidCursorError';
+  }
+}
+
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    if (!position || typeof position.offset !== 'number' || position.offset < 0) {
+      throw new InvalidCursorError();
+    }
+    return position;
+  } catch (error) {
+    throw new InvalidCursorError();
+  }
+}
+
+// Cursors for routes paged by the database rather than in memory: the
+// cursor carries the key of the last item read, and `attributes` are the
+// ones such a key has
+function toKeyCursor(key) {
+  return key ? encodeCursor({ key }) : null;
+}
+
+function fromKeyCursor(cursor, attributes) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+  } catch (error) {
+    throw new InvalidCursorError();
+  }
+  const key = position && position.key;
+  if (!key || typeof key !== 'object' || Object.keys(key).length !== attributes.length ||
+      !attributes.every(attribute => typeof key[attribute] === 'string')) {
+    throw new InvalidCursorError();
+  }
+  return key;
+}
+
+// items: the full, sorted result set
+// query: { page, limit, cursor } as received from req.query
+// options.idField: attribute used to re-anchor the cursor on its last item
+function paginate(items, query, { defaultLimit = 15, idField = 'id' } = {}) {
+  const limit = Math.max(parseInt(query.limit) || defaultLimit, 1);
+  let start;
+
+  if (query.cursor) {
+    const position = decodeCursor(query.cursor);
+    start = position.offset;
+    if (position.after !== undefined) {
+      const anchor = items.findIndex(item => item[idField] === position.after);
+      if (anchor !== -1) start = anchor + 1;
+    }
+  } else {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    start = (page - 1) * limit;
+  }
+
+  const pageItems = items.slice(start, start + limit);
+  const end = start + pageItems.length;
+  const hasNext = end < items.length;
+
+  return {
+    items: pageItems,
+    total: items.length,
+    limit,
+    currentPage: Math.floor(start / limit) + 1,
+    totalPages: Math.ceil(items.length / limit),
+    hasNext,
+    hasPrev: start > 0,
+    nextCursor: hasNext
+      ? encodeCursor({ offset: end, after: pageItems.length ? pageItems[pageItems.length - 1][idField] : undefined })
+      : null
+  };
+}
+
+module.exports = {
+  paginate,
+  toKeyCursor,
+  fromKeyCursor,
+  InvalidCursorError
+};
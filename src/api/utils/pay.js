@@ -0,0 +1,150 @@
+// Parsing of free-text salaries and stipends such as "6-8 LPA",
+// "₹15,000/month", "$80k per year" or "Not specified".
+
+const MULTIPLIERS = {
+  k: 1e3,
+  thousand: 1e3,
+  l: 1e5,
+  lac: 1e5,
+  lacs: 1e5,
+  lakh: 1e5,
+  lakhs: 1e5,
+  lpa: 1e5,
+  cr: 1e7,
+  crore: 1e7,
+  crores: 1e7,
+  m: 1e6,
+  million: 1e6
+};
+
+// Multiples of a period's amount in a year
+const PERIODS_PER_YEAR = {
+  year: 1,
+  month: 12,
+  week: 52,
+  day: 260,
+  hour: 2080
+};
+
+const PERIOD_PATTERNS = [
+  ['year', /\b(lpa|p\.?\s?a\.?|per\s+annum|annum|annual(ly)?|yearly|per\s+year|\/\s*(yr|year|annum)|ctc)\b/],
+  ['month', /\b(per\s+month|monthly|p\.?\s?m\.?|\/\s*(mo|month)|a\s+month)\b|\/\s*(mo|month)/],
+  ['week', /\b(per\s+week|weekly|\/\s*(wk|week))\b|\/\s*(wk|week)/],
+  ['day', /\b(per\s+day|daily|\/\s*day)\b|\/\s*day/],
+  ['hour', /\b(per\s+hour|hourly|\/\s*(hr|hour))\b|\/\s*(hr|hour)/]
+];
+
+const AMOUNT_PATTERN = new RegExp(
+  `(\\d+(?:\\.\\d+)?)\\s*(${Object.keys(MULTIPLIERS).sort((a, b) => b.length - a.length).join('|')})?\\b`,
+  'g'
+);
+
+function detectCurrency(text) {
+  if (/\$|\busd\b/.test(text)) return 'USD';
+  if (/€|\beur\b/.test(text)) return 'EUR';
+  if (/£|\bgbp\b/.test(text)) return 'GBP';
+  return 'INR';
+}
+
+// Returns { min, max, period, currency }, or null when the text holds no
+// amount ("Not specified", "As per industry standards"). Unpaid positions
+// parse as zero. `defaultPeriod` applies when the text names no period and
+// uses no lakh/crore units, which are always annual.
+function parsePay(text, { defaultPeriod = 'year' } = {}) {
+  if (text === undefined || text === null) return null;
+  if (typeof text === 'number') {
+    return { min: text, max: text, period: defaultPeriod, currency: 'INR' };
+  }
+
+  const normalized = String(text).toLowerCase().replace(/(\d),(?=\d)/g, '$1');
+  const currency = detectCurrency(normalized);
+
+  if (/\b(unpaid|no stipend)\b/.test(normalized)) {
+    return { min: 0, max: 0, period: defaultPeriod, currency };
+  }
+
+  const amounts = [...normalized.matchAll(AMOUNT_PATTERN)].map(match => ({
+    value: parseFloat(match[1]),
+    unit: match[2]
+  }));
+  if (amounts.length === 0) return null;
+
+  // In a range like "6-8 LPA" the unit after the last figure covers both
+  const [low, high = low] = amounts;
+  const lowUnit = low.unit || high.unit;
+  const min = low.value * (MULTIPLIERS[lowUnit] || 1);
+  const max = high.value * (MULTIPLIERS[high.unit] || 1);
+
+  let period = null;
+  for (const [name, pattern] of PERIOD_PATTERNS) {
+    if (pattern.test(normalized)) {
+      period = name;
+      break;
+    }
+  }
+  if (!period) {
+    period = ['l', 'lac', 'lacs', 'lakh', 'lakhs', 'cr', 'crore', 'crores'].includes(high.unit)
+      ? 'year'
+      : defaultPeriod;
+  }
+
+  return {
+    min: Math.min(min, max),
+    max: Math.max(min, max),
+    period,
+    currency
+  };
+}
+
+// Upper end of a parsed pay range per year, for comparing pays with
+// different periods. Other currencies are not converted.
+function annualAmount(pay) {
+  if (!pay) return null;
+  return pay.max * (PERIODS_PER_YEAR[pay.period] || 1);
+}
+
+// Structured pay attributes stored next to the original text, named after
+// the text's attribute: salary -> salaryMin, salaryMax, salaryPeriod and
+// salaryCurrency. They are null when the text holds no amount, so updating
+// the text to "Not specified" also clears them.
+function payAttributes(field, text, options) {
+  const pay = parsePay(text, options);
+  return {
+    [`${field}Min`]: pay ? pay.min : null,
+    [`${field}Max`]: pay ? pay.max : null,
+    [`${field}Period`]: pay ? pay.period : null,
+    [`${field}Currency`]: pay ? pay.currency : null
+  };
+}
+
+// The pay stored on an item, or parsed from its text for items written
+// before the structured attributes existed
+function payOf(item, field, options) {
+  if (typeof item[`${field}Min`] === 'number') {
+    return {
+      min: item[`${field}Min`],
+      max: item[`${field}Max`],
+      period: item[`${field}Period`],
+      currency: item[`${field}Currency`]
+    };
+  }
+  return parsePay(item[field], options);
+}
+
+// Whether a rupee pay range overlaps [min, max], both given per `period`.
+// Unparsed and foreign-currency pays never match.
+function payInRange(pay, { min, max, period }) {
+  if (!pay || pay.currency !== 'INR') return false;
+  const scale = (PERIODS_PER_YEAR[pay.period] || 1) / PERIODS_PER_YEAR[period];
+  if (min !== undefined && pay.max * scale < min) return false;
+  if (max !== undefined && pay.min * scale > max) return false;
+  return true;
+}
+
+module.exports = {
+  parsePay,
+  annualAmount,
+  payAttributes,
+  payOf,
+  payInRange
+};
@@ -0,0 +1,69 @@
+const { verticals } = require('./listings');
+
+// Role-based access control. An admin's role grants a set of permissions:
+//   <type>:write     create, edit, delete and restore listings of one
+//                    vertical (jobs:write, internships:write, ...)
+//   listings:review  publish listings, approve, reject and archive them, and
+//                    purge them from the trash
+//   admin:read       the dashboard, activity, drafts, review queue,
+//                    revisions, trash and scheduled tasks
+//   synonyms:write   edit the search synonym dictionary
+//   scheduler:run    run scheduled tasks on demand
+//   admins:manage    create and manage admin accounts
+// Permissions are looked up from the role on every request, so changing a
+// role's set here applies to tokens already issued.
+//
+// Accounts created before roles existed may hold any role name ("admin", ...)
+// and would have no permissions. At startup they are given LEGACY_ADMIN_ROLE
+// (default editor); see adminController.initializeAdmin.
+
+const VERTICAL_PERMISSIONS = Object.keys(verticals).map(type => `${type}:write`);
+
+const PERMISSIONS = [
+  ...VERTICAL_PERMISSIONS,
+  'listings:review',
+  'admin:read',
+  'synonyms:write',
+  'scheduler:run',
+  'admins:manage'
+];
+
+const ROLES = {
+  superadmin: PERMISSIONS,
+  reviewer: [...VERTICAL_PERMISSIONS, 'listings:review', 'admin:read', 'synonyms:write'],
+  editor: [...VERTICAL_PERMISSIONS, 'admin:read'],
+  viewer: ['admin:read']
+};
+
+// Editors of a single vertical: jobs-editor, internships-editor, ...
+Object.keys(verticals).forEach(type => {
+  ROLES[`${type}-editor`] = [`${type}:write`, 'admin:read'];
+});
+
+// Own properties only, so names like "constructor" are not roles
+function isRole(role) {
+  return typeof role === 'string' && Object.prototype.hasOwnProperty.call(ROLES, role);
+}
+
+function permissionsOf(role) {
+  return isRole(role) ? ROLES[role] : [];
+}
+
+function hasPermission(admin, permission) {
+  return Boolean(admin && permissionsOf(admin.role).includes(permission));
+}
+
+// The write permission for the vertical named by a route's :type, or null
+// when there is no such vertical (the controller answers those with a 400)
+function verticalPermission(req) {
+  return verticals[req.params.type] ? `${req.params.type}:write` : null;
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  isRole,
+  permissionsOf,
+  hasPermission,
+  verticalPermission
+};
@@ -0,0 +1,161 @@
+const { hasPermission } = require('./permissions');
+
+// Drafts and scheduled publishing.
+//
+// Create and update requests may carry `draft` and `publishAt`:
+//   draft: true             -> saved as a draft, hidden until published
+//   publishAt in the future -> status 'scheduled', published automatically
+//                              by the publish-scheduled task at that time
+//   draft: false, or a publishAt that has passed -> published now
+// Unpublished items are hidden from every public route but listed for
+// admins under /admin/drafts.
+//
+// Only reviewers, admins with the listings:review permission (see
+// ./permissions), publish. What editors create is saved as a draft, to be
+// submitted for review and approved (see ./workflow). Editors change only
+// listings that are neither live nor approved, drafts and ones in review,
+// and their edits leave the publication state alone. Anything else they may
+// only take back to draft, which takes it offline until it is approved
+// again.
+
+const UNPUBLISHED_STATUSES = ['draft', 'in-review', 'scheduled', 'archived'];
+
+// What a vertical's items look like once live (`live`) and while they are
+// not (`hidden`). Internships are listed by isActive rather than status.
+const PUBLICATION = {
+  jobs: { live: { status: 'active' } },
+  sarkariJobs: { live: { status: 'active' } },
+  internships: { live: { status: 'active', isActive: true }, hidden: { isActive: false } },
+  walking: { live: { status: 'active' } },
+  certifications: { live: { status: 'active' } }
+};
+
+// Attributes an item's publication state is kept in, which editors' updates
+// cannot set directly
+const PUBLICATION_ATTRIBUTES = ['status', 'isActive', 'publishedAt', 'publishAt'];
+
+// States of the listings editors may change
+const EDITABLE_STATES = ['draft', 'in-review'];
+
+class InvalidPublishAtError extends Error {
+  constructor(value) {
+    super(`Invalid publishAt "${value}". Use an ISO 8601 date and time`);
+    this.name = 'InvalidPublishAtError';
+  }
+}
+
+class ReviewRequiredError extends Error {
+  constructor() {
+    super('Only reviewers can change a published or scheduled listing. Take it back to draft to edit it');
+    this.name = 'ReviewRequiredError';
+  }
+}
+
+function isTrue(value) {
+  return value === true || value === 'true';
+}
+
+// Attributes setting an item's publication state from a request body, or
+// null when the body says nothing about it
+function publicationAttributes({ draft, publishAt } = {}, { live, hidden = {} }, now = new Date()) {
+  if (draft === undefined && (publishAt === undefined || publishAt === null || publishAt === '')) {
+    return null;
+  }
+
+  if (isTrue(draft)) {
+    return { ...hidden, status: 'draft', publishAt: null };
+  }
+
+  if (publishAt) {
+    const time = Date.parse(publishAt);
+    if (Number.isNaN(time)) {
+      throw new InvalidPublishAtError(publishAt);
+    }
+    if (time > now.getTime()) {
+      return { ...hidden, status: 'scheduled', publishAt: new Date(time).toISOString() };
+    }
+  }
+
+  return { ...live, publishAt: null, publishedAt: now.toISOString() };
+}
+
+// Whether `admin` may publish and approve or reject submissions
+function canReview(admin) {
+  return hasPermission(admin, 'listings:review');
+}
+
+// Attributes publishing an item now, or scheduling it when publishAt is
+// still ahead
+function liveAttributes(vertical, publishAt, now = new Date()) {
+  return publicationAttributes({ draft: false, publishAt }, PUBLICATION[vertical], now);
+}
+
+// Apply the request's publication state to a new item about to be written
+// by `admin`. `draft` is a request flag, not an attribute, so it is never
+// stored.
+function applyPublication(item, body, vertical, admin) {
+  const attributes = publicationAttributes(body, PUBLICATION[vertical]);
+  delete item.draft;
+
+  if (!canReview(admin)) {
+    // A requested publishAt is kept for when the draft is approved
+    const publishAt = attributes && attributes.status === 'scheduled' ? attributes.publishAt : null;
+    Object.assign(item, PUBLICATION[vertical].hidden, { status: 'draft', publishAt });
+  } else if (attributes) {
+    Object.assign(item, attributes);
+  }
+  return item;
+}
+
+// Whether `admin` may change `item` as it stands
+function canEdit(item, admin) {
+  return canReview(admin) || EDITABLE_STATES.includes(item.status);
+}
+
+// Apply the request's publication state to an update of `item` by `admin`.
+// Editors may take an item back to draft, and set the publishAt of a draft,
+// not publish it. Throws a ReviewRequiredError when an editor changes a live
+// or approved item without taking it back to draft.
+function applyPublicationChanges(updates, body, vertical, admin, item) {
+  const attributes = publicationAttributes(body, PUBLICATION[vertical]);
+  delete updates.draft;
+
+  if (canReview(admin)) {
+    if (attributes) Object.assign(updates, attributes);
+    return updates;
+  }
+
+  if (!canEdit(item, admin) && !(attributes && attributes.status === 'draft')) {
+    throw new ReviewRequiredError();
+  }
+
+  PUBLICATION_ATTRIBUTES.forEach(attribute => {
+    delete updates[attribute];
+  });
+  if (attributes && attributes.status === 'draft') {
+    Object.assign(updates, attributes);
+  } else if (attributes && attributes.status === 'scheduled') {
+    updates.publishAt = attributes.publishAt;
+  }
+  return updates;
+}
+
+// Live, or at least not unpublished or in the trash
+function isPublished(item) {
+  return !UNPUBLISHED_STATUSES.includes(item.status) && item.status !== 'deleted';
+}
+
+module.exports = {
+  UNPUBLISHED_STATUSES,
+  PUBLICATION,
+  PUBLICATION_ATTRIBUTES,
+  InvalidPublishAtError,
+  ReviewRequiredError,
+  canReview,
+  canEdit,
+  publicationAttributes,
+  liveAttributes,
+  applyPublication,
+  applyPublicationChanges,
+  isPublished
+};
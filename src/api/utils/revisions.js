@@ -0,0 +1,46 @@
+const { v4: uuidv4 } = require('uuid');
+const { revisionsRepository } = require('../../repositories');
+
+// Revision history for listings. Before a listing is changed its current
+// state is stored as a numbered revision, so any earlier version can be
+// compared with another or restored.
+
+function targetOf(type, id) {
+  return `${type}#${id}`;
+}
+
+// A listing's revisions, newest first
+async function listRevisions(type, id) {
+  const revisions = await revisionsRepository.query(targetOf(type, id));
+  return revisions.sort((a, b) => b.number - a.number);
+}
+
+// Store `item`, the listing of `type` as it is before a change, as its next
+// revision. `reason` says what replaced it: update, restore, a workflow
+// transition.
+async function recordRevision(type, id, item, { admin, reason = 'update' } = {}) {
+  const [latest] = await listRevisions(type, id);
+  const revision = {
+    target: targetOf(type, id),
+    revisionId: uuidv4(),
+    type,
+    itemId: id,
+    number: latest ? latest.number + 1 : 1,
+    snapshot: item,
+    reason,
+    createdBy: admin && admin.email,
+    createdAt: new Date().toISOString()
+  };
+  await revisionsRepository.put(revision);
+  return revision;
+}
+
+async function getRevision(type, id, revisionId) {
+  return revisionsRepository.get({ target: targetOf(type, id), revisionId });
+}
+
+module.exports = {
+  listRevisions,
+  recordRevision,
+  getRevision
+};
@@ -0,0 +1,135 @@
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { adminsRepository, sessionsRepository, ConditionFailedError } = require('../../repositories');
+const { generateToken, hashToken, tokenMatches } = require('./accounts');
+
+// Admin sessions. Signing in opens a session and hands out a short-lived
+// access token, a JWT naming the session (ACCESS_TOKEN_EXPIRES_IN, default
+// 15m), and a refresh token valid for REFRESH_TOKEN_TTL_DAYS (default 30).
+// Every refresh replaces the refresh token; presenting a replaced one again,
+// or one token in two refreshes at once, revokes the session, since it has
+// most likely been copied. The auth middleware checks the session on each
+// request, so revoking it signs the access tokens out at once.
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+class SessionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionError';
+  }
+}
+
+function isActive(session) {
+  return Boolean(session) && !session.revokedAt && Date.parse(session.expiresAt) > Date.now();
+}
+
+// Refresh tokens are "<session id>.<secret>"; only the secret's hash is stored
+function tokensFor(admin, session, secret) {
+  return {
+    token: jwt.sign(
+      { email: admin.email, role: admin.role, sid: session.id },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+    ),
+    refreshToken: `${session.id}.${secret}`,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+}
+
+// Open a session for `admin`, signing in through `req`
+async function openSession(admin, req) {
+  const secret = generateToken();
+  const now = new Date();
+  const session = {
+    id: uuidv4(),
+    adminEmail: admin.email,
+    tokenHash: hashToken(secret),
+    createdAt: now.toISOString(),
+    lastUsedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + REFRESH_TTL_MS).toISOString(),
+    ip: req.ip || null,
+    userAgent: req.get('user-agent') || null
+  };
+  await sessionsRepository.put(session);
+  return tokensFor(admin, session, secret);
+}
+
+async function revokeSession(session, reason) {
+  await sessionsRepository.update(session, {
+    revokedAt: new Date().toISOString(),
+    revokedReason: reason
+  });
+}
+
+// Swap a refresh token for a new access and refresh token pair
+async function refreshSession(refreshToken, req) {
+  const [id, secret] = String(refreshToken || '').split('.');
+  const session = id ? await sessionsRepository.get({ id }) : null;
+  if (!isActive(session)) {
+    throw new SessionError('Invalid or expired refresh token');
+  }
+  if (!tokenMatches(secret, session.tokenHash)) {
+    await revokeSession(session, 'refresh-token-reuse');
+    throw new SessionError('Invalid or expired refresh token');
+  }
+
+  const admin = await adminsRepository.get({ email: session.adminEmail });
+  if (!admin || admin.disabled) {
+    await revokeSession(session, 'account-disabled');
+    throw new SessionError('Account is disabled');
+  }
+
+  // Only replace the token this refresh presented; if another refresh got
+  // there first, the token was used twice
+  const next = generateToken();
+  try {
+    await sessionsRepository.update(session, {
+      tokenHash: hashToken(next),
+      lastUsedAt: new Date().toISOString(),
+      ip: req.ip || null,
+      userAgent: req.get('user-agent') || null
+    }, { conditions: { tokenHash: session.tokenHash } });
+  } catch (error) {
+    if (!(error instanceof ConditionFailedError)) throw error;
+    await revokeSession(session, 'refresh-token-reuse');
+    throw new SessionError('Invalid or expired refresh token');
+  }
+  return tokensFor(admin, session, next);
+}
+
+// The session with `id` while it is still open
+async function findActiveSession(id) {
+  const session = await sessionsRepository.get({ id });
+  return isActive(session) ? session : null;
+}
+
+// Sign out one session by id
+async function endSession(id, reason = 'logout') {
+  const session = await findActiveSession(id);
+  if (session) {
+    await revokeSession(session, reason);
+  }
+  return Boolean(session);
+}
+
+// Sign out every open session of an admin, but for the one with id `except`.
+// Resolves to how many were revoked.
+async function endAllSessions(email, { except, reason = 'logout-all' } = {}) {
+  const sessions = await sessionsRepository.scan({ adminEmail: email });
+  const open = sessions.filter(session => isActive(session) && session.id !== except);
+  for (const session of open) {
+    await revokeSession(session, reason);
+  }
+  return open.length;
+}
+
+module.exports = {
+  SessionError,
+  openSession,
+  refreshSession,
+  findActiveSession,
+  endSession,
+  endAllSessions
+};
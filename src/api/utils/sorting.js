@@ -0,0 +1,77 @@
+// Sort orders for listing routes, selected with the `sort` query parameter.
+//
+// Each vertical passes the orders it supports as accessors:
+//   newest          item => date it was posted, latest first
+//   'closing-soon'  item => deadline; open items soonest first, then the rest
+//   salary/stipend  item => yearly amount, highest first
+// `relevance` keeps the search ranking and is the default when `q` is given;
+// without `q` it falls back to newest, like an absent `sort`.
+
+class InvalidSortError extends Error {
+  constructor(sort, allowed) {
+    super(`Invalid sort "${sort}". Use one of: ${allowed.join(', ')}`);
+    this.name = 'InvalidSortError';
+  }
+}
+
+function toTime(value) {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+function startOfToday() {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today.getTime();
+}
+
+// Stable sort on a numeric key; items without one keep their order at the end
+function sortByKey(items, key, direction) {
+  return items
+    .map((item, position) => ({ item, position, value: key(item) }))
+    .sort((a, b) => {
+      const aMissing = a.value === null || a.value === undefined;
+      const bMissing = b.value === null || b.value === undefined;
+      if (aMissing || bMissing) {
+        return aMissing === bMissing ? a.position - b.position : aMissing ? 1 : -1;
+      }
+      return (a.value - b.value) * direction || a.position - b.position;
+    })
+    .map(entry => entry.item);
+}
+
+const comparators = {
+  newest: (items, accessor) => sortByKey(items, item => toTime(accessor(item)), -1),
+
+  'closing-soon': (items, accessor) => {
+    const today = startOfToday();
+    return sortByKey(items, item => {
+      const deadline = toTime(accessor(item));
+      return deadline !== null && deadline >= today ? deadline : null;
+    }, 1);
+  },
+
+  salary: (items, accessor) => sortByKey(items, accessor, -1),
+  stipend: (items, accessor) => sortByKey(items, accessor, -1)
+};
+
+// Sorts a listing (already ranked when `q` is given) by query.sort.
+// Throws InvalidSortError for orders the vertical does not support.
+function sortListing(items, query, orders) {
+  const allowed = ['relevance', ...Object.keys(orders)];
+  const sort = query.sort || (query.q ? 'relevance' : 'newest');
+
+  if (!allowed.includes(sort)) {
+    throw new InvalidSortError(sort, allowed);
+  }
+  if (sort === 'relevance') {
+    return query.q ? items : comparators.newest(items, orders.newest);
+  }
+  return comparators[sort](items, orders[sort]);
+}
+
+module.exports = {
+  sortListing,
+  InvalidSortError
+};
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+// HMAC-SHA1, 6 digits, a new code every 30 seconds. Secrets are base32, the
+// form those apps expect.
+
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+  let encoded = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    encoded += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return encoded;
+}
+
+function base32Decode(text) {
+  let bits = '';
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// The time step a moment falls in
+function stepAt(time = Date.now()) {
+  return Math.floor(time / 1000 / PERIOD_SECONDS);
+}
+
+function codeAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(value).padStart(DIGITS, '0');
+}
+
+// The time step `code` belongs to, allowing `window` steps of clock drift
+// either way, or null when it matches none
+function matchingStep(secret, code, { time = Date.now(), window = 1 } = {}) {
+  const candidate = Buffer.from(String(code || '').replace(/\s/g, ''));
+  const current = stepAt(time);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = Buffer.from(codeAt(secret, step));
+    if (candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected)) {
+      return step;
+    }
+  }
+  return null;
+}
+
+// otpauth:// URI an authenticator app scans from a QR code
+function provisioningUri(secret, account, issuer) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${PERIOD_SECONDS}`;
+}
+
+module.exports = {
+  generateSecret,
+  codeAt,
+  stepAt,
+  matchingStep,
+  provisioningUri,
+  base32Encode
+};
@@ -0,0 +1,75 @@
+const { revisionsRepository } = require('../../repositories');
+const { PUBLICATION } = require('./publishing');
+const { listRevisions } = require('./revisions');
+const { verticals } = require('./listings');
+
+// Soft delete. Deleting a listing moves it to the trash: status 'deleted'
+// (internships also isActive false), which hides it from every public
+// route, with the state it had kept for a restore. Trashed listings are
+// purged for good, with their revisions, after TRASH_RETENTION_DAYS
+// (default 30) or when an admin purges them.
+
+const TRASH_STATUS = 'deleted';
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const RETENTION_MS = RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+function isTrashed(item) {
+  return item.status === TRASH_STATUS;
+}
+
+// When a trashed listing is purged automatically
+function purgeAt(item) {
+  return new Date(Date.parse(item.deletedAt) + RETENTION_MS).toISOString();
+}
+
+function valueOrNull(value) {
+  return value === undefined ? null : value;
+}
+
+// Move a listing of `type` to the trash on behalf of `admin`
+async function moveToTrash(type, item, admin) {
+  const { hidden = {} } = PUBLICATION[type];
+  return verticals[type].repository.update(item, {
+    ...hidden,
+    status: TRASH_STATUS,
+    statusBeforeDelete: { status: valueOrNull(item.status), isActive: valueOrNull(item.isActive) },
+    deletedAt: new Date().toISOString(),
+    deletedBy: admin && admin.email
+  });
+}
+
+// Bring a trashed listing of `type` back in the state it was deleted in
+async function restoreFromTrash(type, item) {
+  const { statusBeforeDelete = {}, deletedAt, deletedBy, ...restored } = item;
+  delete restored.status;
+  delete restored.isActive;
+  if (statusBeforeDelete.status !== null && statusBeforeDelete.status !== undefined) {
+    restored.status = statusBeforeDelete.status;
+  }
+  if (statusBeforeDelete.isActive !== null && statusBeforeDelete.isActive !== undefined) {
+    restored.isActive = statusBeforeDelete.isActive;
+  }
+  await verticals[type].repository.put(restored);
+  return restored;
+}
+
+// Delete a listing of `type` and its revision history for good
+async function purge(type, item) {
+  const { repository } = verticals[type];
+  const id = item[repository.table.idField];
+  const revisions = await listRevisions(type, id);
+  for (const revision of revisions) {
+    await revisionsRepository.delete(revision);
+  }
+  await repository.delete(item);
+}
+
+module.exports = {
+  TRASH_STATUS,
+  RETENTION_DAYS,
+  isTrashed,
+  purgeAt,
+  moveToTrash,
+  restoreFromTrash,
+  purge
+};
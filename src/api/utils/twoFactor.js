@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { adminsRepository } = require('../../repositories');
+const { hashToken, tokenMatches } = require('./accounts');
+const { generateSecret, matchingStep, provisioningUri } = require('./totp');
+
+// Two-factor authentication with an authenticator app (TOTP, see utils/totp).
+// An enrolled admin has `twoFactor: {secret, enabledAt, lastStep,
+// recoveryCodes}`, where recoveryCodes are hashes of single-use codes for when
+// the app is lost. Enrolment first stores `twoFactorPending` and only turns
+// 2FA on once the app has produced a valid code.
+//
+// Signing in with 2FA takes two steps: the password check hands out a
+// short-lived challenge token, which is traded for a session together with a
+// code. Challenge tokens carry no session id, so the auth middleware refuses
+// them as access tokens.
+//
+// With REQUIRE_SUPERADMIN_2FA=true superadmins must use 2FA: they cannot turn
+// it off, and one without it has to enrol while signing in.
+
+const ISSUER = process.env.TOTP_ISSUER || 'India Jobs';
+const REQUIRE_SUPERADMIN_2FA = process.env.REQUIRE_SUPERADMIN_2FA === 'true';
+const CHALLENGE_EXPIRES_IN = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+const CHALLENGES = {
+  login: '2fa-login',
+  setup: '2fa-setup'
+};
+
+class TwoFactorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TwoFactorError';
+  }
+}
+
+function isEnabled(admin) {
+  return Boolean(admin && admin.twoFactor);
+}
+
+// Whether policy forbids `admin` from signing in without 2FA
+function isRequired(admin) {
+  return REQUIRE_SUPERADMIN_2FA && admin.role === 'superadmin';
+}
+
+function createChallenge(admin, purpose) {
+  return jwt.sign({ email: admin.email, purpose }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_EXPIRES_IN });
+}
+
+// The admin a challenge token was issued to, if it is valid for `purpose`
+async function readChallenge(token, purpose) {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+  } catch (error) {
+    throw new TwoFactorError('Invalid or expired challenge token');
+  }
+  if (decoded.purpose !== purpose || decoded.sid) {
+    throw new TwoFactorError('Invalid or expired challenge token');
+  }
+
+  const admin = await adminsRepository.get({ email: decoded.email });
+  if (!admin || admin.disabled) {
+    throw new TwoFactorError('Account is disabled');
+  }
+  return admin;
+}
+
+// Recovery codes look like "3f9a1-c07e2"; case and dashes are ignored
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+}
+
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+}
+
+// New recovery codes for an enrolled admin, replacing any earlier ones
+async function regenerateRecoveryCodes(admin) {
+  const codes = generateRecoveryCodes();
+  await adminsRepository.update(admin, {
+    twoFactor: { ...admin.twoFactor, recoveryCodes: codes.map(code => hashToken(normalizeRecoveryCode(code))) }
+  });
+  return codes;
+}
+
+// Start enrolment: a new secret for the admin's authenticator app
+async function startEnrollment(admin) {
+  const secret = generateSecret();
+  await adminsRepository.update(admin, {
+    twoFactorPending: { secret, createdAt: new Date().toISOString() }
+  });
+  return { secret, otpauthUri: provisioningUri(secret, admin.email, ISSUER) };
+}
+
+// Finish enrolment with a code from the app. Resolves to the new recovery
+// codes, or null when the code is wrong or enrolment was never started.
+async function completeEnrollment(admin, code) {
+  const pending = admin.twoFactorPending;
+  const step = pending ? matchingStep(pending.secret, code) : null;
+  if (step === null) return null;
+
+  const codes = generateRecoveryCodes();
+  const now = new Date().toISOString();
+  await adminsRepository.update(admin, {
+    twoFactor: {
+      secret: pending.secret,
+      enabledAt: now,
+      lastStep: step,
+      recoveryCodes: codes.map(recoveryCode => hashToken(normalizeRecoveryCode(recoveryCode)))
+    },
+    twoFactorPending: null,
+    updatedAt: now
+  });
+  return codes;
+}
+
+// Check an enrolled admin's second factor: a code from the app, or else a
+// recovery code, which is used up. A code is accepted only once. Resolves to
+// how the admin verified, or null when neither is valid.
+async function verifySecondFactor(admin, { code, recoveryCode } = {}) {
+  const twoFactor = admin.twoFactor;
+  if (!twoFactor) return null;
+
+  if (code) {
+    const step = matchingStep(twoFactor.secret, code);
+    if (step === null || step <= twoFactor.lastStep) return null;
+    await adminsRepository.update(admin, { twoFactor: { ...twoFactor, lastStep: step } });
+    return { method: 'totp', recoveryCodesRemaining: twoFactor.recoveryCodes.length };
+  }
+
+  if (recoveryCode) {
+    const normalized = normalizeRecoveryCode(recoveryCode);
+    const index = twoFactor.recoveryCodes.findIndex(hash => tokenMatches(normalized, hash));
+    if (index === -1) return null;
+    const recoveryCodes = twoFactor.recoveryCodes.filter((_, i) => i !== index);
+    await adminsRepository.update(admin, { twoFactor: { ...twoFactor, recoveryCodes } });
+    return { method: 'recovery-code', recoveryCodesRemaining: recoveryCodes.length };
+  }
+
+  return null;
+}
+
+// Turn 2FA off for an admin, dropping any unfinished enrolment too
+async function disableTwoFactor(admin) {
+  await adminsRepository.update(admin, {
+    twoFactor: null,
+    twoFactorPending: null,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  CHALLENGES,
+  TwoFactorError,
+  isEnabled,
+  isRequired,
+  createChallenge,
+  readChallenge,
+  startEnrollment,
+  completeEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+};
@@ -0,0 +1,74 @@
+const { PUBLICATION, canReview, liveAttributes } = require('./publishing');
+
+// Editorial workflow: draft -> in-review -> published -> archived.
+//
+// Editors submit drafts for review; a reviewer (an admin with the
+// listings:review permission, see ./permissions) approves them, which
+// publishes them or schedules them when their publishAt is still ahead, or
+// rejects them back to draft with a comment. Reviewers archive published,
+// scheduled or expired items.
+
+// Deleted listings sit in the trash outside the workflow (see ./trash)
+const STATES = ['draft', 'in-review', 'scheduled', 'published', 'expired', 'archived', 'deleted'];
+
+const TRANSITIONS = {
+  submit: { from: ['draft'], reviewer: false, action: 'submitted' },
+  approve: { from: ['in-review'], reviewer: true, action: 'approved' },
+  reject: { from: ['in-review'], reviewer: true, action: 'rejected', commentRequired: true },
+  archive: { from: ['scheduled', 'published', 'expired'], reviewer: true, action: 'archived' }
+};
+
+class WorkflowError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'WorkflowError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Where an item is in the workflow. Items written before the workflow, and
+// sarkari jobs with their results out, count as published.
+function stateOf(item) {
+  return STATES.includes(item.status) ? item.status : 'published';
+}
+
+// The changes moving `item` of `vertical` through `name`, on behalf of
+// `admin`. Throws a WorkflowError when the transition is not allowed.
+function transition(item, name, vertical, { admin, comment }, now = new Date()) {
+  const rule = TRANSITIONS[name];
+  const state = stateOf(item);
+  const text = typeof comment === 'string' ? comment.trim() : '';
+
+  if (rule.reviewer && !canReview(admin)) {
+    throw new WorkflowError(`Only reviewers can ${name} listings`, 403);
+  }
+  if (!rule.from.includes(state)) {
+    throw new WorkflowError(`Cannot ${name} a listing that is ${state}`, 409);
+  }
+  if (rule.commentRequired && !text) {
+    throw new WorkflowError(`A comment is required to ${name} a listing`, 400);
+  }
+
+  const by = admin && admin.email;
+  const at = now.toISOString();
+  const { hidden = {} } = PUBLICATION[vertical];
+
+  switch (name) {
+    case 'submit':
+      return { ...hidden, status: 'in-review', submittedBy: by, submittedAt: at, reviewComment: null };
+    case 'approve':
+      return { ...liveAttributes(vertical, item.publishAt, now), reviewedBy: by, reviewedAt: at, reviewComment: text || null };
+    case 'reject':
+      return { ...hidden, status: 'draft', reviewedBy: by, reviewedAt: at, reviewComment: text };
+    default:
+      return { ...hidden, status: 'archived', archivedBy: by, archivedAt: at };
+  }
+}
+
+module.exports = {
+  STATES,
+  TRANSITIONS,
+  WorkflowError,
+  stateOf,
+  transition
+};
@@ -0,0 +1,114 @@
+const { v4: uuidv4 } = require('uuid');
+const createLruStore = require('./lruStore');
+const {
+  jobsRepository,
+  sarkariJobsRepository,
+  internshipsRepository,
+  walkingRepository,
+  certificationsRepository,
+  synonymsRepository
+} = require('../repositories');
+
+// CACHE_STORE selects where cached responses are kept:
+//   memory (default) - in-process LRU holding up to CACHE_MAX_ENTRIES responses
+//   none             - response caching disabled
+// A store shared between API instances can be plugged in with useStore().
+// Entries expire after CACHE_TTL_SECONDS (default 60) at the latest.
+const TTL_MS = (parseInt(process.env.CACHE_TTL_SECONDS) || 60) * 1000;
+
+const stores = {
+  memory: () => createLruStore({ maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 500 }),
+  none: () => null
+};
+
+const storeName = (process.env.CACHE_STORE || 'memory').toLowerCase();
+if (!stores[storeName]) {
+  throw new Error(`Unknown CACHE_STORE "${storeName}". Use one of: ${Object.keys(stores).join(', ')}`);
+}
+
+let store = stores[storeName]();
+
+// Writes to these repositories invalidate the vertical's cached responses
+const verticals = {
+  jobs: jobsRepository,
+  sarkariJobs: sarkariJobsRepository,
+  internships: internshipsRepository,
+  walking: walkingRepository,
+  certifications: certificationsRepository
+};
+
+// Every vertical has a generation token kept in the store, and response keys
+// include it. Invalidating a vertical just replaces the token, which works the
+// same for a shared store: other instances stop finding the old entries too,
+// and those age out through the TTL or the LRU.
+function generationKey(vertical) {
+  return `generation:${vertical}`;
+}
+
+async function generation(vertical) {
+  let token = await store.get(generationKey(vertical));
+  if (!token) {
+    token = uuidv4();
+    await store.set(generationKey(vertical), token, 0);
+  }
+  return token;
+}
+
+// Verticals already invalidated in the current tick; a bulk upload emits one
+// event per item but only needs one new generation
+const invalidated = new Set();
+
+function invalidate(vertical) {
+  if (!store || invalidated.has(vertical)) return;
+  invalidated.add(vertical);
+  process.nextTick(() => invalidated.delete(vertical));
+
+  Promise.resolve(store.set(generationKey(vertical), uuidv4(), 0)).catch(error => {
+    console.error(`Error invalidating ${vertical} response cache:`, error);
+  });
+}
+
+Object.keys(verticals).forEach(vertical => {
+  verticals[vertical].on('put', () => invalidate(vertical));
+  verticals[vertical].on('delete', () => invalidate(vertical));
+});
+
+// Synonyms change which items match a search in every vertical
+synonymsRepository.on('put', () => Object.keys(verticals).forEach(invalidate));
+synonymsRepository.on('delete', () => Object.keys(verticals).forEach(invalidate));
+
+function enabled() {
+  return Boolean(store);
+}
+
+// Responses built from several verticals, like the unified search, pass
+// them all and are invalidated by a write to any of them
+async function key(vertical, url) {
+  const names = [].concat(vertical);
+  const generations = await Promise.all(names.map(generation));
+  return `response:${names.join('+')}:${generations.join(':')}:${url}`;
+}
+
+async function get(cacheKey) {
+  return store.get(cacheKey);
+}
+
+async function set(cacheKey, value) {
+  return store.set(cacheKey, value, TTL_MS);
+}
+
+// Replace the store, e.g. with a Redis-backed one implementing the
+// interface described in lruStore.js. Pass null to disable caching.
+function useStore(newStore) {
+  store = newStore;
+}
+
+module.exports = {
+  verticals,
+  enabled,
+  key,
+  get,
+  set,
+  invalidate,
+  useStore
+};
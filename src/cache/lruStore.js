@@ -0,0 +1,41 @@
+// In-process least-recently-used store with per-entry expiry.
+//
+// This is also the shape any external store has to provide (a Redis or
+// Memcached client wrapper, say); the methods may return promises:
+//   get(key)             - the stored value, or undefined
+//   set(key, value, ttl) - store a JSON-serializable value for ttl ms
+//                          (no expiry when ttl is 0)
+function createLruStore({ maxEntries = 500 } = {}) {
+  // Map iteration order doubles as recency order: oldest first
+  const entries = new Map();
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  }
+
+  function set(key, value, ttl = 0) {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: ttl ? Date.now() + ttl : 0 });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  return {
+    get,
+    set,
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+module.exports = createLruStore;
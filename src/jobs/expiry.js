@@ -0,0 +1,107 @@
+const {
+  jobsRepository,
+  internshipsRepository,
+  walkingRepository,
+  sarkariJobsRepository
+} = require('../repositories');
+const { isPublished } = require('../api/utils/publishing');
+
+// Expiry tasks: listings whose closing date has passed are taken off the
+// public listings. They get status 'expired', internships isActive false as
+// well, and each records when it expired.
+
+// Closing dates without a time are days in EXPIRY_TIMEZONE (default
+// Asia/Kolkata, where the listings are), and the tasks run at midnight there
+const TIMEZONE = process.env.EXPIRY_TIMEZONE || 'Asia/Kolkata';
+
+// Run every day at midnight, and at startup
+const SCHEDULE = '0 0 * * *';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Today's date in `timezone` as YYYY-MM-DD
+function dateIn(timezone, now) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(now);
+}
+
+// Whether a closing date is over. A date without a time stays open through
+// the end of that day in the expiry timezone. Values that do not parse as
+// dates never expire.
+function isPast(value, now, timezone = TIMEZONE) {
+  if (!value || typeof value !== 'string') return false;
+  const text = value.trim();
+  if (DATE_ONLY.test(text)) {
+    return text < dateIn(timezone, now);
+  }
+  const time = Date.parse(text);
+  return !Number.isNaN(time) && time < now.getTime();
+}
+
+// Expire the published items from `conditions` whose closing date is over
+async function expire(repository, { conditions, closingDate, changes }) {
+  const now = new Date();
+  const items = (await repository.scan(conditions)).filter(isPublished);
+  const expired = items.filter(item => isPast(closingDate(item), now));
+
+  for (const item of expired) {
+    await repository.update(item, { ...changes, expiredAt: now.toISOString() });
+  }
+
+  return { checked: items.length, expired: expired.length };
+}
+
+module.exports = [
+  {
+    name: 'expire-jobs',
+    description: 'Mark private jobs past their expiresOn date as expired',
+    schedule: SCHEDULE,
+    timezone: TIMEZONE,
+    runOnStart: true,
+    run: () => expire(jobsRepository, {
+      conditions: { status: 'active' },
+      closingDate: job => job.expiresOn,
+      changes: { status: 'expired' }
+    })
+  },
+  {
+    name: 'expire-internships',
+    description: 'Deactivate internships past their deadline or end date',
+    schedule: SCHEDULE,
+    timezone: TIMEZONE,
+    runOnStart: true,
+    run: () => expire(internshipsRepository, {
+      conditions: { isActive: true },
+      closingDate: internship => internship.deadline || internship.endDate,
+      changes: { isActive: false, status: 'expired' }
+    })
+  },
+  {
+    name: 'expire-walking',
+    description: 'Mark walk-ins whose date has passed as expired',
+    schedule: SCHEDULE,
+    timezone: TIMEZONE,
+    runOnStart: true,
+    run: () => expire(walkingRepository, {
+      conditions: { status: { ne: 'expired' } },
+      closingDate: walking => walking.date,
+      changes: { status: 'expired' }
+    })
+  },
+  {
+    name: 'expire-sarkari-jobs',
+    description: 'Mark sarkari jobs past their application end date as expired',
+    schedule: SCHEDULE,
+    timezone: TIMEZONE,
+    runOnStart: true,
+    run: () => expire(sarkariJobsRepository, {
+      conditions: { status: 'active' },
+      closingDate: job => (job.importantDates && job.importantDates.applicationEnd) || job.applicationEnd,
+      changes: { status: 'expired' }
+    })
+  }
+];
@@ -0,0 +1,34 @@
+const { loginAttemptsRepository, loginHistoryRepository } = require('../repositories');
+const { FAILURE_WINDOW_MS, HISTORY_RETENTION_DAYS } = require('../api/utils/logins');
+
+// Drops login history past its retention period, and failed-login counts
+// that no longer matter: no recent failures and no lockout still running
+
+async function purgeLoginRecords() {
+  const now = Date.now();
+  const historyCutoff = new Date(now - HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const history = await loginHistoryRepository.scan({ at: { lt: historyCutoff } });
+  for (const entry of history) {
+    await loginHistoryRepository.delete(entry);
+  }
+
+  const attempts = await loginAttemptsRepository.scan({
+    lastFailedAt: { lt: new Date(now - FAILURE_WINDOW_MS).toISOString() }
+  });
+  const stale = attempts.filter(entry => !entry.lockedUntil || Date.parse(entry.lockedUntil) <= now);
+  for (const entry of stale) {
+    await loginAttemptsRepository.delete(entry);
+  }
+
+  return { history: history.length, attempts: stale.length };
+}
+
+module.exports = [
+  {
+    name: 'purge-login-records',
+    description: 'Delete login history past its retention period and stale failed-login counts',
+    schedule: '50 3 * * *',
+    runOnStart: true,
+    run: purgeLoginRecords
+  }
+];
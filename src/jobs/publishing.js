@@ -0,0 +1,49 @@
+const {
+  jobsRepository,
+  internshipsRepository,
+  walkingRepository,
+  sarkariJobsRepository,
+  certificationsRepository
+} = require('../repositories');
+const { PUBLICATION } = require('../api/utils/publishing');
+
+// Publishes scheduled listings once their publishAt time has come. Each
+// vertical's status-publishAt index (see repositories/tables.js) holds only
+// items with a publishAt, so finding the due ones is one small query.
+
+const repositories = {
+  jobs: jobsRepository,
+  sarkariJobs: sarkariJobsRepository,
+  internships: internshipsRepository,
+  walking: walkingRepository,
+  certifications: certificationsRepository
+};
+
+async function publishScheduled() {
+  const now = new Date();
+  const published = {};
+
+  for (const [vertical, repository] of Object.entries(repositories)) {
+    const items = await repository.queryIndex('scheduled', 'scheduled', { range: { lte: now.toISOString() } });
+    for (const item of items) {
+      await repository.update(item, {
+        ...PUBLICATION[vertical].live,
+        publishAt: null,
+        publishedAt: now.toISOString()
+      });
+    }
+    published[vertical] = items.length;
+  }
+
+  return { published };
+}
+
+module.exports = [
+  {
+    name: 'publish-scheduled',
+    description: 'Publish scheduled listings in every vertical whose publishAt has passed',
+    schedule: '* * * * *',
+    runOnStart: true,
+    run: publishScheduled
+  }
+];
@@ -0,0 +1,22 @@
+const { sessionsRepository } = require('../repositories');
+
+// Deletes admin sessions whose refresh token has expired. Revoked sessions
+// are kept until then, so a reused refresh token is still recognised.
+
+async function purgeSessions() {
+  const expired = await sessionsRepository.scan({ expiresAt: { lt: new Date().toISOString() } });
+  for (const session of expired) {
+    await sessionsRepository.delete(session);
+  }
+  return { purged: expired.length };
+}
+
+module.exports = [
+  {
+    name: 'purge-sessions',
+    description: 'Delete admin sessions whose refresh token has expired',
+    schedule: '45 3 * * *',
+    runOnStart: true,
+    run: purgeSessions
+  }
+];
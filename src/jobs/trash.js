@@ -0,0 +1,31 @@
+const { verticals } = require('../api/utils/listings');
+const { TRASH_STATUS, purgeAt, purge } = require('../api/utils/trash');
+
+// Purges trashed listings once they have been in the trash for the
+// retention period
+
+async function purgeTrash() {
+  const now = new Date().toISOString();
+  const purged = {};
+
+  for (const [type, { repository }] of Object.entries(verticals)) {
+    const items = await repository.scan({ status: TRASH_STATUS });
+    const expired = items.filter(item => !item.deletedAt || purgeAt(item) <= now);
+    for (const item of expired) {
+      await purge(type, item);
+    }
+    purged[type] = expired.length;
+  }
+
+  return { purged };
+}
+
+module.exports = [
+  {
+    name: 'purge-trash',
+    description: 'Permanently delete listings that have been in the trash longer than the retention period',
+    schedule: '30 3 * * *',
+    runOnStart: true,
+    run: purgeTrash
+  }
+];
@@ -0,0 +1,148 @@
+// Backend-neutral filter conditions.
+//
+// A condition object maps attribute names to either a plain value (equality)
+// or an operator object:
+//   { status: 'active' }                    -> status = 'active'
+//   { jobId: { ne: 'abc' } }                 -> jobId <> 'abc'
+//   { expiresOn: { lt: now } }               -> expiresOn < now (also lte, gt, gte)
+//   { timestamp: { gte: from, lt: to } }     -> from <= timestamp < to
+//   { location: { contains: 'Pune' } }       -> contains(location, 'Pune')
+//   { batch: { missingOrEmpty: true } }      -> attribute missing or empty list
+//
+// The DynamoDB backend turns conditions into a FilterExpression, the local
+// backend into a predicate; both follow DynamoDB semantics so results match.
+//
+// A range on an index's sort key, as given to queryIndex(), is one comparison
+// or a gte/lte pair, the forms a KeyConditionExpression allows.
+//
+// Conditions given to update() must hold on the stored item for the update to
+// be made; otherwise it fails with a ConditionFailedError.
+
+class ConditionFailedError extends Error {
+  constructor() {
+    super('The item does not meet the update conditions');
+    this.name = 'ConditionFailedError';
+  }
+}
+
+const COMPARISONS = {
+  lt: '<',
+  lte: '<=',
+  gt: '>',
+  gte: '>='
+};
+
+function comparisonsOf(condition) {
+  return Object.keys(COMPARISONS).filter(operator => operator in condition);
+}
+
+function toFilterExpression(conditions = {}) {
+  const clauses = [];
+  const names = {};
+  const values = {};
+
+  Object.keys(conditions).forEach((attribute, index) => {
+    const condition = conditions[attribute];
+    if (condition === undefined) return;
+
+    const name = `#f${index}`;
+    const value = `:f${index}`;
+    names[name] = attribute;
+
+    if (condition !== null && typeof condition === 'object' && !Array.isArray(condition)) {
+      if ('contains' in condition) {
+        clauses.push(`contains(${name}, ${value})`);
+        values[value] = condition.contains;
+      } else if ('ne' in condition) {
+        clauses.push(`${name} <> ${value}`);
+        values[value] = condition.ne;
+      } else if (comparisonsOf(condition).length > 0) {
+        comparisonsOf(condition).forEach(operator => {
+          clauses.push(`${name} ${COMPARISONS[operator]} ${value}${operator}`);
+          values[`${value}${operator}`] = condition[operator];
+        });
+      } else if (condition.missingOrEmpty) {
+        clauses.push(`(attribute_not_exists(${name}) OR size(${name}) = ${value})`);
+        values[value] = 0;
+      } else {
+        throw new Error(`Unsupported condition on ${attribute}`);
+      }
+    } else {
+      clauses.push(`${name} = ${value}`);
+      values[value] = condition;
+    }
+  });
+
+  if (clauses.length === 0) {
+    return {};
+  }
+
+  const expression = {
+    FilterExpression: clauses.join(' AND '),
+    ExpressionAttributeNames: names
+  };
+  if (Object.keys(values).length > 0) {
+    expression.ExpressionAttributeValues = values;
+  }
+  return expression;
+}
+
+function matches(item, conditions = {}) {
+  return Object.keys(conditions).every(attribute => {
+    const condition = conditions[attribute];
+    if (condition === undefined) return true;
+
+    const actual = item[attribute];
+
+    if (condition !== null && typeof condition === 'object' && !Array.isArray(condition)) {
+      if ('contains' in condition) {
+        if (typeof actual === 'string') return actual.includes(condition.contains);
+        if (Array.isArray(actual)) return actual.includes(condition.contains);
+        return false;
+      }
+      if ('ne' in condition) {
+        return actual !== condition.ne;
+      }
+      const operators = comparisonsOf(condition);
+      if (operators.length > 0) {
+        return operators.every(operator => {
+          if (actual === undefined || actual === null || typeof actual !== typeof condition[operator]) return false;
+          if (operator === 'lt') return actual < condition.lt;
+          if (operator === 'lte') return actual <= condition.lte;
+          if (operator === 'gt') return actual > condition.gt;
+          return actual >= condition.gte;
+        });
+      }
+      if (condition.missingOrEmpty) {
+        return actual === undefined || actual === null || actual.length === 0;
+      }
+      throw new Error(`Unsupported condition on ${attribute}`);
+    }
+
+    return actual === condition;
+  });
+}
+
+// KeyConditionExpression clause for a range on the sort key `name`, with its
+// values added to `values`
+function toSortKeyCondition(name, range, values) {
+  const operators = comparisonsOf(range);
+  if (operators.length === 2 && 'gte' in range && 'lte' in range) {
+    values[':skFrom'] = range.gte;
+    values[':skTo'] = range.lte;
+    return `${name} BETWEEN :skFrom AND :skTo`;
+  }
+  if (operators.length !== 1) {
+    throw new Error('A sort key range is one of lt, lte, gt, gte, or gte with lte');
+  }
+  const [operator] = operators;
+  values[':sk'] = range[operator];
+  return `${name} ${COMPARISONS[operator]} :sk`;
+}
+
+module.exports = {
+  ConditionFailedError,
+  toFilterExpression,
+  toSortKeyCondition,
+  matches
+};
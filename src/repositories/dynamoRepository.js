@@ -0,0 +1,300 @@
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  UpdateCommand,
+  DeleteCommand,
+  BatchWriteCommand,
+  ScanCommand,
+  QueryCommand
+} = require('@aws-sdk/lib-dynamodb');
+const { ConditionFailedError, toFilterExpression, toSortKeyCondition } = require('./conditions');
+const { indexOf, splitUpdates, withoutNullIndexKeys, inIndex, pageOf } = require('./indexes');
+
+let docClient;
+
+// One document client shared by every table
+function getDocClient() {
+  if (!docClient) {
+    const client = new DynamoDBClient({ region: process.env.AWS_REGION });
+    docClient = DynamoDBDocumentClient.from(client);
+  }
+  return docClient;
+}
+
+// DynamoDB batch write limit
+const BATCH_SIZE = 25;
+
+// Run a Scan or Query to completion, following LastEvaluatedKey
+async function readAllPages(Command, params) {
+  const items = [];
+  let ExclusiveStartKey;
+  do {
+    const result = await getDocClient().send(new Command({ ...params, ExclusiveStartKey }));
+    items.push(...(result.Items || []));
+    ExclusiveStartKey = result.LastEvaluatedKey;
+  } while (ExclusiveStartKey);
+  return items;
+}
+
+function isMissingIndexError(error) {
+  return error.name === 'ValidationException' && /index/i.test(error.message);
+}
+
+function createDynamoRepository(table) {
+  const { tableName, keySchema, idField, idIndex } = table;
+  const [partitionKey] = keySchema;
+  let missingIndex = false;
+  // Secondary indexes found not to exist yet, read by scans meanwhile
+  const missingIndexes = new Set();
+
+  // Query parameters reading `indexKey`'s partition `partitionValue`
+  function indexQuery(indexKey, partitionValue, { range, conditions, descending = false }) {
+    const index = indexOf(table, indexKey);
+    const [indexPartitionKey, sortKey] = index.keySchema;
+    const filter = toFilterExpression(conditions);
+    const names = { ...filter.ExpressionAttributeNames, '#pk': indexPartitionKey };
+    const values = { ...filter.ExpressionAttributeValues, ':pk': partitionValue };
+    let keyCondition = '#pk = :pk';
+    if (range) {
+      names['#sk'] = sortKey;
+      keyCondition += ` AND ${toSortKeyCondition('#sk', range, values)}`;
+    }
+    return {
+      TableName: tableName,
+      IndexName: index.name,
+      KeyConditionExpression: keyCondition,
+      ...filter,
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values,
+      ScanIndexForward: !descending
+    };
+  }
+
+  // Until an index is created its queries are answered from a filtered scan
+  async function scanIndex(indexKey, partitionValue, { range, conditions }) {
+    const index = indexOf(table, indexKey);
+    const items = await readAllPages(ScanCommand, {
+      TableName: tableName,
+      ...toFilterExpression({ ...conditions, [index.keySchema[0]]: partitionValue })
+    });
+    return items.filter(item => inIndex(item, index, partitionValue, range));
+  }
+
+  function noteMissingIndex(indexKey, error) {
+    if (!isMissingIndexError(error)) {
+      throw error;
+    }
+    missingIndexes.add(indexKey);
+    console.warn(`⚠️  ${tableName} has no ${indexOf(table, indexKey).name} index, falling back to scans. Run npm run db:indexes.`);
+  }
+
+  function keyOf(item) {
+    const key = {};
+    keySchema.forEach(attribute => {
+      key[attribute] = item[attribute];
+    });
+    return key;
+  }
+
+  return {
+    table,
+    keyOf,
+
+    async get(key) {
+      const result = await getDocClient().send(new GetCommand({
+        TableName: tableName,
+        Key: keyOf(key)
+      }));
+      return result.Item || null;
+    },
+
+    // Find an item by its public id, whatever the table's key looks like
+    async findById(id) {
+      const items = await this.findAllById(id);
+      return items[0] || null;
+    },
+
+    // Every item carrying the id. Uses the id index when the table has one;
+    // until the index is created the lookup falls back to a filtered scan.
+    async findAllById(id) {
+      if (keySchema.length === 1 && keySchema[0] === idField) {
+        const item = await this.get({ [idField]: id });
+        return item ? [item] : [];
+      }
+      if (idIndex && !missingIndex) {
+        try {
+          return await readAllPages(QueryCommand, {
+            TableName: tableName,
+            IndexName: idIndex,
+            KeyConditionExpression: '#id = :id',
+            ExpressionAttributeNames: { '#id': idField },
+            ExpressionAttributeValues: { ':id': id }
+          });
+        } catch (error) {
+          if (!isMissingIndexError(error)) {
+            throw error;
+          }
+          missingIndex = true;
+          console.warn(`⚠️  ${tableName} has no ${idIndex} index, falling back to scans. Run npm run db:indexes.`);
+        }
+      }
+      return this.scan({ [idField]: id });
+    },
+
+    // Reads every page: a single Scan stops at 1 MB of data
+    async scan(conditions) {
+      return readAllPages(ScanCommand, {
+        TableName: tableName,
+        ...toFilterExpression(conditions)
+      });
+    },
+
+    // Items sharing one partition key value
+    async query(partitionValue, conditions) {
+      const filter = toFilterExpression(conditions);
+      const params = {
+        TableName: tableName,
+        KeyConditionExpression: '#pk = :pk',
+        ...filter,
+        ExpressionAttributeNames: { ...filter.ExpressionAttributeNames, '#pk': partitionKey },
+        ExpressionAttributeValues: { ...filter.ExpressionAttributeValues, ':pk': partitionValue }
+      };
+      return readAllPages(QueryCommand, params);
+    },
+
+    // Items in partition `partitionValue` of the secondary index `indexKey`
+    // (a key of the table's `indexes`). `range` limits the sort key,
+    // `conditions` filter the items read.
+    async queryIndex(indexKey, partitionValue, { range, conditions, descending = false } = {}) {
+      if (!missingIndexes.has(indexKey)) {
+        try {
+          return await readAllPages(QueryCommand, indexQuery(indexKey, partitionValue, { range, conditions, descending }));
+        } catch (error) {
+          noteMissingIndex(indexKey, error);
+        }
+      }
+      const items = await scanIndex(indexKey, partitionValue, { range, conditions });
+      return pageOf(items, table, indexOf(table, indexKey), { descending }).items;
+    },
+
+    // Like queryIndex, one page at a time: up to `limit` items from after
+    // `startKey`, and the `lastKey` to start the next page from, null on the
+    // last page
+    async queryIndexPage(indexKey, partitionValue, { range, conditions, descending = false, limit, startKey } = {}) {
+      if (!missingIndexes.has(indexKey)) {
+        try {
+          const params = indexQuery(indexKey, partitionValue, { range, conditions, descending });
+          const items = [];
+          let ExclusiveStartKey = startKey || undefined;
+          // A filtered page can come back short, so read on until it is full
+          do {
+            const result = await getDocClient().send(new QueryCommand({
+              ...params,
+              Limit: limit ? limit - items.length : undefined,
+              ExclusiveStartKey
+            }));
+            items.push(...(result.Items || []));
+            ExclusiveStartKey = result.LastEvaluatedKey;
+          } while (ExclusiveStartKey && (!limit || items.length < limit));
+          return { items, lastKey: ExclusiveStartKey || null };
+        } catch (error) {
+          noteMissingIndex(indexKey, error);
+        }
+      }
+      const items = await scanIndex(indexKey, partitionValue, { range, conditions });
+      return pageOf(items, table, indexOf(table, indexKey), { descending, limit, startKey });
+    },
+
+    async put(item) {
+      await getDocClient().send(new PutCommand({
+        TableName: tableName,
+        Item: withoutNullIndexKeys(table, item)
+      }));
+      return item;
+    },
+
+    async batchPut(items) {
+      for (let i = 0; i < items.length; i += BATCH_SIZE) {
+        const batch = items.slice(i, i + BATCH_SIZE);
+        await getDocClient().send(new BatchWriteCommand({
+          RequestItems: {
+            [tableName]: batch.map(item => ({
+              PutRequest: { Item: withoutNullIndexKeys(table, item) }
+            }))
+          }
+        }));
+      }
+      return items;
+    },
+
+    // Set the given attributes on an existing item and return the new item.
+    // Key attributes are never updated in place; index keys set to null are
+    // removed. With `conditions`, the update is only made if the stored item
+    // meets them.
+    async update(key, updates, { conditions } = {}) {
+      const { set, remove } = splitUpdates(table, updates);
+      const attributes = Object.keys(set);
+
+      if (attributes.length === 0 && remove.length === 0) {
+        return this.get(key);
+      }
+
+      const names = {};
+      const values = {};
+      const assignments = attributes.map((attribute, index) => {
+        names[`#u${index}`] = attribute;
+        values[`:u${index}`] = set[attribute];
+        return `#u${index} = :u${index}`;
+      });
+      const removals = remove.map((attribute, index) => {
+        names[`#r${index}`] = attribute;
+        return `#r${index}`;
+      });
+
+      const clauses = [];
+      if (assignments.length > 0) clauses.push(`SET ${assignments.join(', ')}`);
+      if (removals.length > 0) clauses.push(`REMOVE ${removals.join(', ')}`);
+
+      const condition = toFilterExpression(conditions);
+      if (condition.FilterExpression) {
+        Object.assign(names, condition.ExpressionAttributeNames);
+        Object.assign(values, condition.ExpressionAttributeValues);
+      }
+
+      const command = {
+        TableName: tableName,
+        Key: keyOf(key),
+        UpdateExpression: clauses.join(' '),
+        ExpressionAttributeNames: names,
+        ReturnValues: 'ALL_NEW'
+      };
+      if (condition.FilterExpression) {
+        command.ConditionExpression = condition.FilterExpression;
+      }
+      if (Object.keys(values).length > 0) {
+        command.ExpressionAttributeValues = values;
+      }
+
+      try {
+        const result = await getDocClient().send(new UpdateCommand(command));
+        return result.Attributes;
+      } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+          throw new ConditionFailedError();
+        }
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await getDocClient().send(new DeleteCommand({
+        TableName: tableName,
+        Key: keyOf(key)
+      }));
+    }
+  };
+}
+
+module.exports = createDynamoRepository;
@@ -0,0 +1,44 @@
+const tables = require('./tables');
+const createDynamoRepository = require('./dynamoRepository');
+const createMemoryRepository = require('./memoryRepository');
+const observable = require('./observable');
+const { ConditionFailedError } = require('./conditions');
+
+// DATA_BACKEND selects the storage backend:
+//   dynamodb (default) - AWS DynamoDB tables named by the *_TABLE variables
+//   memory             - local in-process store, persisted to DATA_FILE if set
+const backend = (process.env.DATA_BACKEND || 'dynamodb').toLowerCase();
+
+const backends = {
+  dynamodb: createDynamoRepository,
+  memory: createMemoryRepository
+};
+
+const createBackendRepository = backends[backend];
+if (!createBackendRepository) {
+  throw new Error(`Unknown DATA_BACKEND "${backend}". Use one of: ${Object.keys(backends).join(', ')}`);
+}
+
+console.log(`🗄️  Using ${backend} data backend`);
+
+function createRepository(table) {
+  return observable(createBackendRepository(table));
+}
+
+module.exports = {
+  backend,
+  ConditionFailedError,
+  jobsRepository: createRepository(tables.jobs),
+  sarkariJobsRepository: createRepository(tables.sarkariJobs),
+  internshipsRepository: createRepository(tables.internships),
+  walkingRepository: createRepository(tables.walking),
+  certificationsRepository: createRepository(tables.certifications),
+  adminsRepository: createRepository(tables.admins),
+  subscriptionsRepository: createRepository(tables.subscriptions),
+  synonymsRepository: createRepository(tables.synonyms),
+  activitiesRepository: createRepository(tables.activities),
+  revisionsRepository: createRepository(tables.revisions),
+  sessionsRepository: createRepository(tables.sessions),
+  loginAttemptsRepository: createRepository(tables.loginAttempts),
+  loginHistoryRepository: createRepository(tables.loginHistory)
+};
@@ -0,0 +1,103 @@
+const { matches } = require('./conditions');
+
+// Secondary indexes declared by a table's `indexes` (see tables.js), shared by
+// both backends.
+//
+// DynamoDB refuses null as the value of an index key attribute, and an item
+// lacking one of an index's key attributes is simply not in that index. So
+// writes leave null index keys off the item instead: setting one to null
+// removes it, which takes the item out of the index (a sparse index).
+
+function indexOf(table, indexKey) {
+  const index = table.indexes && table.indexes[indexKey];
+  if (!index) {
+    throw new Error(`Table ${table.name} has no "${indexKey}" index`);
+  }
+  return index;
+}
+
+// Every attribute that is a key of one of the table's indexes
+function indexKeyAttributes(table) {
+  return new Set(Object.values(table.indexes || {}).flatMap(index => index.keySchema));
+}
+
+// Split updates into attributes to set and index keys to remove
+function splitUpdates(table, updates) {
+  const indexKeys = indexKeyAttributes(table);
+  const set = {};
+  const remove = [];
+  Object.keys(updates).forEach(attribute => {
+    if (updates[attribute] === undefined || table.keySchema.includes(attribute)) return;
+    if (updates[attribute] === null && indexKeys.has(attribute)) {
+      remove.push(attribute);
+    } else {
+      set[attribute] = updates[attribute];
+    }
+  });
+  return { set, remove };
+}
+
+// `item` without its null index keys
+function withoutNullIndexKeys(table, item) {
+  const indexKeys = indexKeyAttributes(table);
+  const stored = { ...item };
+  indexKeys.forEach(attribute => {
+    if (stored[attribute] === null) delete stored[attribute];
+  });
+  return stored;
+}
+
+// Whether `item` is in the index under `partitionValue` and its sort key is
+// within `range`
+function inIndex(item, index, partitionValue, range) {
+  const [partitionKey, sortKey] = index.keySchema;
+  if (item[partitionKey] !== partitionValue) return false;
+  if (!sortKey) return true;
+  if (item[sortKey] === undefined || item[sortKey] === null) return false;
+  return matches(item, { [sortKey]: range });
+}
+
+// The key DynamoDB would return as LastEvaluatedKey for an item read
+// through the index: the table's key plus the index's
+function indexKeyOf(table, index, item) {
+  const key = {};
+  [...table.keySchema, ...index.keySchema].forEach(attribute => {
+    key[attribute] = item[attribute];
+  });
+  return key;
+}
+
+// One page of `items` in index order, as a Query would read it: sorted by
+// the sort key then the table key, starting after `startKey`. `lastKey` is
+// set when more items follow.
+function pageOf(items, table, index, { descending = false, limit, startKey } = {}) {
+  const [, sortKey] = index.keySchema;
+  const attributes = sortKey ? [sortKey, ...table.keySchema] : table.keySchema;
+  const compare = (a, b) => {
+    for (const attribute of attributes) {
+      // Code unit order, close to DynamoDB's byte order for string keys
+      const [x, y] = [String(a[attribute]), String(b[attribute])];
+      if (x !== y) return (x < y ? -1 : 1) * (descending ? -1 : 1);
+    }
+    return 0;
+  };
+
+  let sorted = [...items].sort(compare);
+  if (startKey) {
+    sorted = sorted.filter(item => compare(item, startKey) > 0);
+  }
+  if (!limit || sorted.length <= limit) {
+    return { items: sorted, lastKey: null };
+  }
+  const page = sorted.slice(0, limit);
+  return { items: page, lastKey: indexKeyOf(table, index, page[page.length - 1]) };
+}
+
+module.exports = {
+  indexOf,
+  indexKeyAttributes,
+  splitUpdates,
+  withoutNullIndexKeys,
+  inIndex,
+  pageOf
+};
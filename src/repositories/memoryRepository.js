@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const { ConditionFailedError, matches } = require('./conditions');
+const { indexOf, splitUpdates, withoutNullIndexKeys, inIndex, pageOf } = require('./indexes');
+
+// Local store used when DATA_BACKEND=memory. Tables live in memory and, when
+// DATA_FILE is set, are loaded from and written back to that JSON file so
+// data survives restarts.
+const dataFile = process.env.DATA_FILE ? path.resolve(process.env.DATA_FILE) : null;
+let store;
+
+function loadStore() {
+  if (store) return store;
+  store = {};
+  if (dataFile && fs.existsSync(dataFile)) {
+    try {
+      store = JSON.parse(fs.readFileSync(dataFile, 'utf-8'));
+      console.log(`📂 Loaded local data from ${dataFile}`);
+    } catch (error) {
+      console.error(`Could not read local data file ${dataFile}:`, error.message);
+      store = {};
+    }
+  }
+  return store;
+}
+
+function saveStore() {
+  if (!dataFile) return;
+  fs.mkdirSync(path.dirname(dataFile), { recursive: true });
+  fs.writeFileSync(dataFile, JSON.stringify(store, null, 2));
+}
+
+function clone(item) {
+  return item === undefined || item === null ? null : JSON.parse(JSON.stringify(item));
+}
+
+function createMemoryRepository(table) {
+  const { name, keySchema, idField } = table;
+  const [partitionKey] = keySchema;
+
+  function keyOf(item) {
+    const key = {};
+    keySchema.forEach(attribute => {
+      key[attribute] = item[attribute];
+    });
+    return key;
+  }
+
+  function keyString(key) {
+    return JSON.stringify(keySchema.map(attribute => key[attribute]));
+  }
+
+  function rows() {
+    const data = loadStore();
+    if (!data[name]) data[name] = {};
+    return data[name];
+  }
+
+  return {
+    table,
+    keyOf,
+
+    async get(key) {
+      return clone(rows()[keyString(key)]);
+    },
+
+    async findById(id) {
+      const item = Object.values(rows()).find(row => row[idField] === id);
+      return clone(item);
+    },
+
+    async findAllById(id) {
+      return Object.values(rows())
+        .filter(row => row[idField] === id)
+        .map(clone);
+    },
+
+    async scan(conditions) {
+      return Object.values(rows())
+        .filter(item => matches(item, conditions))
+        .map(clone);
+    },
+
+    async query(partitionValue, conditions) {
+      return Object.values(rows())
+        .filter(item => item[partitionKey] === partitionValue && matches(item, conditions))
+        .map(clone);
+    },
+
+    async queryIndex(indexKey, partitionValue, { range, conditions, descending = false } = {}) {
+      return (await this.queryIndexPage(indexKey, partitionValue, { range, conditions, descending })).items;
+    },
+
+    async queryIndexPage(indexKey, partitionValue, { range, conditions, descending = false, limit, startKey } = {}) {
+      const index = indexOf(table, indexKey);
+      const items = Object.values(rows())
+        .filter(item => inIndex(item, index, partitionValue, range) && matches(item, conditions))
+        .map(clone);
+      return pageOf(items, table, index, { descending, limit, startKey });
+    },
+
+    async put(item) {
+      rows()[keyString(item)] = clone(withoutNullIndexKeys(table, item));
+      saveStore();
+      return item;
+    },
+
+    async batchPut(items) {
+      const stored = rows();
+      items.forEach(item => {
+        stored[keyString(item)] = clone(withoutNullIndexKeys(table, item));
+      });
+      saveStore();
+      return items;
+    },
+
+    async update(key, updates, { conditions } = {}) {
+      const stored = rows();
+      const id = keyString(key);
+      if (conditions && !(stored[id] && matches(stored[id], conditions))) {
+        throw new ConditionFailedError();
+      }
+      const item = { ...(stored[id] || keyOf(key)) };
+      const { set, remove } = splitUpdates(table, updates);
+      Object.assign(item, set);
+      remove.forEach(attribute => {
+        delete item[attribute];
+      });
+      stored[id] = clone(item);
+      saveStore();
+      return clone(item);
+    },
+
+    async delete(key) {
+      delete rows()[keyString(key)];
+      saveStore();
+    }
+  };
+}
+
+module.exports = createMemoryRepository;
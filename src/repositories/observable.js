@@ -0,0 +1,43 @@
+const { EventEmitter } = require('events');
+
+// Wraps a repository so other subsystems can follow its writes:
+//   'put'    (item) - after put, batchPut (once per item) and update
+//   'delete' (key)  - after delete
+// Listeners run synchronously after the write has been stored.
+function observable(repository) {
+  const events = new EventEmitter();
+
+  return {
+    ...repository,
+
+    on(event, listener) {
+      events.on(event, listener);
+      return this;
+    },
+
+    async put(item) {
+      const result = await repository.put(item);
+      events.emit('put', item);
+      return result;
+    },
+
+    async batchPut(items) {
+      const result = await repository.batchPut(items);
+      items.forEach(item => events.emit('put', item));
+      return result;
+    },
+
+    async update(key, updates, options) {
+      const item = await repository.update(key, updates, options);
+      if (item) events.emit('put', item);
+      return item;
+    },
+
+    async delete(key) {
+      await repository.delete(key);
+      events.emit('delete', repository.keyOf(key));
+    }
+  };
+}
+
+module.exports = observable;
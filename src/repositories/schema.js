@@ -0,0 +1,65 @@
+const tables = require('./tables');
+
+// DynamoDB key and index definitions derived from tables.js. Every key
+// attribute is a string.
+
+function keySchemaOf(attributes) {
+  return attributes.map((attribute, index) => ({
+    AttributeName: attribute,
+    KeyType: index === 0 ? 'HASH' : 'RANGE'
+  }));
+}
+
+// Global secondary index used for lookups by id
+function idIndexDefinition(table) {
+  if (!table.idIndex) return null;
+  return {
+    IndexName: table.idIndex,
+    KeySchema: keySchemaOf([table.idField]),
+    Projection: { ProjectionType: 'ALL' }
+  };
+}
+
+// Every global secondary index of the table: the id index first, then its
+// `indexes`
+function indexDefinitions(table) {
+  const indexes = Object.values(table.indexes || {}).map(index => ({
+    IndexName: index.name,
+    KeySchema: keySchemaOf(index.keySchema),
+    Projection: { ProjectionType: 'ALL' }
+  }));
+  const idIndex = idIndexDefinition(table);
+  return idIndex ? [idIndex, ...indexes] : indexes;
+}
+
+// Attributes used as a key of the table or any of its indexes
+function keyAttributesOf(table) {
+  const indexKeys = indexDefinitions(table).flatMap(index => index.KeySchema.map(key => key.AttributeName));
+  return new Set([...table.keySchema, ...indexKeys]);
+}
+
+function tableDefinition(table) {
+  const attributes = keyAttributesOf(table);
+  const indexes = indexDefinitions(table);
+
+  const definition = {
+    TableName: table.tableName,
+    AttributeDefinitions: [...attributes].map(attribute => ({
+      AttributeName: attribute,
+      AttributeType: 'S'
+    })),
+    KeySchema: keySchemaOf(table.keySchema),
+    BillingMode: 'PAY_PER_REQUEST'
+  };
+  if (indexes.length > 0) {
+    definition.GlobalSecondaryIndexes = indexes;
+  }
+  return definition;
+}
+
+module.exports = {
+  tables,
+  tableDefinition,
+  idIndexDefinition,
+  indexDefinitions
+};
@@ -0,0 +1,142 @@
+// Table definitions shared by every storage backend.
+// `name` identifies the table inside the local (memory/JSON) store,
+// `tableName` is the DynamoDB table, and `keySchema` lists the primary key
+// attributes (partition key first). `idField` is the attribute the API
+// exposes as the item's id.
+//
+// Tables whose primary key is not the id alone declare an `idIndex`: a global
+// secondary index keyed on `idField` (projection ALL) used for direct lookups
+// by id. See schema.js for the full DynamoDB definitions.
+//
+// `indexes` declares further global secondary indexes (projection ALL),
+// read with the repositories' queryIndex(): each has its DynamoDB `name` and
+// a `keySchema` (partition key first). Items without an index's key
+// attributes are left out of it.
+
+// Secondary indexes every listing vertical has. `envPrefix` names the
+// variables that override their names.
+function listingIndexes(envPrefix) {
+  return {
+    // Scheduled listings by the time they go live. Only scheduled items and
+    // drafts waiting to be scheduled carry a publishAt.
+    scheduled: {
+      name: process.env[`${envPrefix}_SCHEDULED_INDEX`] || 'status-publishAt-index',
+      keySchema: ['status', 'publishAt']
+    },
+    // Listings by duplicate detection fingerprint (see api/utils/duplicates)
+    fingerprint: {
+      name: process.env[`${envPrefix}_FINGERPRINT_INDEX`] || 'fingerprint-index',
+      keySchema: ['fingerprint']
+    }
+  };
+}
+
+const tables = {
+  jobs: {
+    name: 'jobs',
+    tableName: process.env.JOBS_TABLE,
+    keySchema: ['category', 'jobId'],
+    idField: 'jobId',
+    idIndex: process.env.JOBS_ID_INDEX || 'jobId-index',
+    indexes: listingIndexes('JOBS')
+  },
+  sarkariJobs: {
+    name: 'sarkariJobs',
+    tableName: process.env.SARKARI_JOBS_TABLE,
+    keySchema: ['organization', 'jobId'],
+    idField: 'jobId',
+    idIndex: process.env.SARKARI_JOBS_ID_INDEX || 'jobId-index',
+    indexes: listingIndexes('SARKARI_JOBS')
+  },
+  internships: {
+    name: 'internships',
+    tableName: process.env.INTERNSHIPS_TABLE || 'internships',
+    keySchema: ['category', 'id'],
+    idField: 'id',
+    idIndex: process.env.INTERNSHIPS_ID_INDEX || 'id-index',
+    indexes: listingIndexes('INTERNSHIPS')
+  },
+  walking: {
+    name: 'walking',
+    tableName: process.env.WALKING_TABLE || 'walking',
+    keySchema: ['id'],
+    idField: 'id',
+    indexes: listingIndexes('WALKING')
+  },
+  certifications: {
+    name: 'certifications',
+    tableName: process.env.CERTIFICATIONS_TABLE || 'certifications',
+    keySchema: ['id'],
+    idField: 'id',
+    indexes: listingIndexes('CERTIFICATIONS')
+  },
+  admins: {
+    name: 'admins',
+    tableName: process.env.ADMINS_TABLE,
+    keySchema: ['email'],
+    idField: 'email'
+  },
+  subscriptions: {
+    name: 'subscriptions',
+    tableName: process.env.SUBSCRIPTIONS_TABLE || 'subscriptions',
+    keySchema: ['email', 'category'],
+    idField: 'email'
+  },
+  synonyms: {
+    name: 'synonyms',
+    tableName: process.env.SYNONYMS_TABLE || 'synonyms',
+    keySchema: ['id'],
+    idField: 'id'
+  },
+  activities: {
+    name: 'activities',
+    tableName: 'AdminActivities',
+    keySchema: ['id'],
+    idField: 'id',
+    indexes: {
+      // Every activity, newest first. All of them carry the same `feed`
+      // value, so the whole log is one partition ordered by time.
+      recent: {
+        name: process.env.ACTIVITIES_RECENT_INDEX || 'feed-timestamp-index',
+        keySchema: ['feed', 'timestamp']
+      },
+      // One admin's activity by time
+      byAdmin: {
+        name: process.env.ACTIVITIES_ADMIN_INDEX || 'adminEmail-timestamp-index',
+        keySchema: ['adminEmail', 'timestamp']
+      }
+    }
+  },
+  // Snapshots of listings taken before each update. `target` is
+  // "<vertical>#<listing id>", so a query returns one listing's history.
+  revisions: {
+    name: 'revisions',
+    tableName: process.env.REVISIONS_TABLE || 'revisions',
+    keySchema: ['target', 'revisionId'],
+    idField: 'revisionId'
+  },
+  // Admin sign-in sessions, each holding the hash of its current refresh
+  // token
+  sessions: {
+    name: 'sessions',
+    tableName: process.env.SESSIONS_TABLE || 'sessions',
+    keySchema: ['id'],
+    idField: 'id'
+  },
+  // Recent failed sign-ins per email, driving the login lockout
+  loginAttempts: {
+    name: 'loginAttempts',
+    tableName: process.env.LOGIN_ATTEMPTS_TABLE || 'loginAttempts',
+    keySchema: ['email'],
+    idField: 'email'
+  },
+  // Every sign-in attempt on an admin account, partitioned by email
+  loginHistory: {
+    name: 'loginHistory',
+    tableName: process.env.LOGIN_HISTORY_TABLE || 'loginHistory',
+    keySchema: ['email', 'id'],
+    idField: 'id'
+  }
+};
+
+module.exports = tables;
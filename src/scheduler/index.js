@@ -0,0 +1,145 @@
+const cron = require('node-cron');
+
+// Background tasks run on a cron schedule inside the API process. A task is
+// { name, description, schedule, timezone, runOnStart, run }, where run()
+// resolves to a summary of what it did and the optional timezone is the one
+// the schedule is read in (the server's by default).
+//
+// The process keeps each task's last run and its outcome in memory, so admins
+// can see when it last ran and whether it succeeded. Any task can also be run
+// on demand.
+//
+// Set SCHEDULER_ENABLED=false on instances that should not run tasks on their
+// own; they can still be triggered manually.
+
+class UnknownTaskError extends Error {
+  constructor(name) {
+    super(`Unknown task "${name}"`);
+    this.name = 'UnknownTaskError';
+  }
+}
+
+class TaskRunningError extends Error {
+  constructor(name) {
+    super(`Task "${name}" is already running`);
+    this.name = 'TaskRunningError';
+  }
+}
+
+const tasks = new Map();
+let started = false;
+
+function isTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function register(task) {
+  if (tasks.has(task.name)) {
+    throw new Error(`Task "${task.name}" is already registered`);
+  }
+  if (!cron.validate(task.schedule)) {
+    throw new Error(`Invalid schedule "${task.schedule}" for task "${task.name}"`);
+  }
+  if (task.timezone && !isTimezone(task.timezone)) {
+    throw new Error(`Invalid timezone "${task.timezone}" for task "${task.name}"`);
+  }
+  tasks.set(task.name, { task, running: null, lastRun: null, job: null });
+}
+
+function statusOf({ task, running, lastRun }) {
+  return {
+    name: task.name,
+    description: task.description,
+    schedule: task.schedule,
+    timezone: task.timezone || null,
+    running: Boolean(running),
+    lastRun
+  };
+}
+
+// Run a task now. `trigger` records why it ran: schedule, startup or manual.
+async function run(name, trigger = 'manual') {
+  const entry = tasks.get(name);
+  if (!entry) {
+    throw new UnknownTaskError(name);
+  }
+  if (entry.running) {
+    throw new TaskRunningError(name);
+  }
+
+  entry.running = (async () => {
+    const startedAt = new Date();
+    const lastRun = { trigger, startedAt: startedAt.toISOString() };
+    try {
+      lastRun.result = await entry.task.run();
+      lastRun.status = 'succeeded';
+    } catch (error) {
+      console.error(`❌ Task ${name} failed:`, error);
+      lastRun.status = 'failed';
+      lastRun.error = error.message;
+    } finally {
+      lastRun.finishedAt = new Date().toISOString();
+      lastRun.durationMs = Date.now() - startedAt.getTime();
+      entry.lastRun = lastRun;
+      entry.running = null;
+    }
+    return lastRun;
+  })();
+  return entry.running;
+}
+
+// Schedule every registered task and run the ones marked runOnStart, so
+// anything missed while the server was down is caught up
+function start() {
+  if (started) return;
+  started = true;
+
+  if (String(process.env.SCHEDULER_ENABLED).toLowerCase() === 'false') {
+    console.log('📅 Scheduler disabled (SCHEDULER_ENABLED=false)');
+    return;
+  }
+
+  tasks.forEach((entry, name) => {
+    entry.job = cron.schedule(entry.task.schedule, () => {
+      run(name, 'schedule').catch(error => {
+        // Still running from the previous schedule or a manual run
+        console.log(`⏭️  Skipping task ${name}: ${error.message}`);
+      });
+    }, entry.task.timezone ? { timezone: entry.task.timezone } : undefined);
+    if (entry.task.runOnStart) {
+      run(name, 'startup').catch(error => console.error(`❌ Task ${name} failed to start:`, error));
+    }
+  });
+  console.log(`📅 Scheduled ${tasks.size} tasks`);
+}
+
+function list() {
+  return [...tasks.values()].map(statusOf);
+}
+
+function get(name) {
+  const entry = tasks.get(name);
+  return entry ? statusOf(entry) : null;
+}
+
+// Built-in tasks
+require('../jobs/expiry').forEach(register);
+require('../jobs/publishing').forEach(register);
+require('../jobs/trash').forEach(register);
+require('../jobs/sessions').forEach(register);
+require('../jobs/logins').forEach(register);
+
+module.exports = {
+  UnknownTaskError,
+  TaskRunningError,
+  register,
+  run,
+  start,
+  list,
+  get
+};
@@ -0,0 +1,137 @@
+const createSearchIndex = require('./searchIndex');
+const synonyms = require('./synonyms');
+const {
+  jobsRepository,
+  internshipsRepository,
+  walkingRepository,
+  sarkariJobsRepository,
+  certificationsRepository,
+  synonymsRepository
+} = require('../repositories');
+
+// Searchable fields and their weights for each vertical
+const verticals = {
+  jobs: {
+    repository: jobsRepository,
+    fields: { role: 3, companyName: 2, tags: 2, category: 1, location: 1, jobDescription: 1 }
+  },
+  internships: {
+    repository: internshipsRepository,
+    fields: { title: 3, company: 2, skills: 2, category: 1, location: 1, description: 1 }
+  },
+  walking: {
+    repository: walkingRepository,
+    fields: { title: 3, company: 2, category: 1, experience: 1, location: 1, description: 1 }
+  },
+  sarkariJobs: {
+    repository: sarkariJobsRepository,
+    fields: { postName: 3, title: 3, organization: 2, category: 1, location: 1, eligibility: 1, vacancyDetails: 1 }
+  },
+  certifications: {
+    repository: certificationsRepository,
+    fields: { title: 3, provider: 2, category: 1, description: 1 }
+  }
+};
+
+// Indexes are built from a full read on first use and then follow the
+// repository's writes. Other API instances write to the same tables, so an
+// index is also rebuilt once it is older than SEARCH_REFRESH_MINUTES.
+const REFRESH_MS = (parseInt(process.env.SEARCH_REFRESH_MINUTES) || 10) * 60 * 1000;
+
+const state = {};
+
+function documentKey(repository, item) {
+  return JSON.stringify(repository.keyOf(item));
+}
+
+Object.keys(verticals).forEach(name => {
+  const { repository, fields } = verticals[name];
+  const index = createSearchIndex({ fields });
+  state[name] = { index, builtAt: 0, building: null };
+
+  repository.on('put', item => {
+    if (state[name].builtAt) index.add(documentKey(repository, item), item);
+  });
+  repository.on('delete', key => {
+    if (state[name].builtAt) index.remove(documentKey(repository, key));
+  });
+});
+
+async function build(name) {
+  const { repository } = verticals[name];
+  const vertical = state[name];
+  if (!vertical.building) {
+    vertical.building = (async () => {
+      try {
+        const items = await repository.scan();
+        vertical.index.clear();
+        items.forEach(item => vertical.index.add(documentKey(repository, item), item));
+        vertical.builtAt = Date.now();
+        console.log(`🔎 Built ${name} search index (${items.length} documents)`);
+      } finally {
+        vertical.building = null;
+      }
+    })();
+  }
+  return vertical.building;
+}
+
+// Compiled synonym dictionary, reloaded after any change to it
+const dictionary = { expand: null, loadedAt: 0, loading: null };
+
+synonymsRepository.on('put', () => { dictionary.loadedAt = 0; });
+synonymsRepository.on('delete', () => { dictionary.loadedAt = 0; });
+
+async function getSynonyms() {
+  if (dictionary.loadedAt && Date.now() - dictionary.loadedAt <= REFRESH_MS) {
+    return dictionary.expand;
+  }
+  if (!dictionary.loading) {
+    dictionary.loading = (async () => {
+      try {
+        const entries = await synonymsRepository.scan();
+        dictionary.expand = synonyms.compile(entries.map(entry => entry.terms || []));
+        dictionary.loadedAt = Date.now();
+      } catch (error) {
+        // Search keeps working without synonyms
+        console.error('Error loading synonyms:', error);
+        dictionary.expand = dictionary.expand || synonyms.compile([]);
+      } finally {
+        dictionary.loading = null;
+      }
+    })();
+  }
+  await dictionary.loading;
+  return dictionary.expand;
+}
+
+async function getIndex(name) {
+  if (!verticals[name]) {
+    throw new Error(`Unknown search vertical "${name}"`);
+  }
+  const vertical = state[name];
+  if (!vertical.builtAt || Date.now() - vertical.builtAt > REFRESH_MS) {
+    await build(name);
+  }
+  return vertical.index;
+}
+
+// Keep only the items matching the query, ordered by relevance. Queries are
+// expanded with the synonym dictionary and tolerate small typos. Each
+// returned item gets its `searchScore`.
+async function rank(name, items, query) {
+  const { repository } = verticals[name];
+  const [index, expand] = await Promise.all([getIndex(name), getSynonyms()]);
+  const scores = new Map(index.search(query, { expand }).map(hit => [hit.key, hit.score]));
+
+  return items
+    .filter(item => scores.has(documentKey(repository, item)))
+    .map(item => ({ ...item, searchScore: scores.get(documentKey(repository, item)) }))
+    .sort((a, b) => b.searchScore - a.searchScore);
+}
+
+module.exports = {
+  verticals,
+  rank,
+  rebuild: build
+};
@@ -0,0 +1,195 @@
+const { tokenize } = require('./tokenizer');
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Score multipliers for terms matched only as a prefix of an indexed term,
+// or within an edit distance of one or two
+const PREFIX_WEIGHT = 0.5;
+const FUZZY_WEIGHTS = [1, 0.6, 0.35];
+
+// Optimal string alignment distance (Levenshtein plus transpositions).
+// Gives up early and returns max + 1 once the distance exceeds `max`.
+function editDistance(a, b, max) {
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+}
+
+// An in-memory inverted index over weighted fields.
+//
+// `fields` maps attribute names to weights, e.g. { role: 3, companyName: 2 }.
+// Documents are stored under a caller-chosen key. Scoring is BM25 over the
+// weighted term frequencies of all fields, and every query term has to match.
+// Terms also match indexed terms within a small edit distance (typos), and
+// the last one may match as a prefix, for search-as-you-type.
+function createSearchIndex({ fields }) {
+  // term -> Map(key -> weighted term frequency)
+  const postings = new Map();
+  // key -> { length, terms: Set }
+  const documents = new Map();
+  let totalLength = 0;
+
+  function remove(key) {
+    const document = documents.get(key);
+    if (!document) return;
+    document.terms.forEach(term => {
+      const posting = postings.get(term);
+      posting.delete(key);
+      if (posting.size === 0) postings.delete(term);
+    });
+    totalLength -= document.length;
+    documents.delete(key);
+  }
+
+  function add(key, item) {
+    remove(key);
+
+    const frequencies = new Map();
+    let length = 0;
+    Object.keys(fields).forEach(field => {
+      const weight = fields[field];
+      tokenize(item[field]).forEach(term => {
+        frequencies.set(term, (frequencies.get(term) || 0) + weight);
+        length += weight;
+      });
+    });
+
+    frequencies.forEach((frequency, term) => {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(key, frequency);
+    });
+    documents.set(key, { length, terms: new Set(frequencies.keys()) });
+    totalLength += length;
+  }
+
+  function clear() {
+    postings.clear();
+    documents.clear();
+    totalLength = 0;
+  }
+
+  // Indexed terms a query term matches, with a weight for the kind of
+  // match: exact, prefix (when allowed) or within a small edit distance.
+  // Returns Map(indexedTerm -> weight).
+  function expandTerm(term, allowPrefix) {
+    const matches = new Map();
+    if (postings.has(term)) matches.set(term, 1);
+
+    // No typo tolerance for short terms or numbers (2024 is not 2025)
+    const maxDistance = /\d/.test(term) ? 0 : term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+    if (!allowPrefix && maxDistance === 0) return matches;
+
+    postings.forEach((posting, indexed) => {
+      if (indexed === term) return;
+      let weight = 0;
+      if (allowPrefix && term.length >= 2 && indexed.startsWith(term)) {
+        weight = PREFIX_WEIGHT;
+      }
+      if (maxDistance > 0 && Math.abs(indexed.length - term.length) <= maxDistance) {
+        const distance = editDistance(term, indexed, maxDistance);
+        if (distance <= maxDistance) {
+          weight = Math.max(weight, FUZZY_WEIGHTS[distance]);
+        }
+      }
+      if (weight > 0) matches.set(indexed, weight);
+    });
+    return matches;
+  }
+
+  // Map(key -> score) for documents matching one query term
+  function scoreTerm(term, allowPrefix, averageLength) {
+    const scores = new Map();
+    expandTerm(term, allowPrefix).forEach((weight, indexed) => {
+      const posting = postings.get(indexed);
+      const idf = Math.log(1 + (documents.size - posting.size + 0.5) / (posting.size + 0.5));
+      posting.forEach((frequency, key) => {
+        const { length } = documents.get(key);
+        const tf = (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * length / averageLength));
+        const score = idf * tf * weight;
+        if (score > (scores.get(key) || 0)) scores.set(key, score);
+      });
+    });
+    return scores;
+  }
+
+  // Documents matching every term, scores summed
+  function scoreAll(terms, allowPrefixOnLast, averageLength) {
+    let scores = null;
+    terms.forEach((term, index) => {
+      const termScores = scoreTerm(term, allowPrefixOnLast && index === terms.length - 1, averageLength);
+      const combined = new Map();
+      termScores.forEach((score, key) => {
+        if (scores && !scores.has(key)) return;
+        combined.set(key, (scores ? scores.get(key) : 0) + score);
+      });
+      scores = combined;
+    });
+    return scores || new Map();
+  }
+
+  // Returns [{ key, score }] sorted by descending score.
+  //
+  // `options.expand` turns the query's terms into slots: every slot has to
+  // match, and a slot matches when any of its alternatives (a list of terms
+  // that all have to match) does. Without it every term is its own slot.
+  function search(query, { expand } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0 || documents.size === 0) return [];
+
+    const slots = expand ? expand(terms) : terms.map(term => [[term]]);
+    const averageLength = totalLength / documents.size || 1;
+    let scores = null;
+
+    slots.forEach((alternatives, index) => {
+      const isLast = index === slots.length - 1;
+      const slotScores = new Map();
+      alternatives.forEach(alternative => {
+        scoreAll(alternative, isLast, averageLength).forEach((score, key) => {
+          if (score > (slotScores.get(key) || 0)) slotScores.set(key, score);
+        });
+      });
+
+      const combined = new Map();
+      slotScores.forEach((score, key) => {
+        if (scores && !scores.has(key)) return;
+        combined.set(key, (scores ? scores.get(key) : 0) + score);
+      });
+      scores = combined;
+    });
+
+    return [...scores.entries()]
+      .map(([key, score]) => ({ key, score }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  return {
+    add,
+    remove,
+    clear,
+    search,
+    get size() {
+      return documents.size;
+    }
+  };
+}
+
+module.exports = createSearchIndex;
@@ -0,0 +1,78 @@
+const { tokenize } = require('./tokenizer');
+
+// Synonym groups the dictionary starts out with. Admins manage the live
+// dictionary through /api/v1/admin/synonyms.
+const DEFAULT_SYNONYMS = [
+  ['sde', 'software development engineer'],
+  ['swe', 'software engineer'],
+  ['bangalore', 'bengaluru', 'blr'],
+  ['mumbai', 'bombay'],
+  ['chennai', 'madras'],
+  ['kolkata', 'calcutta'],
+  ['gurgaon', 'gurugram'],
+  ['reactjs', 'react', 'react.js'],
+  ['nodejs', 'node.js'],
+  ['javascript', 'js'],
+  ['typescript', 'ts'],
+  ['ml', 'machine learning'],
+  ['ai', 'artificial intelligence'],
+  ['frontend', 'front end'],
+  ['backend', 'back end'],
+  ['fullstack', 'full stack'],
+  ['hr', 'human resources'],
+  ['qa', 'quality assurance'],
+  ['wfh', 'work from home', 'remote']
+];
+
+// Turn synonym groups (lists of words or phrases) into an `expand` function
+// for searchIndex.search. Query terms are matched against the phrases
+// (longest phrase first); a matched phrase becomes a slot whose alternatives
+// are every phrase of its group(s).
+function compile(groups) {
+  // first term -> [{ terms, alternatives }]
+  const phrases = new Map();
+
+  groups.forEach(group => {
+    const alternatives = group
+      .map(phrase => tokenize(phrase))
+      .filter(terms => terms.length > 0);
+    alternatives.forEach(terms => {
+      if (!phrases.has(terms[0])) phrases.set(terms[0], []);
+      phrases.get(terms[0]).push({ terms, alternatives });
+    });
+  });
+
+  return function expand(terms) {
+    const slots = [];
+    let position = 0;
+
+    while (position < terms.length) {
+      const candidates = (phrases.get(terms[position]) || [])
+        .filter(({ terms: phrase }) => phrase.every((term, offset) => terms[position + offset] === term));
+
+      if (candidates.length === 0) {
+        slots.push([[terms[position]]]);
+        position += 1;
+        continue;
+      }
+
+      const length = Math.max(...candidates.map(candidate => candidate.terms.length));
+      const alternatives = new Map();
+      candidates
+        .filter(candidate => candidate.terms.length === length)
+        .forEach(candidate => {
+          candidate.alternatives.forEach(alternative => alternatives.set(alternative.join(' '), alternative));
+        });
+
+      slots.push([...alternatives.values()]);
+      position += length;
+    }
+
+    return slots;
+  };
+}
+
+module.exports = {
+  DEFAULT_SYNONYMS,
+  compile
+};
@@ -0,0 +1,102 @@
+// Text analysis shared by indexing and querying: normalize, split into
+// tokens, drop stopwords and reduce each token to a stem so that
+// "developers", "developer" and "development" meet in the same term.
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into',
+  'is', 'it', 'of', 'on', 'or', 'the', 'to', 'with', 'we', 'you', 'our', 'your'
+]);
+
+// Strip accents and lowercase
+function normalize(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+function hasVowel(word) {
+  return /[aeiouy]/.test(word);
+}
+
+// Ordered suffix rules: [suffix, replacement]. The first rule whose suffix
+// matches and leaves a stem of at least three letters wins.
+const SUFFIX_RULES = [
+  ['ational', 'ate'],
+  ['ization', 'ize'],
+  ['fulness', 'ful'],
+  ['iveness', 'ive'],
+  ['ements', ''],
+  ['ations', 'ate'],
+  ['ement', ''],
+  ['ation', 'ate'],
+  ['ments', ''],
+  ['ness', ''],
+  ['ment', ''],
+  ['ities', ''],
+  ['ity', ''],
+  ['ers', ''],
+  ['er', ''],
+  ['ive', ''],
+  ['ly', '']
+];
+
+// A small Porter-style stemmer. It is deliberately conservative: it only has
+// to be consistent between documents and queries, not linguistically exact.
+function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+
+  let stemmed = word;
+
+  // Plurals
+  if (stemmed.endsWith('sses')) stemmed = stemmed.slice(0, -2);
+  else if (stemmed.endsWith('ies')) stemmed = stemmed.slice(0, -3) + 'y';
+  else if (stemmed.endsWith('s') && !stemmed.endsWith('ss') && !stemmed.endsWith('us') && !stemmed.endsWith('is')) {
+    stemmed = stemmed.slice(0, -1);
+  }
+
+  // Past tense and gerunds
+  for (const suffix of ['ing', 'ed']) {
+    if (stemmed.endsWith(suffix) && stemmed.length - suffix.length >= 3 && hasVowel(stemmed.slice(0, -suffix.length))) {
+      stemmed = stemmed.slice(0, -suffix.length);
+      // hopping -> hop
+      if (/([^aeiouslz])\1$/.test(stemmed)) stemmed = stemmed.slice(0, -1);
+      break;
+    }
+  }
+
+  for (const [suffix, replacement] of SUFFIX_RULES) {
+    if (stemmed.endsWith(suffix) && stemmed.length - suffix.length >= 3) {
+      stemmed = stemmed.slice(0, -suffix.length) + replacement;
+      break;
+    }
+  }
+
+  // Trailing e: manage -> manag, matches managing -> manag
+  if (stemmed.endsWith('e') && stemmed.length > 4) stemmed = stemmed.slice(0, -1);
+
+  return stemmed;
+}
+
+// Split text into raw lowercase words. Keeps "+" and "#" so c++ and c# survive.
+function words(text) {
+  if (text === undefined || text === null) return [];
+  if (Array.isArray(text)) return text.flatMap(words);
+  return normalize(text)
+    .split(/[^a-z0-9+#]+/)
+    .map(word => word.replace(/^[+#]+/, ''))
+    .filter(Boolean);
+}
+
+function tokenize(text) {
+  return words(text)
+    .filter(word => !STOPWORDS.has(word))
+    .map(stem);
+}
+
+module.exports = {
+  normalize,
+  stem,
+  words,
+  tokenize
+};
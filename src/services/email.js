@@ -0,0 +1,55 @@
+// Outgoing email, such as password reset links.
+//
+// EMAIL_TRANSPORT selects how messages are sent:
+//   ses     - Amazon SES in AWS_REGION (default)
+//   console - written to the log instead of sent, for local development
+//             only: messages such as reset links carry secrets
+// Messages come from EMAIL_FROM. Another transport, e.g. one collecting
+// messages in a script, can be plugged in with useTransport().
+
+const FROM = process.env.EMAIL_FROM || 'no-reply@india-jobs.in';
+
+const transports = {
+  ses: () => {
+    const AWS = require('aws-sdk');
+    const ses = new AWS.SES({ region: process.env.AWS_REGION });
+    return {
+      async send({ from, to, subject, text }) {
+        await ses.sendEmail({
+          Source: from,
+          Destination: { ToAddresses: [to] },
+          Message: {
+            Subject: { Data: subject },
+            Body: { Text: { Data: text } }
+          }
+        }).promise();
+      }
+    };
+  },
+  console: () => ({
+    async send({ from, to, subject, text }) {
+      console.log(`📧 Email from ${from} to ${to}: ${subject}\n${text}`);
+    }
+  })
+};
+
+const transportName = (process.env.EMAIL_TRANSPORT || 'ses').toLowerCase();
+if (!transports[transportName]) {
+  throw new Error(`Unknown EMAIL_TRANSPORT "${transportName}". Use one of: ${Object.keys(transports).join(', ')}`);
+}
+
+let transport = transports[transportName]();
+
+// Replace the transport; it needs a send({ from, to, subject, text }) method
+function useTransport(custom) {
+  transport = custom;
+}
+
+async function sendEmail({ to, subject, text }) {
+  await transport.send({ from: FROM, to, subject, text });
+}
+
+module.exports = {
+  sendEmail,
+  useTransport
+};
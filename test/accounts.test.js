@@ -0,0 +1,57 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DATA_BACKEND = 'memory';
+process.env.EMAIL_TRANSPORT = 'console';
+delete process.env.DATA_FILE;
+
+const { adminsRepository } = require('../src/repositories');
+const { useTransport } = require('../src/services/email');
+const accountsController = require('../src/api/controllers/accountsController');
+
+// Just enough of an Express request and response for a handler
+function request(body) {
+  return { body, params: {}, query: {}, ip: '127.0.0.1', get: () => 'test-agent' };
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    body: null,
+    locals: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+describe('password reset requests', () => {
+  before(async () => {
+    await adminsRepository.put({ email: 'known@example.com', role: 'admin' });
+    useTransport({
+      async send() {
+        throw new Error('SES is unavailable');
+      }
+    });
+  });
+
+  after(() => {
+    useTransport({ async send() {} });
+  });
+
+  it('answers the same for a known email when sending fails as for an unknown one', async () => {
+    const known = response();
+    await accountsController.requestPasswordReset(request({ email: 'known@example.com' }), known);
+    const unknown = response();
+    await accountsController.requestPasswordReset(request({ email: 'unknown@example.com' }), unknown);
+
+    assert.equal(known.statusCode, 200);
+    assert.deepEqual(known.body, unknown.body);
+    assert.equal(unknown.statusCode, 200);
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeBatch, batchAttributes, batchOf, batchFilters } = require('../src/api/utils/batch');
+
+describe('normalizeBatch', () => {
+  it('reads single years, lists and ranges', () => {
+    assert.deepEqual(normalizeBatch('2024'), [2024]);
+    assert.deepEqual(normalizeBatch(2024), [2024]);
+    assert.deepEqual(normalizeBatch('2024 & 2025'), [2024, 2025]);
+    assert.deepEqual(normalizeBatch('2025 passouts'), [2025]);
+    assert.deepEqual(normalizeBatch('2023-2025'), [2023, 2024, 2025]);
+    assert.deepEqual(normalizeBatch('2023-25'), [2023, 2024, 2025]);
+  });
+
+  it('merges arrays into sorted, distinct years', () => {
+    assert.deepEqual(normalizeBatch(['2024', '2022', '2023-24']), [2022, 2023, 2024]);
+  });
+
+  it('does not expand backwards or implausibly wide ranges', () => {
+    assert.deepEqual(normalizeBatch('2025-2023'), [2023, 2025]);
+    assert.deepEqual(normalizeBatch('2010-2030'), [2010, 2030]);
+  });
+
+  it('finds no years in text without any', () => {
+    assert.deepEqual(normalizeBatch('Not Mentioned'), []);
+    assert.deepEqual(normalizeBatch(null), []);
+    assert.deepEqual(normalizeBatch(undefined), []);
+  });
+});
+
+describe('batchFilters', () => {
+  it('matches items sharing a year with the batch', () => {
+    const { batch } = batchFilters({ batch: '2024' });
+    assert.equal(batch({ batch: '2023-2025' }), true);
+    assert.equal(batch({ batch: ['2022'] }), false);
+  });
+
+  it('matches items without years for "Not Mentioned"', () => {
+    const { batch } = batchFilters({ batch: 'Not Mentioned' });
+    assert.equal(batch({ batch: [] }), true);
+    assert.equal(batch({ batch: ['2024'] }), false);
+  });
+
+  it('matches items with a year inside batchFrom/batchTo', () => {
+    const { batchRange } = batchFilters({ batchFrom: '2024', batchTo: '2025' });
+    assert.equal(batchRange({ batch: ['2023', '2025'] }), true);
+    assert.equal(batchRange({ batch: ['2022', '2023'] }), false);
+    assert.equal(batchFilters({ batchFrom: '2025' }).batchRange({ batch: ['2024'] }), false);
+    assert.deepEqual(batchFilters({}), {});
+  });
+
+  it('uses stored years over the batch text', () => {
+    assert.deepEqual(batchAttributes('2023-24'), { batchYears: [2023, 2024] });
+    assert.deepEqual(batchOf({ batch: '2024', batchYears: [2030] }), [2030]);
+    assert.deepEqual(batchOf({ batch: '2024' }), [2024]);
+  });
+});
@@ -0,0 +1,117 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Keep the local store in memory only
+delete process.env.DATA_FILE;
+
+const { ConditionFailedError, toFilterExpression, matches } = require('../src/repositories/conditions');
+const createMemoryRepository = require('../src/repositories/memoryRepository');
+
+describe('toFilterExpression', () => {
+  it('returns nothing when there are no conditions', () => {
+    assert.deepEqual(toFilterExpression(), {});
+    assert.deepEqual(toFilterExpression({ status: undefined }), {});
+  });
+
+  it('turns plain values into equality', () => {
+    assert.deepEqual(toFilterExpression({ status: 'active', category: 'IT' }), {
+      FilterExpression: '#f0 = :f0 AND #f1 = :f1',
+      ExpressionAttributeNames: { '#f0': 'status', '#f1': 'category' },
+      ExpressionAttributeValues: { ':f0': 'active', ':f1': 'IT' }
+    });
+  });
+
+  it('translates ne, contains and missingOrEmpty', () => {
+    assert.deepEqual(toFilterExpression({
+      status: { ne: 'deleted' },
+      location: { contains: 'Pune' },
+      batch: { missingOrEmpty: true }
+    }), {
+      FilterExpression: '#f0 <> :f0 AND contains(#f1, :f1) AND (attribute_not_exists(#f2) OR size(#f2) = :f2)',
+      ExpressionAttributeNames: { '#f0': 'status', '#f1': 'location', '#f2': 'batch' },
+      ExpressionAttributeValues: { ':f0': 'deleted', ':f1': 'Pune', ':f2': 0 }
+    });
+  });
+
+  it('gives each comparison on one attribute its own placeholder', () => {
+    assert.deepEqual(toFilterExpression({ timestamp: { gte: '2024-01-01', lt: '2024-02-01' } }), {
+      FilterExpression: '#f0 < :f0lt AND #f0 >= :f0gte',
+      ExpressionAttributeNames: { '#f0': 'timestamp' },
+      ExpressionAttributeValues: { ':f0lt': '2024-02-01', ':f0gte': '2024-01-01' }
+    });
+  });
+
+  it('skips undefined conditions without shifting placeholders onto other attributes', () => {
+    const expression = toFilterExpression({ adminEmail: undefined, action: 'ADDED' });
+    assert.equal(expression.FilterExpression, '#f1 = :f1');
+    assert.deepEqual(expression.ExpressionAttributeNames, { '#f1': 'action' });
+  });
+
+  it('rejects operators it does not know', () => {
+    assert.throws(() => toFilterExpression({ status: { in: ['a'] } }), /Unsupported condition on status/);
+  });
+});
+
+describe('matches', () => {
+  const item = {
+    status: 'active',
+    location: 'Pune, MH',
+    tags: ['remote', 'senior'],
+    batch: [],
+    expiresOn: '2031-01-01'
+  };
+
+  it('compares plain values for equality', () => {
+    assert.equal(matches(item, { status: 'active' }), true);
+    assert.equal(matches(item, { status: 'draft' }), false);
+    assert.equal(matches(item, {}), true);
+    assert.equal(matches(item, { status: undefined }), true);
+  });
+
+  it('follows ne, contains and missingOrEmpty', () => {
+    assert.equal(matches(item, { status: { ne: 'deleted' } }), true);
+    assert.equal(matches(item, { location: { contains: 'Pune' } }), true);
+    assert.equal(matches(item, { tags: { contains: 'remote' } }), true);
+    assert.equal(matches(item, { tags: { contains: 'rem' } }), false);
+    assert.equal(matches(item, { batch: { missingOrEmpty: true } }), true);
+    assert.equal(matches(item, { missing: { missingOrEmpty: true } }), true);
+    assert.equal(matches(item, { tags: { missingOrEmpty: true } }), false);
+  });
+
+  it('requires every comparison on an attribute to hold', () => {
+    assert.equal(matches(item, { expiresOn: { gte: '2030-01-01', lt: '2032-01-01' } }), true);
+    assert.equal(matches(item, { expiresOn: { gte: '2030-01-01', lt: '2031-01-01' } }), false);
+    assert.equal(matches(item, { expiresOn: { lte: '2031-01-01' } }), true);
+    assert.equal(matches(item, { expiresOn: { gt: '2031-01-01' } }), false);
+  });
+
+  it('like DynamoDB, never matches a comparison on a missing or differently typed attribute', () => {
+    assert.equal(matches(item, { publishAt: { lte: '2099-01-01' } }), false);
+    assert.equal(matches({ count: 5 }, { count: { lt: '9' } }), false);
+  });
+});
+
+describe('conditional updates', () => {
+  const repository = createMemoryRepository({ name: 'conditionTest', keySchema: ['id'], idField: 'id' });
+
+  it('are made only while the stored item meets the conditions', async () => {
+    await repository.put({ id: 'x', tokenHash: 'old' });
+
+    const updated = await repository.update({ id: 'x' }, { tokenHash: 'new' }, { conditions: { tokenHash: 'old' } });
+    assert.equal(updated.tokenHash, 'new');
+
+    await assert.rejects(
+      repository.update({ id: 'x' }, { tokenHash: 'other' }, { conditions: { tokenHash: 'old' } }),
+      ConditionFailedError
+    );
+    assert.equal((await repository.get({ id: 'x' })).tokenHash, 'new');
+  });
+
+  it('fail on items that do not exist', async () => {
+    await assert.rejects(
+      repository.update({ id: 'missing' }, { tokenHash: 'new' }, { conditions: { tokenHash: 'old' } }),
+      ConditionFailedError
+    );
+    assert.equal(await repository.get({ id: 'missing' }), null);
+  });
+});
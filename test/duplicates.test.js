@@ -0,0 +1,109 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DATA_BACKEND = 'memory';
+delete process.env.DATA_FILE;
+
+const { walkingRepository } = require('../src/repositories');
+const { createDeduplicator, normalizeLink } = require('../src/api/utils/duplicates');
+const { ReviewRequiredError } = require('../src/api/utils/publishing');
+
+const editor = { email: 'editor@example.com', role: 'editor' };
+const reviewer = { email: 'reviewer@example.com', role: 'reviewer' };
+
+const walkingDuplicates = createDeduplicator(walkingRepository, 'walking');
+
+function walkIn(id, attributes) {
+  const item = { id, company: 'Acme', title: 'Engineer', applyLink: 'https://acme.com/walk-in', ...attributes };
+  item.fingerprint = walkingDuplicates.fingerprint(item);
+  return item;
+}
+
+// A repost of the stored walk-in, as create would prepare it
+function repost(attributes) {
+  return walkIn('repost', { applyLink: 'acme.com/walk-in/?utm_source=x', venue: 'New venue', ...attributes });
+}
+
+describe('normalizeLink', () => {
+  it('ignores scheme, www, case, trailing slashes and tracking parameters', () => {
+    assert.equal(normalizeLink('https://www.Acme.com/jobs/1/?utm_source=x&b=2&a=1#top'), 'acme.com/jobs/1?a=1&b=2');
+    assert.equal(normalizeLink('acme.com/jobs/1'), 'acme.com/jobs/1');
+  });
+});
+
+describe('merging a duplicate', () => {
+  beforeEach(async () => {
+    for (const item of await walkingRepository.scan()) {
+      await walkingRepository.delete(item);
+    }
+  });
+
+  it('finds the stored item under another spelling of the link', async () => {
+    await walkingRepository.put(walkIn('stored', { status: 'active' }));
+    const duplicate = await walkingDuplicates.findDuplicate(repost());
+    assert.equal(duplicate.id, 'stored');
+    assert.equal(await walkingDuplicates.findDuplicate(walkIn('stored')), null);
+  });
+
+  it("keeps the existing item's workflow state", async () => {
+    const stored = walkIn('stored', { status: 'expired', publishedAt: '2024-01-01T00:00:00.000Z' });
+    await walkingRepository.put(stored);
+
+    // A reviewer's repost is live, but must not republish an expired item
+    const updated = await walkingDuplicates.update(stored, repost({ status: 'active', publishedAt: 'now' }), reviewer);
+    assert.equal(updated.status, 'expired');
+    assert.equal(updated.publishedAt, '2024-01-01T00:00:00.000Z');
+    assert.equal(updated.venue, 'New venue');
+  });
+
+  it("does not take a draft's publishAt from an editor's repost", async () => {
+    const stored = walkIn('stored', { status: 'draft', publishAt: '2099-01-01T00:00:00.000Z' });
+    await walkingRepository.put(stored);
+
+    const updated = await walkingDuplicates.update(stored, repost({ status: 'draft', publishAt: null }), editor);
+    assert.equal(updated.status, 'draft');
+    assert.equal(updated.publishAt, '2099-01-01T00:00:00.000Z');
+  });
+
+  it('refuses an editor overwriting a live item', async () => {
+    const stored = walkIn('stored', { status: 'active' });
+    await walkingRepository.put(stored);
+
+    await assert.rejects(walkingDuplicates.update(stored, repost({ status: 'draft' }), editor), ReviewRequiredError);
+    const unchanged = await walkingRepository.get({ id: 'stored' });
+    assert.equal(unchanged.status, 'active');
+    assert.equal(unchanged.venue, undefined);
+  });
+});
+
+describe('bulk upload duplicates', () => {
+  beforeEach(async () => {
+    for (const item of await walkingRepository.scan()) {
+      await walkingRepository.delete(item);
+    }
+    await walkingRepository.put(walkIn('stored', { status: 'active' }));
+  });
+
+  it('updates existing items without their publication state', async () => {
+    const entries = [{ row: 1, item: repost({ status: 'draft', publishAt: null }) }];
+    const { toCreate, toUpdate, duplicates } = await walkingDuplicates.partition(entries, 'update', reviewer);
+    assert.deepEqual(toCreate, []);
+    assert.deepEqual(duplicates, [{ row: 1, duplicateOf: 'stored', action: 'updated' }]);
+
+    const [{ existing, item }] = toUpdate;
+    const updated = await walkingDuplicates.update(existing, item, reviewer);
+    assert.equal(updated.status, 'active');
+    assert.equal('publishAt' in updated, false);
+  });
+
+  it("skips live items for an editor's upload", async () => {
+    const entries = [{ row: 1, item: repost({ status: 'draft' }) }, { row: 2, item: repost({ status: 'draft' }) }];
+    const { toCreate, toUpdate, duplicates } = await walkingDuplicates.partition(entries, 'update', editor);
+    assert.deepEqual(toCreate, []);
+    assert.deepEqual(toUpdate, []);
+    assert.deepEqual(duplicates, [
+      { row: 1, duplicateOf: 'stored', action: 'skipped' },
+      { row: 2, duplicateOf: 'stored', action: 'skipped' }
+    ]);
+  });
+});
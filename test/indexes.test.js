@@ -0,0 +1,109 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Keep the local store in memory only
+delete process.env.DATA_FILE;
+
+const { toSortKeyCondition } = require('../src/repositories/conditions');
+const { splitUpdates, withoutNullIndexKeys } = require('../src/repositories/indexes');
+const createMemoryRepository = require('../src/repositories/memoryRepository');
+
+const table = {
+  name: 'indexTest',
+  keySchema: ['id'],
+  idField: 'id',
+  indexes: {
+    scheduled: { name: 'status-publishAt-index', keySchema: ['status', 'publishAt'] },
+    fingerprint: { name: 'fingerprint-index', keySchema: ['fingerprint'] }
+  }
+};
+
+describe('toSortKeyCondition', () => {
+  it('translates one comparison', () => {
+    const values = {};
+    assert.equal(toSortKeyCondition('#sk', { lte: '2024-01-01' }, values), '#sk <= :sk');
+    assert.deepEqual(values, { ':sk': '2024-01-01' });
+  });
+
+  it('translates a gte/lte pair into BETWEEN', () => {
+    const values = {};
+    assert.equal(toSortKeyCondition('#sk', { gte: 'a', lte: 'b' }, values), '#sk BETWEEN :skFrom AND :skTo');
+    assert.deepEqual(values, { ':skFrom': 'a', ':skTo': 'b' });
+  });
+
+  it('rejects ranges a key condition cannot express', () => {
+    assert.throws(() => toSortKeyCondition('#sk', { gt: 'a', lt: 'b' }, {}), /sort key range/);
+    assert.throws(() => toSortKeyCondition('#sk', {}, {}), /sort key range/);
+  });
+});
+
+describe('null index keys', () => {
+  it('are removed by updates rather than stored', () => {
+    assert.deepEqual(splitUpdates(table, { id: 'x', publishAt: null, title: null, status: 'active', skipped: undefined }), {
+      set: { title: null, status: 'active' },
+      remove: ['publishAt']
+    });
+  });
+
+  it('are left off written items', () => {
+    assert.deepEqual(withoutNullIndexKeys(table, { id: 'x', publishAt: null, title: null }), { id: 'x', title: null });
+  });
+});
+
+describe('memory queryIndex', () => {
+  let repository;
+
+  beforeEach(async () => {
+    repository = createMemoryRepository(table);
+    const existing = await repository.scan();
+    for (const item of existing) {
+      await repository.delete(item);
+    }
+    await repository.batchPut([
+      { id: 'a', status: 'scheduled', publishAt: '2024-01-03', fingerprint: 'f1' },
+      { id: 'b', status: 'scheduled', publishAt: '2024-01-01', fingerprint: 'f1' },
+      { id: 'c', status: 'scheduled', publishAt: '2024-01-02', fingerprint: 'f2' },
+      { id: 'd', status: 'active', publishAt: null, fingerprint: null },
+      { id: 'e', status: 'scheduled', publishAt: '2024-01-02', fingerprint: 'f3' }
+    ]);
+  });
+
+  it('reads one partition in sort key order within the range', async () => {
+    const due = await repository.queryIndex('scheduled', 'scheduled', { range: { lte: '2024-01-02' } });
+    assert.deepEqual(due.map(item => item.id), ['b', 'c', 'e']);
+    const all = await repository.queryIndex('scheduled', 'scheduled', { descending: true });
+    assert.deepEqual(all.map(item => item.id), ['a', 'e', 'c', 'b']);
+  });
+
+  it('leaves items without the key attributes out', async () => {
+    assert.deepEqual(await repository.queryIndex('scheduled', 'active'), []);
+    const [withoutFingerprint] = await repository.findAllById('d');
+    assert.equal('fingerprint' in withoutFingerprint, false);
+  });
+
+  it('takes items out of the index when their key is set to null', async () => {
+    await repository.update({ id: 'a' }, { status: 'active', publishAt: null });
+    const scheduled = await repository.queryIndex('scheduled', 'scheduled');
+    assert.deepEqual(scheduled.map(item => item.id), ['b', 'c', 'e']);
+    assert.equal('publishAt' in await repository.get({ id: 'a' }), false);
+  });
+
+  it('filters by conditions', async () => {
+    const items = await repository.queryIndex('fingerprint', 'f1', { conditions: { id: { ne: 'a' } } });
+    assert.deepEqual(items.map(item => item.id), ['b']);
+  });
+
+  it('pages with the key of the last item read', async () => {
+    const first = await repository.queryIndexPage('scheduled', 'scheduled', { limit: 2 });
+    assert.deepEqual(first.items.map(item => item.id), ['b', 'c']);
+    assert.deepEqual(first.lastKey, { id: 'c', status: 'scheduled', publishAt: '2024-01-02' });
+
+    const second = await repository.queryIndexPage('scheduled', 'scheduled', { limit: 2, startKey: first.lastKey });
+    assert.deepEqual(second.items.map(item => item.id), ['e', 'a']);
+    assert.equal(second.lastKey, null);
+  });
+
+  it('refuses indexes the table does not declare', async () => {
+    await assert.rejects(repository.queryIndex('missing', 'x'), /has no "missing" index/);
+  });
+});
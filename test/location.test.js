@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeLocation,
+  locationAttributes,
+  locationOf,
+  locationFilters,
+  InvalidLocationFilterError
+} = require('../src/api/utils/location');
+
+describe('normalizeLocation', () => {
+  it('finds cities with their states, under any spelling', () => {
+    assert.deepEqual(normalizeLocation('Hybrid - Gurgaon'), { cities: ['Gurugram'], states: ['Haryana'], workMode: 'hybrid' });
+    assert.deepEqual(normalizeLocation('Bangalore/Chennai'), {
+      cities: ['Bengaluru', 'Chennai'],
+      states: ['Karnataka', 'Tamil Nadu'],
+      workMode: 'onsite'
+    });
+  });
+
+  it('takes the longest name first', () => {
+    assert.deepEqual(normalizeLocation('Navi Mumbai').cities, ['Navi Mumbai']);
+    assert.deepEqual(normalizeLocation('Jammu and Kashmir'), { cities: [], states: ['Jammu and Kashmir'], workMode: 'onsite' });
+  });
+
+  it('reads state codes standing alone between separators', () => {
+    assert.deepEqual(normalizeLocation('Bengaluru, KA'), { cities: ['Bengaluru'], states: ['Karnataka'], workMode: 'onsite' });
+  });
+
+  it('detects the work mode, hybrid before remote', () => {
+    assert.equal(normalizeLocation('Remote / Pune').workMode, 'remote');
+    assert.equal(normalizeLocation('Work from home').workMode, 'remote');
+    assert.equal(normalizeLocation('Hybrid (remote 2 days)').workMode, 'hybrid');
+  });
+
+  it('leaves the work mode unknown when the text names no place and gives no hint', () => {
+    assert.deepEqual(normalizeLocation('Somewhere'), { cities: [], states: [], workMode: null });
+    assert.deepEqual(normalizeLocation(''), { cities: [], states: [], workMode: null });
+    assert.deepEqual(normalizeLocation(undefined), { cities: [], states: [], workMode: null });
+  });
+
+  it('hands out copies to store, so items never share the cached result', () => {
+    const first = locationAttributes('Pune');
+    first.cities.push('Mumbai');
+    assert.deepEqual(locationAttributes('Pune').cities, ['Pune']);
+  });
+});
+
+describe('locationFilters', () => {
+  it('matches cities and states under any spelling', () => {
+    const { city, state } = locationFilters({ city: 'bangalore', state: 'KA' });
+    assert.equal(city({ location: 'Bengaluru, KA' }), true);
+    assert.equal(city({ location: 'Chennai' }), false);
+    assert.equal(state({ location: 'Bengaluru' }), true);
+  });
+
+  it('matches work modes by name or alias', () => {
+    const { workMode } = locationFilters({ workMode: 'wfh' });
+    assert.equal(workMode({ location: 'Remote' }), true);
+    assert.equal(workMode({ location: 'Pune' }), false);
+  });
+
+  it('uses stored attributes over the text', () => {
+    assert.deepEqual(locationOf({ location: 'Pune', cities: ['Mumbai'], states: ['Maharashtra'] }), {
+      cities: ['Mumbai'],
+      states: ['Maharashtra'],
+      workMode: null
+    });
+    const { location } = locationFilters({ location: 'Pune' });
+    assert.equal(location({ location: 'x', cities: ['Mumbai'], states: ['Maharashtra'] }), false);
+    assert.equal(location({ location: 'x', cities: ['Pune'], states: ['Maharashtra'] }), true);
+  });
+
+  it('refuses work modes it does not know', () => {
+    assert.throws(() => locationFilters({ workMode: 'foo' }), InvalidLocationFilterError);
+    assert.equal(locationFilters({ workMode: ' Remote ' }).workMode({ location: 'Remote' }), true);
+  });
+
+  it('refuses parameters given more than once', () => {
+    assert.throws(() => locationFilters({ workMode: ['remote', 'hybrid'] }), InvalidLocationFilterError);
+    assert.throws(() => locationFilters({ city: ['Pune', 'Mumbai'] }), InvalidLocationFilterError);
+    assert.throws(() => locationFilters({ state: ['KA', 'MH'] }), InvalidLocationFilterError);
+    assert.throws(() => locationFilters({ location: { nested: 'Pune' } }), InvalidLocationFilterError);
+  });
+
+  it('falls back to the text for places the gazetteer does not know', () => {
+    const { city } = locationFilters({ city: 'Atlantis' });
+    assert.equal(city({ location: 'Atlantis, Sea' }), true);
+    assert.equal(city({ location: 'Pune' }), false);
+  });
+});
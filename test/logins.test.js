@@ -0,0 +1,103 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DATA_BACKEND = 'memory';
+process.env.LOGIN_MAX_ATTEMPTS = '5';
+process.env.LOGIN_LOCKOUT_MINUTES = '15';
+delete process.env.DATA_FILE;
+
+const { loginAttemptsRepository, loginHistoryRepository } = require('../src/repositories');
+const {
+  FAILURE_WINDOW_MS,
+  lockedUntil,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  secondsUntil
+} = require('../src/api/utils/logins');
+
+const MINUTE = 60 * 1000;
+const req = { ip: '127.0.0.1', get: () => 'test-agent' };
+
+async function fail(email, times) {
+  let until = null;
+  for (let i = 0; i < times; i++) {
+    until = await recordFailedLogin(email, 'wrong-password', req);
+  }
+  return until;
+}
+
+// Minutes from now until `until`, rounded
+function minutesUntil(until) {
+  return Math.round((Date.parse(until) - Date.now()) / MINUTE);
+}
+
+// Let the current lockout of `email` run out, keeping its failures
+async function expireLockout(email) {
+  await loginAttemptsRepository.update({ email }, { lockedUntil: new Date(Date.now() - 1000).toISOString() });
+}
+
+describe('login lockout', () => {
+  it('locks an email on the fifth failure, not before', async () => {
+    assert.equal(await fail('four@example.com', 4), null);
+    assert.equal(await lockedUntil('four@example.com'), null);
+
+    const until = await fail('five@example.com', 5);
+    assert.equal(minutesUntil(until), 15);
+    assert.equal(await lockedUntil('five@example.com'), until);
+  });
+
+  it('counts failures per email whatever its case', async () => {
+    await fail('Mixed@Example.com', 4);
+    const until = await fail('mixed@example.com', 1);
+    assert.equal(await lockedUntil('MIXED@example.com'), until);
+  });
+
+  it('doubles the lockout with every further failure, up to a day', async () => {
+    await fail('double@example.com', 5);
+    await expireLockout('double@example.com');
+    assert.equal(await lockedUntil('double@example.com'), null);
+
+    assert.equal(minutesUntil(await fail('double@example.com', 1)), 30);
+    await expireLockout('double@example.com');
+    assert.equal(minutesUntil(await fail('double@example.com', 1)), 60);
+
+    await loginAttemptsRepository.update({ email: 'double@example.com' }, { failures: 20 });
+    assert.equal(minutesUntil(await fail('double@example.com', 1)), 24 * 60);
+  });
+
+  it('forgets failures older than the window', async () => {
+    await fail('stale@example.com', 4);
+    await loginAttemptsRepository.update({ email: 'stale@example.com' }, {
+      lastFailedAt: new Date(Date.now() - FAILURE_WINDOW_MS - MINUTE).toISOString()
+    });
+    assert.equal(await fail('stale@example.com', 1), null);
+    assert.equal((await loginAttemptsRepository.get({ email: 'stale@example.com' })).failures, 1);
+  });
+
+  it('keeps uncounted failures out of the lockout', async () => {
+    for (let i = 0; i < 6; i++) {
+      assert.equal(await recordFailedLogin('disabled@example.com', 'disabled', req, { counted: false }), null);
+    }
+    assert.equal(await lockedUntil('disabled@example.com'), null);
+  });
+
+  it('clears the failures on a successful sign-in', async () => {
+    await fail('success@example.com', 4);
+    await recordSuccessfulLogin({ email: 'success@example.com' }, 'password', req);
+    assert.equal(await loginAttemptsRepository.get({ email: 'success@example.com' }), null);
+    assert.equal(await fail('success@example.com', 4), null);
+  });
+
+  it('records every attempt in the history', async () => {
+    await fail('history@example.com', 2);
+    await recordSuccessfulLogin({ email: 'history@example.com' }, 'password', req);
+    const history = await loginHistoryRepository.query('history@example.com');
+    assert.deepEqual(history.map(entry => entry.success).sort(), [false, false, true]);
+    assert.ok(history.every(entry => entry.ip === '127.0.0.1' && entry.userAgent === 'test-agent'));
+  });
+
+  it('rounds Retry-After up to whole seconds, at least one', () => {
+    assert.equal(secondsUntil(new Date(Date.now() + 1500).toISOString()), 2);
+    assert.equal(secondsUntil(new Date(Date.now() - 1000).toISOString()), 1);
+  });
+});
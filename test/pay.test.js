@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePay, annualAmount, payAttributes, payOf, payInRange } = require('../src/api/utils/pay');
+
+describe('parsePay', () => {
+  it('reads lakh ranges as annual rupees', () => {
+    assert.deepEqual(parsePay('6-8 LPA'), { min: 600000, max: 800000, period: 'year', currency: 'INR' });
+    assert.deepEqual(parsePay('12 lakhs'), { min: 1200000, max: 1200000, period: 'year', currency: 'INR' });
+    assert.deepEqual(parsePay('1.5 Cr CTC'), { min: 15000000, max: 15000000, period: 'year', currency: 'INR' });
+  });
+
+  it('reads thousands separators, periods and currencies', () => {
+    assert.deepEqual(parsePay('₹15,000/month'), { min: 15000, max: 15000, period: 'month', currency: 'INR' });
+    assert.deepEqual(parsePay('$80k per year'), { min: 80000, max: 80000, period: 'year', currency: 'USD' });
+    assert.deepEqual(parsePay('5000 per week'), { min: 5000, max: 5000, period: 'week', currency: 'INR' });
+    assert.deepEqual(parsePay('Rs. 500 per day'), { min: 500, max: 500, period: 'day', currency: 'INR' });
+  });
+
+  it('uses the default period only when the text names none', () => {
+    assert.equal(parsePay('10000').period, 'year');
+    assert.equal(parsePay('10000', { defaultPeriod: 'month' }).period, 'month');
+    assert.equal(parsePay(25000, { defaultPeriod: 'month' }).period, 'month');
+    assert.equal(parsePay('6-8 LPA', { defaultPeriod: 'month' }).period, 'year');
+  });
+
+  it('parses unpaid positions as zero and text without an amount as nothing', () => {
+    assert.deepEqual(parsePay('Unpaid', { defaultPeriod: 'month' }), { min: 0, max: 0, period: 'month', currency: 'INR' });
+    assert.equal(parsePay('Not specified'), null);
+    assert.equal(parsePay(null), null);
+    assert.equal(parsePay(undefined), null);
+  });
+});
+
+describe('pay attributes and ranges', () => {
+  it('stores structured attributes named after the text attribute, null without an amount', () => {
+    assert.deepEqual(payAttributes('stipend', '₹15,000/month'), {
+      stipendMin: 15000,
+      stipendMax: 15000,
+      stipendPeriod: 'month',
+      stipendCurrency: 'INR'
+    });
+    assert.deepEqual(payAttributes('salary', 'Not specified'), {
+      salaryMin: null,
+      salaryMax: null,
+      salaryPeriod: null,
+      salaryCurrency: null
+    });
+  });
+
+  it('prefers stored attributes and parses the text of older items', () => {
+    const stored = { salary: '6-8 LPA', salaryMin: 1, salaryMax: 2, salaryPeriod: 'month', salaryCurrency: 'INR' };
+    assert.deepEqual(payOf(stored, 'salary'), { min: 1, max: 2, period: 'month', currency: 'INR' });
+    assert.deepEqual(payOf({ salary: '6-8 LPA' }, 'salary'), parsePay('6-8 LPA'));
+  });
+
+  it('compares ranges across periods', () => {
+    assert.equal(annualAmount(parsePay('₹15,000/month')), 180000);
+    assert.equal(annualAmount(null), null);
+    assert.equal(payInRange(parsePay('6-8 LPA'), { min: 50000, period: 'month' }), true);
+    assert.equal(payInRange(parsePay('6-8 LPA'), { min: 70000, period: 'month' }), false);
+    assert.equal(payInRange(parsePay('6-8 LPA'), { max: 500000, period: 'year' }), false);
+  });
+
+  it('never matches foreign currencies or unparsed pay', () => {
+    assert.equal(payInRange(parsePay('$80k per year'), { min: 1, period: 'year' }), false);
+    assert.equal(payInRange(null, { min: 1, period: 'year' }), false);
+  });
+});
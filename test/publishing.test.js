@@ -0,0 +1,130 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DATA_BACKEND = 'memory';
+delete process.env.DATA_FILE;
+
+const { jobsRepository } = require('../src/repositories');
+const { applyPublicationChanges, ReviewRequiredError } = require('../src/api/utils/publishing');
+const { recordRevision, listRevisions } = require('../src/api/utils/revisions');
+const adminController = require('../src/api/controllers/adminController');
+const revisionsController = require('../src/api/controllers/revisionsController');
+
+const editor = { email: 'editor@example.com', role: 'editor' };
+const reviewer = { email: 'reviewer@example.com', role: 'reviewer' };
+
+// Just enough of an Express request and response for a handler
+function request(admin, { params = {}, body = {}, query = {} } = {}) {
+  return { admin, params, body, query, ip: '127.0.0.1', get: () => 'test-agent' };
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    body: null,
+    locals: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+describe('applyPublicationChanges', () => {
+  const live = { status: 'active', jobDescription: 'Original' };
+  const scheduled = { status: 'scheduled', publishAt: '2099-01-01T00:00:00.000Z' };
+
+  it('refuses editors changing a live listing', () => {
+    assert.throws(
+      () => applyPublicationChanges({ jobDescription: 'Changed' }, {}, 'jobs', editor, live),
+      ReviewRequiredError
+    );
+  });
+
+  it('refuses editors rescheduling an approved listing', () => {
+    const publishAt = '2098-01-01T00:00:00.000Z';
+    assert.throws(
+      () => applyPublicationChanges({ publishAt }, { publishAt }, 'jobs', editor, scheduled),
+      ReviewRequiredError
+    );
+  });
+
+  it('lets editors take a live listing back to draft', () => {
+    const updates = { jobDescription: 'Changed', draft: true };
+    applyPublicationChanges(updates, { draft: true }, 'jobs', editor, live);
+    assert.deepEqual(updates, { jobDescription: 'Changed', status: 'draft', publishAt: null });
+  });
+
+  it('lets editors change drafts, but not their publication state', () => {
+    const publishAt = '2099-01-01T00:00:00.000Z';
+    const updates = { jobDescription: 'Changed', status: 'active', publishedAt: 'now', publishAt };
+    applyPublicationChanges(updates, { publishAt }, 'jobs', editor, { status: 'draft' });
+    assert.deepEqual(updates, { jobDescription: 'Changed', publishAt });
+
+    const submitted = { jobDescription: 'Changed', status: 'active' };
+    applyPublicationChanges(submitted, {}, 'jobs', editor, { status: 'in-review' });
+    assert.deepEqual(submitted, { jobDescription: 'Changed' });
+  });
+
+  it('lets reviewers change anything', () => {
+    const updates = { jobDescription: 'Changed' };
+    applyPublicationChanges(updates, {}, 'jobs', reviewer, live);
+    assert.deepEqual(updates, { jobDescription: 'Changed' });
+  });
+});
+
+describe('editing live jobs', () => {
+  const job = {
+    category: 'IT',
+    jobId: 'live-job',
+    companyName: 'Acme',
+    role: 'Engineer',
+    originalLink: 'acme.com/jobs/1',
+    jobDescription: 'Original',
+    status: 'active'
+  };
+
+  beforeEach(async () => {
+    for (const existing of await jobsRepository.findAllById(job.jobId)) {
+      await jobsRepository.delete(existing);
+    }
+    await jobsRepository.put({ ...job });
+  });
+
+  it('refuses an editor changing live content', async () => {
+    const res = response();
+    await adminController.updateJob(
+      request(editor, { params: { id: job.jobId }, body: { jobDescription: 'SCAM: pay to apply' } }),
+      res
+    );
+    assert.equal(res.statusCode, 403);
+    assert.equal((await jobsRepository.findById(job.jobId)).jobDescription, 'Original');
+  });
+
+  it('lets a reviewer change live content', async () => {
+    const res = response();
+    await adminController.updateJob(
+      request(reviewer, { params: { id: job.jobId }, body: { jobDescription: 'Corrected' } }),
+      res
+    );
+    assert.equal(res.statusCode, 200);
+    assert.equal((await jobsRepository.findById(job.jobId)).jobDescription, 'Corrected');
+  });
+
+  it('refuses an editor restoring an old revision onto a live listing', async () => {
+    await recordRevision('jobs', job.jobId, { ...job, jobDescription: 'SCAM: pay to apply' }, { admin: editor });
+    const [revision] = await listRevisions('jobs', job.jobId);
+
+    const res = response();
+    await revisionsController.restoreRevision(
+      request(editor, { params: { type: 'jobs', id: job.jobId, revisionId: revision.revisionId } }),
+      res
+    );
+    assert.equal(res.statusCode, 403);
+    assert.equal((await jobsRepository.findById(job.jobId)).jobDescription, 'Original');
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+
+process.env.DATA_BACKEND = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+delete process.env.DATA_FILE;
+
+const { adminsRepository, sessionsRepository } = require('../src/repositories');
+const { SessionError, openSession, refreshSession, findActiveSession } = require('../src/api/utils/sessions');
+
+const req = { ip: '127.0.0.1', get: () => 'test-agent' };
+
+function sessionIdOf(tokens) {
+  return tokens.refreshToken.split('.')[0];
+}
+
+describe('refresh tokens', () => {
+  before(async () => {
+    await adminsRepository.put({ email: 'admin@example.com', role: 'admin' });
+    await adminsRepository.put({ email: 'gone@example.com', role: 'admin' });
+  });
+
+  it('issues access tokens naming the session', async () => {
+    const tokens = await openSession({ email: 'admin@example.com', role: 'admin' }, req);
+    const decoded = jwt.verify(tokens.token, process.env.JWT_SECRET);
+    assert.equal(decoded.sid, sessionIdOf(tokens));
+    assert.equal(decoded.email, 'admin@example.com');
+  });
+
+  it('replaces the refresh token on every refresh', async () => {
+    const first = await openSession({ email: 'admin@example.com', role: 'admin' }, req);
+    const second = await refreshSession(first.refreshToken, req);
+    assert.notEqual(second.refreshToken, first.refreshToken);
+    assert.equal(sessionIdOf(second), sessionIdOf(first));
+
+    const third = await refreshSession(second.refreshToken, req);
+    assert.equal(sessionIdOf(third), sessionIdOf(first));
+  });
+
+  it('revokes the session when a replaced refresh token comes back', async () => {
+    const first = await openSession({ email: 'admin@example.com', role: 'admin' }, req);
+    const second = await refreshSession(first.refreshToken, req);
+
+    await assert.rejects(refreshSession(first.refreshToken, req), SessionError);
+    const session = await sessionsRepository.get({ id: sessionIdOf(first) });
+    assert.equal(session.revokedReason, 'refresh-token-reuse');
+    assert.equal(await findActiveSession(session.id), null);
+
+    // The current token dies with the session
+    await assert.rejects(refreshSession(second.refreshToken, req), SessionError);
+  });
+
+  it('lets only one of two refreshes with the same token through, and revokes the session', async () => {
+    const tokens = await openSession({ email: 'admin@example.com', role: 'admin' }, req);
+
+    const results = await Promise.allSettled([
+      refreshSession(tokens.refreshToken, req),
+      refreshSession(tokens.refreshToken, req)
+    ]);
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.ok(results.find(result => result.status === 'rejected').reason instanceof SessionError);
+
+    const session = await sessionsRepository.get({ id: sessionIdOf(tokens) });
+    assert.equal(session.revokedReason, 'refresh-token-reuse');
+    const { value: winner } = results.find(result => result.status === 'fulfilled');
+    await assert.rejects(refreshSession(winner.refreshToken, req), SessionError);
+  });
+
+  it('refuses malformed and unknown tokens', async () => {
+    await assert.rejects(refreshSession('', req), SessionError);
+    await assert.rejects(refreshSession('no-such-session.secret', req), SessionError);
+  });
+
+  it('revokes the session of a disabled account', async () => {
+    const tokens = await openSession({ email: 'gone@example.com', role: 'admin' }, req);
+    await adminsRepository.update({ email: 'gone@example.com' }, { disabled: true });
+
+    await assert.rejects(refreshSession(tokens.refreshToken, req), /Account is disabled/);
+    const session = await sessionsRepository.get({ id: sessionIdOf(tokens) });
+    assert.equal(session.revokedReason, 'account-disabled');
+  });
+
+  it('refuses expired sessions', async () => {
+    const tokens = await openSession({ email: 'admin@example.com', role: 'admin' }, req);
+    await sessionsRepository.update({ id: sessionIdOf(tokens) }, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+    await assert.rejects(refreshSession(tokens.refreshToken, req), /Invalid or expired refresh token/);
+  });
+});
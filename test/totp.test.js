@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DATA_BACKEND = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+delete process.env.DATA_FILE;
+
+const { adminsRepository } = require('../src/repositories');
+const { base32Encode, codeAt, stepAt, matchingStep, generateSecret } = require('../src/api/utils/totp');
+const { startEnrollment, completeEnrollment, verifySecondFactor } = require('../src/api/utils/twoFactor');
+
+// The SHA1 secret of the RFC 6238 test vectors
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP codes', () => {
+  it('match the RFC 6238 test vectors', () => {
+    assert.equal(codeAt(RFC_SECRET, stepAt(59 * 1000)), '287082');
+    assert.equal(codeAt(RFC_SECRET, stepAt(1111111109 * 1000)), '081804');
+    assert.equal(codeAt(RFC_SECRET, stepAt(1234567890 * 1000)), '005924');
+    assert.equal(codeAt(RFC_SECRET, stepAt(2000000000 * 1000)), '279037');
+  });
+
+  it('are accepted one step either side of the current one', () => {
+    const time = 1234567890 * 1000;
+    const step = stepAt(time);
+    assert.equal(matchingStep(RFC_SECRET, codeAt(RFC_SECRET, step - 1), { time }), step - 1);
+    assert.equal(matchingStep(RFC_SECRET, codeAt(RFC_SECRET, step + 1), { time }), step + 1);
+    assert.equal(matchingStep(RFC_SECRET, codeAt(RFC_SECRET, step + 2), { time }), null);
+  });
+
+  it('ignore spaces and refuse anything else', () => {
+    const time = 1234567890 * 1000;
+    assert.equal(matchingStep(RFC_SECRET, '005 924', { time }), stepAt(time));
+    assert.equal(matchingStep(RFC_SECRET, '5924', { time }), null);
+    assert.equal(matchingStep(RFC_SECRET, undefined, { time }), null);
+  });
+
+  it('come from random base32 secrets', () => {
+    assert.match(generateSecret(), /^[A-Z2-7]{32}$/);
+    assert.notEqual(generateSecret(), generateSecret());
+  });
+});
+
+describe('second factor', () => {
+  async function enrolledAdmin(email) {
+    await adminsRepository.put({ email, role: 'admin' });
+    const { secret } = await startEnrollment({ email });
+    const pending = await adminsRepository.get({ email });
+    const recoveryCodes = await completeEnrollment(pending, codeAt(secret, stepAt()));
+    assert.equal(recoveryCodes.length, 10);
+    return { secret, recoveryCodes };
+  }
+
+  it('refuses to enrol with a wrong code', async () => {
+    await adminsRepository.put({ email: 'wrong@example.com', role: 'admin' });
+    await startEnrollment({ email: 'wrong@example.com' });
+    const pending = await adminsRepository.get({ email: 'wrong@example.com' });
+    assert.equal(await completeEnrollment(pending, '000000'), null);
+    assert.equal((await adminsRepository.get({ email: 'wrong@example.com' })).twoFactor, undefined);
+  });
+
+  it('accepts a code only once', async () => {
+    const { secret } = await enrolledAdmin('replay@example.com');
+    // Enrolment used up its code's step
+    const enrolled = await adminsRepository.get({ email: 'replay@example.com' });
+    const { lastStep } = enrolled.twoFactor;
+    assert.equal(await verifySecondFactor(enrolled, { code: codeAt(secret, lastStep) }), null);
+
+    const next = codeAt(secret, lastStep + 1);
+    const result = await verifySecondFactor(enrolled, { code: next });
+    assert.equal(result.method, 'totp');
+
+    const after = await adminsRepository.get({ email: 'replay@example.com' });
+    assert.equal(await verifySecondFactor(after, { code: next }), null);
+  });
+
+  it('uses up recovery codes', async () => {
+    const { recoveryCodes } = await enrolledAdmin('recovery@example.com');
+    const admin = await adminsRepository.get({ email: 'recovery@example.com' });
+
+    const result = await verifySecondFactor(admin, { recoveryCode: recoveryCodes[0].toUpperCase() });
+    assert.deepEqual(result, { method: 'recovery-code', recoveryCodesRemaining: 9 });
+
+    const after = await adminsRepository.get({ email: 'recovery@example.com' });
+    assert.equal(await verifySecondFactor(after, { recoveryCode: recoveryCodes[0] }), null);
+    assert.equal(await verifySecondFactor(after, { recoveryCode: 'nonsense' }), null);
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DATA_BACKEND = 'memory';
+delete process.env.DATA_FILE;
+
+const { jobsRepository, certificationsRepository } = require('../src/repositories');
+const { moveToTrash } = require('../src/api/utils/trash');
+const adminController = require('../src/api/controllers/adminController');
+const certificationsController = require('../src/api/controllers/certificationsController');
+
+const reviewer = { email: 'reviewer@example.com', role: 'reviewer' };
+
+// Just enough of an Express request and response for a handler
+function request(admin, { params = {}, body = {}, query = {} } = {}) {
+  return { admin, params, body, query, ip: '127.0.0.1', get: () => 'test-agent' };
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    body: null,
+    locals: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+describe('editing trashed listings', () => {
+  const job = {
+    category: 'IT',
+    jobId: 'trashed-job',
+    companyName: 'Acme',
+    role: 'Engineer',
+    originalLink: 'acme.com/jobs/trashed',
+    jobDescription: 'Original',
+    status: 'active'
+  };
+  const certification = {
+    id: 'trashed-certification',
+    title: 'Cloud Basics',
+    provider: 'Acme',
+    category: 'cloud',
+    link: 'acme.com/certifications/trashed',
+    status: 'active'
+  };
+
+  beforeEach(async () => {
+    for (const existing of await jobsRepository.findAllById(job.jobId)) {
+      await jobsRepository.delete(existing);
+    }
+    await jobsRepository.put({ ...job });
+    await moveToTrash('jobs', job, reviewer);
+
+    await certificationsRepository.put({ ...certification });
+    await moveToTrash('certifications', certification, reviewer);
+  });
+
+  it('does not find a job in the trash', async () => {
+    const res = response();
+    await adminController.updateJob(
+      request(reviewer, { params: { id: job.jobId }, body: { jobDescription: 'Changed' } }),
+      res
+    );
+    assert.equal(res.statusCode, 404);
+
+    const stored = await jobsRepository.findById(job.jobId);
+    assert.equal(stored.status, 'deleted');
+    assert.equal(stored.jobDescription, 'Original');
+  });
+
+  it('does not find a certification in the trash, or one that does not exist', async () => {
+    const body = { title: 'Changed', provider: 'Acme', category: 'cloud', link: 'acme.com/certifications/changed' };
+
+    const trashed = response();
+    await certificationsController.updateCertification(
+      request(reviewer, { params: { id: certification.id }, body: { ...body } }),
+      trashed
+    );
+    assert.equal(trashed.statusCode, 404);
+    assert.equal((await certificationsRepository.get({ id: certification.id })).title, 'Cloud Basics');
+
+    const missing = response();
+    await certificationsController.updateCertification(
+      request(reviewer, { params: { id: 'no-such-certification' }, body: { ...body } }),
+      missing
+    );
+    assert.equal(missing.statusCode, 404);
+    assert.equal(await certificationsRepository.get({ id: 'no-such-certification' }), null);
+  });
+});